@@ -6,6 +6,20 @@ const transactionRoutes = require('./src/routers/transactionRoutes');
 const accountRoutes = require('./src/routers/accountRoutes');
 const categoryRoutes = require('./src/routers/categoryRoutes');
 const goalRoutes = require('./src/routers/goalRoutes'); // Add this line
+const authRoutes = require('./src/routers/authRoutes');
+const walletRoutes = require('./src/routers/walletRoutes');
+const recurringRoutes = require('./src/routers/recurringRoutes');
+const budgetRoutes = require('./src/routers/budgetRoutes');
+const reportRoutes = require('./src/routers/reportRoutes');
+const exportRoutes = require('./src/routers/exportRoutes');
+const importRoutes = require('./src/routers/importRoutes');
+const ruleRoutes = require('./src/routers/ruleRoutes');
+const adminRoutes = require('./src/routers/adminRoutes');
+const fundingRuleRoutes = require('./src/routers/fundingRuleRoutes');
+const shareRoutes = require('./src/routers/shareRoutes');
+const auditRoutes = require('./src/routers/auditRoutes');
+const trashRoutes = require('./src/routers/trashRoutes');
+const { authenticate } = require('./src/middleware/authMiddleware');
 
 /**
  * @fileoverview Main Application Entry Point
@@ -18,7 +32,8 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(bodyParser.json());
+// Statement imports send the file content in the JSON body, so allow larger payloads
+app.use(bodyParser.json({ limit: '5mb' }));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // CORS middleware for development
@@ -53,10 +68,27 @@ mongoose.connect(process.env.MONGOTOKEN, {
   });
 
 // Routes
+app.use('/api/auth', authRoutes);
+
+// Every other /api route requires a bearer token
+app.use('/api', authenticate);
+
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/accounts', accountRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/goals', goalRoutes); // Register goal routes
+app.use('/api/wallets', walletRoutes);
+app.use('/api/recurring', recurringRoutes);
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/rules', ruleRoutes);
+app.use('/api/funding-rules', fundingRuleRoutes);
+app.use('/api/shares', shareRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Basic route for testing
 app.get('/', (req, res) => {
@@ -1,50 +1,45 @@
 const mongoose = require('mongoose');
 const Transaction = require('../model/Transaction');
 const Account = require('../model/Account');
-const Category = require('../model/Category'); // Add this import
-
-// Update the updateCategoryBalances function
-async function updateCategoryBalances(transaction, session, reverseAmount = false) {
-  if (!transaction.tags || transaction.tags.length === 0) return;
-  
-  const multiplier = reverseAmount ? -1 : 1;
-  const amount = transaction.nominal * multiplier;
-  
-  // Update each category associated with the tags
-  for (const tagName of transaction.tags) {
-    if (!tagName.trim()) continue;
-    
-    // Find or create the category
-    let category = await Category.findOne({
-      user_id: transaction.id_akun,
-      name: tagName,
-      type: transaction.tipe
-    }).session(session);
-    
-    if (category) {
-      // Update existing category
-      category.balance += amount;
-      await category.save({ session });
-    } else {
-      // Create new category
-      category = new Category({
-        user_id: transaction.id_akun,
-        name: tagName,
-        type: transaction.tipe,
-        balance: amount
-      });
-      await category.save({ session });
-    }
-  }
-}
+const { resolveWallet, applyTransaction, postTransaction, GoalInTrashError } = require('../services/ledgerService');
+const { categorize } = require('../services/categorizationService');
+const { fundFromTransaction } = require('../services/goalFundingService');
+const { MissingRateError } = require('../services/currencyService');
+const { recordChange } = require('../services/auditService');
+const { trashTransaction } = require('../services/trashService');
+const { InvalidQueryError, buildFilter, paginate } = require('../utils/listQuery');
+
+// Query parameters accepted by the transaction list endpoints
+const TRANSACTION_LIST = {
+  dateField: 'created_at',
+  equals: { tipe: 'tipe', category: 'category', wallet_id: 'wallet_id' },
+  tagsField: 'tags',
+  amountField: 'nominal',
+  textField: 'deskripsi',
+  sortFields: ['created_at', 'nominal', 'deskripsi', 'tipe'],
+  defaultSort: '-created_at'
+};
 
-// Get all transactions
+// Fields a caller may change through updateTransaction. The account, the
+// transfer endpoints and the currency are fixed; category_ids, the split
+// lines' category_id and the recurring fields are kept by the model and the
+// scheduler, and deleted_at only changes through the trash.
+const UPDATABLE_FIELDS = ['deskripsi', 'nominal', 'tipe', 'category', 'tags', 'splits', 'wallet_id', 'created_at'];
+
+// Admins can additionally filter the global list by account
+const ADMIN_TRANSACTION_LIST = {
+  ...TRANSACTION_LIST,
+  equals: { ...TRANSACTION_LIST.equals, id_akun: 'id_akun' }
+};
+
+// Get all transactions (filtered, sorted and paginated; see utils/listQuery)
 exports.getAllTransactions = async (req, res) => {
   try {
-    const transactions = await Transaction.find();
-    res.status(200).json(transactions);
+    const filter = buildFilter(req.query, ADMIN_TRANSACTION_LIST);
+    const page = await paginate(Transaction, filter, req.query, ADMIN_TRANSACTION_LIST);
+    res.status(200).json(page);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error instanceof InvalidQueryError ? 400 : 500).json({ message: error.message });
   }
 };
 
@@ -62,117 +57,187 @@ exports.getTransactionById = async (req, res) => {
 };
 
 // Create a new transaction
+// splits, when given, is a list of { category, amount, note } lines adding up to nominal
 exports.createTransaction = async (req, res) => {
+  // Transactions can only be created on the caller's own account
+  const accountId = req.body.id_akun || req.user.id;
+  if (String(accountId) !== req.user.id) {
+    return res.status(403).json({ message: 'Access denied' });
+  }
+  if (req.body.tipe === 'transfer') {
+    return res.status(400).json({ message: 'Use POST /api/transactions/transfer to move money' });
+  }
+
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
-    const transaction = new Transaction({
-      id_akun: req.body.id_akun,
+    const account = await Account.findById(accountId).session(session);
+    if (!account) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    // Post to the requested wallet, or the account's default wallet
+    const wallet = await resolveWallet(accountId, req.body.wallet_id, session);
+    if (!wallet) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'Wallet not found' });
+    }
+
+    // Fill in category and tags from the user's categorization rules
+    const data = await categorize(accountId, {
+      id_akun: accountId,
+      wallet_id: wallet._id,
       tipe: req.body.tipe,
       deskripsi: req.body.deskripsi,
       nominal: req.body.nominal,
-      category: req.body.category || 'lainnya',
-      tags: req.body.tags || [],
-      created_at: req.body.created_at || new Date()
-    });
+      currency: req.body.currency,
+      category: req.body.category,
+      tags: req.body.tags,
+      splits: req.body.splits,
+      created_at: req.body.created_at
+    }, session);
 
-    // Save the transaction
-    const newTransaction = await transaction.save({ session });
+    // Save the transaction and update wallet, account and category balances
+    const newTransaction = await postTransaction(data, session);
+    await recordChange(req.user, 'create', 'transaction', { after: newTransaction }, session);
 
-    // Update account balance
-    const account = await Account.findById(req.body.id_akun);
-    if (!account) {
+    // Put money aside for goals with income percentage or round-up rules
+    await fundFromTransaction(newTransaction, session, req.user);
+
+    await session.commitTransaction();
+    session.endSession();
+    
+    res.status(201).json(newTransaction);
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    res.status(error instanceof MissingRateError ? 422 : 400).json({ message: error.message });
+  }
+};
+
+// Move money between two of the caller's wallets
+exports.createTransfer = async (req, res) => {
+  const nominal = Number(req.body.nominal);
+  if (isNaN(nominal) || nominal <= 0) {
+    return res.status(400).json({ message: 'Invalid transfer amount' });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const fromWallet = await resolveWallet(req.user.id, req.body.from_wallet_id, session);
+    const toWallet = req.body.to_wallet_id
+      ? await resolveWallet(req.user.id, req.body.to_wallet_id, session)
+      : null;
+    if (!fromWallet || !toWallet) {
       await session.abortTransaction();
       session.endSession();
-      return res.status(404).json({ message: 'Account not found' });
+      return res.status(404).json({ message: 'Wallet not found' });
     }
-
-    // Update balance based on transaction type
-    if (req.body.tipe === 'income') {
-      account.balance += req.body.nominal;
-    } else if (req.body.tipe === 'expense') {
-      account.balance -= req.body.nominal;
+    if (fromWallet.currency !== toWallet.currency) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'Transfers between wallets in different currencies are not supported' });
     }
 
-    await Account.findByIdAndUpdate(
-      req.body.id_akun,
-      { balance: account.balance },
-      { session }
-    );
+    const transaction = new Transaction({
+      id_akun: req.user.id,
+      tipe: 'transfer',
+      transfer: {
+        from_wallet: fromWallet._id,
+        to_wallet: toWallet._id
+      },
+      deskripsi: req.body.deskripsi || `Transfer: ${fromWallet.name} -> ${toWallet.name}`,
+      nominal,
+      currency: fromWallet.currency,
+      category: 'transfer',
+      created_at: req.body.created_at || new Date()
+    });
+
+    const newTransaction = await transaction.save({ session });
 
-    // Update category balances
-    await updateCategoryBalances(newTransaction, session);
+    // Move the money between the two wallets
+    await applyTransaction(newTransaction, session);
+    await recordChange(req.user, 'create', 'transaction', { after: newTransaction }, session);
 
     await session.commitTransaction();
     session.endSession();
-    
+
     res.status(201).json(newTransaction);
   } catch (error) {
     await session.abortTransaction();
     session.endSession();
-    res.status(400).json({ message: error.message });
+    res.status(error instanceof MissingRateError ? 422 : 400).json({ message: error.message });
   }
 };
 
 // Update a transaction
+// Sending splits replaces all split lines; an empty list makes it unsplit again
 exports.updateTransaction = async (req, res) => {
+  const rejected = Object.keys(req.body).filter(field => !UPDATABLE_FIELDS.includes(field));
+  if (rejected.length > 0) {
+    return res.status(400).json({
+      message: `Fields cannot be updated: ${rejected.join(', ')}`,
+      allowed: UPDATABLE_FIELDS
+    });
+  }
+  // Split lines are linked to their categories by name
+  if (Array.isArray(req.body.splits) && req.body.splits.some(line => line && line.category_id !== undefined)) {
+    return res.status(400).json({ message: 'Split lines cannot set category_id; name the category instead' });
+  }
+  // Type changes to or from 'transfer' need a new transaction
+  if (req.body.tipe === 'transfer') {
+    return res.status(400).json({ message: 'Transfer source and destination cannot be changed' });
+  }
+
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
     // Get the original transaction
-    const originalTransaction = await Transaction.findById(req.params.id);
+    const originalTransaction = await Transaction.findById(req.params.id).session(session);
     if (!originalTransaction) {
       await session.abortTransaction();
       session.endSession();
       return res.status(404).json({ message: 'Transaction not found' });
     }
-
-    // Get the account
-    const account = await Account.findById(originalTransaction.id_akun);
-    if (!account) {
+    if (originalTransaction.tipe === 'transfer' && (req.body.tipe || req.body.wallet_id)) {
       await session.abortTransaction();
       session.endSession();
-      return res.status(404).json({ message: 'Account not found' });
+      return res.status(400).json({ message: 'Transfer source and destination cannot be changed' });
     }
 
-    // Revert the effect of the original transaction
-    if (originalTransaction.tipe === 'income') {
-      account.balance -= originalTransaction.nominal;
-    } else if (originalTransaction.tipe === 'expense') {
-      account.balance += originalTransaction.nominal;
+    // A new wallet must belong to the same account and hold the same currency
+    if (req.body.wallet_id) {
+      const wallet = await resolveWallet(originalTransaction.id_akun, req.body.wallet_id, session);
+      if (!wallet) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(404).json({ message: 'Wallet not found' });
+      }
+      if (wallet.currency !== originalTransaction.currency) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({ message: 'Cannot move a transaction to a wallet in another currency' });
+      }
     }
 
-    // Revert category balances for the original transaction
-    await updateCategoryBalances(originalTransaction, session, true);
+    // Revert the effect of the original transaction
+    const before = originalTransaction.toObject();
+    await applyTransaction(originalTransaction, session, true);
 
-    // Update the transaction
-    const updatedTransaction = await Transaction.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, session }
-    );
+    // Update the transaction; saving the document re-links its categories
+    const updatedTransaction = originalTransaction.set(req.body);
+    await updatedTransaction.save({ session });
 
     // Apply the effect of the updated transaction
-    const newTipe = req.body.tipe || originalTransaction.tipe;
-    const newNominal = req.body.nominal || originalTransaction.nominal;
-
-    if (newTipe === 'income') {
-      account.balance += newNominal;
-    } else if (newTipe === 'expense') {
-      account.balance -= newNominal;
-    }
-
-    // Save the updated account balance
-    await Account.findByIdAndUpdate(
-      account._id,
-      { balance: account.balance },
-      { session }
-    );
-
-    // Update category balances for the new transaction data
-    await updateCategoryBalances(updatedTransaction, session);
+    await applyTransaction(updatedTransaction, session);
+    await recordChange(req.user, 'update', 'transaction', { before, after: updatedTransaction }, session);
 
     await session.commitTransaction();
     session.endSession();
@@ -181,50 +246,32 @@ exports.updateTransaction = async (req, res) => {
   } catch (error) {
     await session.abortTransaction();
     session.endSession();
-    res.status(400).json({ message: error.message });
+    if (error instanceof GoalInTrashError) {
+      return res.status(409).json({ message: error.message });
+    }
+    res.status(error instanceof MissingRateError ? 422 : 400).json({ message: error.message });
   }
 };
 
 // Delete a transaction
+// It goes to the trash and can be restored until the purge job removes it
 exports.deleteTransaction = async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
-    const transaction = await Transaction.findById(req.params.id);
+    const transaction = await Transaction.findById(req.params.id).session(session);
     if (!transaction) {
       await session.abortTransaction();
       session.endSession();
       return res.status(404).json({ message: 'Transaction not found' });
     }
 
-    // Get the account
-    const account = await Account.findById(transaction.id_akun);
-    if (!account) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(404).json({ message: 'Account not found' });
-    }
-
-    // Update balance based on transaction type
-    if (transaction.tipe === 'income') {
-      account.balance -= transaction.nominal;
-    } else if (transaction.tipe === 'expense') {
-      account.balance += transaction.nominal;
-    }
-
-    // Update category balances (reverse the effect)
-    await updateCategoryBalances(transaction, session, true);
-
-    // Delete the transaction
-    await Transaction.findByIdAndDelete(req.params.id, { session });
-
-    // Save the updated account balance
-    await Account.findByIdAndUpdate(
-      account._id,
-      { balance: account.balance },
-      { session }
-    );
+    // Reverse the effect on wallet, account and category balances; the
+    // attachments stay with the transaction in the trash
+    const before = transaction.toObject();
+    await trashTransaction(transaction, session);
+    await recordChange(req.user, 'delete', 'transaction', { before }, session);
 
     await session.commitTransaction();
     session.endSession();
@@ -233,16 +280,23 @@ exports.deleteTransaction = async (req, res) => {
   } catch (error) {
     await session.abortTransaction();
     session.endSession();
-    res.status(500).json({ message: error.message });
+    if (error instanceof GoalInTrashError) {
+      return res.status(409).json({ message: error.message });
+    }
+    res.status(error instanceof MissingRateError ? 422 : 500).json({ message: error.message });
   }
 };
 
-// Get transactions by account
+// Get transactions by account (filtered, sorted and paginated; see utils/listQuery)
 exports.getTransactionsByAccount = async (req, res) => {
   try {
-    const transactions = await Transaction.find({ id_akun: req.params.accountId });
-    res.status(200).json(transactions);
+    const filter = {
+      ...buildFilter(req.query, TRANSACTION_LIST),
+      id_akun: req.params.accountId
+    };
+    const page = await paginate(Transaction, filter, req.query, TRANSACTION_LIST);
+    res.status(200).json(page);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error instanceof InvalidQueryError ? 400 : 500).json({ message: error.message });
   }
 };
\ No newline at end of file
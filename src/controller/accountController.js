@@ -1,4 +1,17 @@
 const Account = require('../model/Account');
+const Wallet = require('../model/Wallet');
+const { recordChange } = require('../services/auditService');
+const {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  AccountDeletionBlockedError,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  deleteAccountData
+} = require('../services/accountDeletionService');
+
+// Fields a caller may change through updateAccount. Email and password have
+// their own endpoints, and balance only changes through transactions.
+const UPDATABLE_FIELDS = ['username'];
 
 // Get all accounts
 exports.getAllAccounts = async (req, res) => {
@@ -28,13 +41,14 @@ exports.createAccount = async (req, res) => {
   const account = new Account({
     username: req.body.username,
     email: req.body.email,
-    password: req.body.password, // Note: In a real app, you should hash this password
-    balance: req.body.balance || 0, // Allow setting initial balance
+    password: req.body.password, // Hashed by the Account model before saving
+    currency: req.body.currency,
     is_admin: req.body.is_admin || false
   });
 
   try {
     const newAccount = await account.save();
+    await recordChange(req.user, 'create', 'account', { after: newAccount });
     res.status(201).json(newAccount);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -43,42 +57,174 @@ exports.createAccount = async (req, res) => {
 
 // Update an account
 exports.updateAccount = async (req, res) => {
+  const rejected = Object.keys(req.body).filter(field => !UPDATABLE_FIELDS.includes(field));
+  if (rejected.length > 0) {
+    return res.status(400).json({
+      message: `Fields cannot be updated: ${rejected.join(', ')}`,
+      allowed: UPDATABLE_FIELDS
+    });
+  }
+
   try {
+    const account = await Account.findById(req.params.id);
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
     const updatedAccount = await Account.findByIdAndUpdate(
       req.params.id,
       req.body,
-      { new: true }
+      { new: true, runValidators: true }
     );
-    if (!updatedAccount) {
+    await recordChange(req.user, 'update', 'account', { before: account, after: updatedAccount });
+    res.status(200).json(updatedAccount);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Username is already taken' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Change the account email (requires the current password)
+exports.changeEmail = async (req, res) => {
+  const { current_password, email } = req.body;
+  if (!current_password || !email) {
+    return res.status(400).json({ message: 'Current password and new email are required' });
+  }
+
+  try {
+    const account = await Account.findById(req.params.id).select('+password');
+    if (!account) {
       return res.status(404).json({ message: 'Account not found' });
     }
+    if (!(await account.comparePassword(current_password))) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    const before = account.toObject();
+    account.email = email;
+    const updatedAccount = await account.save();
+    await recordChange(req.user, 'update', 'account', { before, after: updatedAccount });
     res.status(200).json(updatedAccount);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Email is already registered' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Change the account password (requires the current password)
+exports.changePassword = async (req, res) => {
+  const { current_password, new_password } = req.body;
+  if (!current_password || !new_password) {
+    return res.status(400).json({ message: 'Current password and new password are required' });
+  }
+
+  try {
+    const account = await Account.findById(req.params.id).select('+password');
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+    if (!(await account.comparePassword(current_password))) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    // Hashed by the Account model before saving
+    account.password = new_password;
+    await account.save();
+    res.status(200).json({ message: 'Password updated successfully' });
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 };
 
-// Delete an account
+// Delete an account with all of its data
+// The deletion is scheduled after a grace period (see accountDeletionService)
+// and the response points to the full export so the user can save their data
+// first. Without a grace period the account is deleted right away and the
+// response summarizes what was removed; that needs ?confirm=true, and
+// without it the response only points to the export. Either way it is
+// refused while members of the account's shared goals still have money in
+// them.
 exports.deleteAccount = async (req, res) => {
   try {
-    const account = await Account.findByIdAndDelete(req.params.id);
+    const account = await Account.findById(req.params.id);
     if (!account) {
       return res.status(404).json({ message: 'Account not found' });
     }
-    res.status(200).json({ message: 'Account deleted successfully' });
+
+    const exportUrl = `/api/export/user/${account._id}?format=json&include_attachments=true`;
+    if (ACCOUNT_DELETION_GRACE_DAYS <= 0) {
+      if (req.query.confirm !== 'true') {
+        return res.status(400).json({
+          message: 'The account and all of its data are deleted right away; download the export first, then repeat the request with confirm=true',
+          export_url: exportUrl
+        });
+      }
+      const summary = await deleteAccountData(account, { actor: req.user });
+      return res.status(200).json({ message: 'Account deleted successfully', summary });
+    }
+
+    const before = account.toObject();
+    await scheduleAccountDeletion(account);
+    if (!before.deletion_scheduled_for) {
+      await recordChange(req.user, 'update', 'account', { before, after: account });
+    }
+
+    res.status(202).json({
+      message: 'Account scheduled for deletion',
+      deletion_scheduled_for: account.deletion_scheduled_for,
+      cancel_url: `/api/accounts/${account._id}/cancel-deletion`,
+      export_url: exportUrl
+    });
+  } catch (error) {
+    res.status(error instanceof AccountDeletionBlockedError ? 409 : 500).json({ message: error.message });
+  }
+};
+
+// Cancel a scheduled account deletion
+exports.cancelAccountDeletion = async (req, res) => {
+  try {
+    const account = await Account.findById(req.params.id);
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+    if (!account.deletion_scheduled_for) {
+      return res.status(400).json({ message: 'No deletion is scheduled for this account' });
+    }
+
+    const before = account.toObject();
+    await cancelAccountDeletion(account);
+    await recordChange(req.user, 'update', 'account', { before, after: account });
+    res.status(200).json(account);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
 
-// Get account balance
+// Get account balance (the sum across the account's wallets)
 exports.getAccountBalance = async (req, res) => {
   try {
     const account = await Account.findById(req.params.id);
     if (!account) {
       return res.status(404).json({ message: 'Account not found' });
     }
-    res.status(200).json({ balance: account.balance });
+
+    const wallets = await Wallet.find({ user_id: account._id }).sort({ created_at: 1 });
+    const balance = wallets.length > 0
+      ? wallets.reduce((sum, wallet) => sum + wallet.balance, 0)
+      : account.balance;
+
+    res.status(200).json({
+      balance,
+      wallets: wallets.map(wallet => ({
+        _id: wallet._id,
+        name: wallet.name,
+        type: wallet.type,
+        balance: wallet.balance
+      }))
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -0,0 +1,110 @@
+const ExchangeRate = require('../model/ExchangeRate');
+const { reconcileUser, reconcileAll } = require('../services/reconciliationService');
+const { MissingRateError, InvalidRateError, parseRates, importRates } = require('../services/currencyService');
+const { normalizeCurrency } = require('../utils/currency');
+
+/**
+ * @fileoverview Admin Controller
+ * 
+ * Maintenance endpoints available to admins only.
+ */
+
+/**
+ * Report balance drift between stored balances and the transaction ledger
+ * 
+ * @route GET /api/admin/reconciliation
+ * @param {string} [req.query.user_id] - Only check this account
+ * @param {boolean} [req.query.all] - Include accounts without drift
+ * @returns {Object} Drift report
+ */
+exports.getReconciliationReport = async (req, res) => {
+  try {
+    if (req.query.user_id) {
+      return res.status(200).json(await reconcileUser(req.query.user_id));
+    }
+    res.status(200).json(await reconcileAll({ onlyDrifted: req.query.all !== 'true' }));
+  } catch (error) {
+    const status = error.message === 'Account not found' ? 404
+      : error instanceof MissingRateError ? 422 : 500;
+    res.status(status).json({ message: error.message });
+  }
+};
+
+/**
+ * Rebuild stored balances from the transaction ledger
+ * 
+ * @route POST /api/admin/reconciliation/fix
+ * @param {string} [req.body.user_id] - Only fix this account
+ * @returns {Object} Drift report of what was corrected
+ */
+exports.fixBalances = async (req, res) => {
+  try {
+    if (req.body.user_id) {
+      return res.status(200).json(await reconcileUser(req.body.user_id, { fix: true }));
+    }
+    res.status(200).json(await reconcileAll({ fix: true }));
+  } catch (error) {
+    const status = error.message === 'Account not found' ? 404
+      : error instanceof MissingRateError ? 422 : 500;
+    res.status(status).json({ message: error.message });
+  }
+};
+
+/**
+ * List stored exchange rates, newest first
+ * 
+ * @route GET /api/admin/exchange-rates
+ * @param {string} [req.query.from] - Only rates from this currency
+ * @param {string} [req.query.to] - Only rates into this currency
+ * @returns {Array} Exchange rates
+ */
+exports.getExchangeRates = async (req, res) => {
+  try {
+    const filter = {};
+    for (const key of ['from', 'to']) {
+      if (req.query[key] === undefined) continue;
+      const code = normalizeCurrency(req.query[key]);
+      if (!code) {
+        return res.status(400).json({ message: `Invalid currency code: ${req.query[key]}` });
+      }
+      filter[key] = code;
+    }
+    
+    const rates = await ExchangeRate.find(filter).sort({ date: -1, from: 1, to: 1 });
+    res.status(200).json(rates);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Add or replace exchange rates
+ * 
+ * Rates are given either as a list or as the content of a rate file. A rate
+ * for a pair and day that is already stored is replaced. Nothing is stored
+ * when any rate is invalid.
+ * 
+ * @route POST /api/admin/exchange-rates
+ * @param {Array} [req.body.rates] - { from, to, date, rate } objects
+ * @param {string} [req.body.content] - Rate file content, if no rates are given
+ * @param {string} [req.body.format='csv'] - Format of content: 'csv' or 'json'
+ * @returns {Object} { inserted, updated }
+ */
+exports.importExchangeRates = async (req, res) => {
+  try {
+    let entries = req.body.rates;
+    if (entries === undefined) {
+      if (typeof req.body.content !== 'string') {
+        return res.status(400).json({ message: 'Provide rates or file content' });
+      }
+      entries = parseRates(req.body.content, req.body.format || 'csv');
+    }
+    if (!Array.isArray(entries)) {
+      return res.status(400).json({ message: 'rates must be an array' });
+    }
+    
+    res.status(200).json(await importRates(entries, 'api'));
+  } catch (error) {
+    res.status(error instanceof InvalidRateError ? 400 : 500).json({ message: error.message });
+  }
+};
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const Attachment = require('../model/Attachment');
+const Transaction = require('../model/Transaction');
+const {
+  ATTACHMENT_TYPES,
+  InvalidAttachmentError,
+  storeAttachment,
+  openAttachment,
+  removeAttachmentFiles
+} = require('../services/attachmentService');
+const { attachmentDisposition } = require('../utils/contentDisposition');
+
+/**
+ * @fileoverview Attachment Controller
+ * 
+ * Handles receipts and other files attached to a transaction. Files are
+ * uploaded as the raw request body with their type in Content-Type; the
+ * routes check the type and size before these handlers run.
+ */
+
+// Load an attachment of the transaction in the URL
+async function findAttachment(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.attachmentId)) return null;
+  return Attachment.findOne({ _id: req.params.attachmentId, transaction_id: req.params.id });
+}
+
+/**
+ * List the attachments of a transaction
+ * 
+ * @route GET /api/transactions/:id/attachments
+ * @param {string} req.params.id - The ID of the transaction
+ * @returns {Array} Attachments, oldest first
+ */
+exports.getAttachments = async (req, res) => {
+  try {
+    const attachments = await Attachment.find({ transaction_id: req.params.id }).sort({ created_at: 1 });
+    res.status(200).json(attachments);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Attach a file to a transaction
+ * 
+ * @route POST /api/transactions/:id/attachments
+ * @param {string} req.params.id - The ID of the transaction
+ * @param {Buffer} req.body - File content, sent as the raw request body
+ * @param {string} req.headers.content-type - 'image/jpeg', 'image/png', 'image/webp' or 'application/pdf'
+ * @param {string} [req.query.filename] - Original file name, used for downloads
+ * @returns {Object} The new attachment
+ */
+exports.uploadAttachment = async (req, res) => {
+  try {
+    const transaction = await Transaction.findById(req.params.id);
+    if (!transaction) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+    
+    const attachment = await storeAttachment(transaction, {
+      buffer: req.body,
+      mimeType: req.is(Object.keys(ATTACHMENT_TYPES)),
+      filename: req.query.filename
+    });
+    res.status(201).json(attachment);
+  } catch (error) {
+    res.status(error instanceof InvalidAttachmentError ? 400 : 500).json({ message: error.message });
+  }
+};
+
+/**
+ * Download an attachment
+ * 
+ * @route GET /api/transactions/:id/attachments/:attachmentId
+ * @param {string} req.params.id - The ID of the transaction
+ * @param {string} req.params.attachmentId - The ID of the attachment
+ * @returns {Stream} The file with its original name
+ */
+exports.downloadAttachment = async (req, res) => {
+  try {
+    const attachment = await findAttachment(req);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+    
+    let content;
+    try {
+      content = await openAttachment(attachment);
+    } catch (error) {
+      return res.status(404).json({ message: 'Attachment content is missing' });
+    }
+    
+    res.status(200);
+    res.setHeader('Content-Type', attachment.mime_type);
+    res.setHeader('Content-Length', attachment.size);
+    res.setHeader('Content-Disposition', attachmentDisposition(attachment.filename));
+    content.on('error', error => {
+      console.error('Attachment download failed mid-stream:', error);
+      res.destroy(error);
+    });
+    content.pipe(res);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Delete an attachment and its stored file
+ * 
+ * @route DELETE /api/transactions/:id/attachments/:attachmentId
+ * @param {string} req.params.id - The ID of the transaction
+ * @param {string} req.params.attachmentId - The ID of the attachment
+ * @returns {Object} Success message
+ */
+exports.deleteAttachment = async (req, res) => {
+  try {
+    const attachment = await findAttachment(req);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+    
+    await attachment.deleteOne();
+    await removeAttachmentFiles([attachment]);
+    res.status(200).json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../model/AuditLog');
+const { InvalidQueryError, buildFilter, paginate } = require('../utils/listQuery');
+const { UndoNotSupportedError, UndoConflictError, undoChange } = require('../services/auditService');
+const { RestoreConflictError, TrashConflictError } = require('../services/trashService');
+const { GoalInTrashError } = require('../services/ledgerService');
+const { MissingRateError } = require('../services/currencyService');
+
+/**
+ * @fileoverview Audit Controller
+ * 
+ * Lets users review the changes made to their transactions, goals,
+ * categories and account, and undo a single change.
+ */
+
+// Query parameters accepted by getAuditLog (same semantics as transaction lists)
+const AUDIT_LIST = {
+  dateField: 'created_at',
+  equals: {
+    action: 'action',
+    entity_type: 'entity_type',
+    entity_id: 'entity_id',
+    actor_id: 'actor_id'
+  },
+  sortFields: ['created_at'],
+  defaultSort: '-created_at'
+};
+
+// Entries the caller may see: changes to their own records and changes they made
+function visibleTo(userId) {
+  return { $or: [{ user_id: userId }, { actor_id: userId }] };
+}
+
+/**
+ * Get the caller's audit log
+ * 
+ * Supports from/to on created_at, action, entity_type, entity_id and
+ * actor_id filters, sort and cursor pagination (see utils/listQuery).
+ * 
+ * @route GET /api/audit
+ * @returns {Object} { data, total, limit, next_cursor } with audit entries, newest first
+ */
+exports.getAuditLog = async (req, res) => {
+  try {
+    for (const param of ['entity_id', 'actor_id']) {
+      const ids = req.query[param] ? String(req.query[param]).split(',') : [];
+      if (ids.some(id => !mongoose.Types.ObjectId.isValid(id.trim()))) {
+        throw new InvalidQueryError(`Invalid ID for ${param}`);
+      }
+    }
+    
+    const filter = { ...buildFilter(req.query, AUDIT_LIST), ...visibleTo(req.user.id) };
+    const page = await paginate(AuditLog, filter, req.query, AUDIT_LIST);
+    res.status(200).json(page);
+  } catch (error) {
+    res.status(error instanceof InvalidQueryError ? 400 : 500).json({ message: error.message });
+  }
+};
+
+/**
+ * Get a single audit entry
+ * 
+ * @route GET /api/audit/:id
+ * @param {string} req.params.id - The ID of the entry
+ * @returns {Object} Audit entry
+ */
+exports.getAuditEntry = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Audit entry not found' });
+    }
+    const entry = await AuditLog.findOne({ _id: req.params.id, ...visibleTo(req.user.id) });
+    if (!entry) {
+      return res.status(404).json({ message: 'Audit entry not found' });
+    }
+    res.status(200).json(entry);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Undo one logged change
+ * 
+ * Reverts the record to its state before the change, together with the
+ * wallet, account, category and goal balances the change moved. Only the
+ * latest change of a record can be undone, and each change only once.
+ * Category deletions and merges and account creation and deletion cannot
+ * be undone.
+ * 
+ * @route POST /api/audit/:id/undo
+ * @param {string} req.params.id - The ID of the entry to undo
+ * @returns {Object} The audit entry recording the undo
+ */
+exports.undoAuditEntry = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Audit entry not found' });
+    }
+    const entry = await AuditLog.findOne({ _id: req.params.id, ...visibleTo(req.user.id) });
+    if (!entry) {
+      return res.status(404).json({ message: 'Audit entry not found' });
+    }
+    
+    const undo = await undoChange(entry, req.user);
+    res.status(200).json(undo);
+  } catch (error) {
+    if (error instanceof UndoNotSupportedError) {
+      return res.status(400).json({ message: error.message });
+    }
+    const conflicts = [UndoConflictError, RestoreConflictError, TrashConflictError, GoalInTrashError];
+    if (conflicts.some(ErrorClass => error instanceof ErrorClass) || error.code === 11000) {
+      return res.status(409).json({ message: error.message });
+    }
+    if (error instanceof MissingRateError) {
+      return res.status(422).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
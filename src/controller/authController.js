@@ -0,0 +1,93 @@
+const Account = require('../model/Account');
+const { isHashed } = require('../utils/password');
+const { signToken } = require('../utils/token');
+const { recordChange } = require('../services/auditService');
+
+/**
+ * @fileoverview Auth Controller
+ * 
+ * Handles account registration and login, issuing bearer tokens that are
+ * required by every other /api route.
+ */
+
+function issueToken(account) {
+  return signToken({ sub: account._id.toString(), is_admin: account.is_admin });
+}
+
+/**
+ * Register a new account
+ * 
+ * @route POST /api/auth/register
+ * @param {string} req.body.username - Unique username
+ * @param {string} req.body.email - Unique email address
+ * @param {string} req.body.password - Plaintext password, hashed before saving
+ * @param {string} [req.body.currency='IDR'] - Base currency of the account
+ * @returns {Object} { token, account }
+ */
+exports.register = async (req, res) => {
+  const { username, email, password, currency } = req.body;
+  
+  if (!username || !email || !password) {
+    return res.status(400).json({ message: 'Username, email and password are required' });
+  }
+  
+  const account = new Account({
+    username,
+    email,
+    password,
+    currency
+  });
+  
+  try {
+    const newAccount = await account.save();
+    // A new user registers themselves
+    await recordChange({ id: newAccount._id }, 'create', 'account', { after: newAccount });
+    res.status(201).json({
+      token: issueToken(newAccount),
+      account: newAccount
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Username or email is already registered' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Log in with email or username and password
+ * 
+ * @route POST /api/auth/login
+ * @param {string} [req.body.email] - Email address
+ * @param {string} [req.body.username] - Username, used when email is not given
+ * @param {string} req.body.password - Plaintext password
+ * @returns {Object} { token, account }
+ */
+exports.login = async (req, res) => {
+  const { email, username, password } = req.body;
+  
+  if ((!email && !username) || !password) {
+    return res.status(400).json({ message: 'Email or username and password are required' });
+  }
+  
+  try {
+    const account = await Account.findOne(email ? { email } : { username }).select('+password');
+    if (!account || !(await account.comparePassword(password))) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+    
+    // Upgrade accounts that still hold a plaintext password
+    if (!isHashed(account.password)) {
+      account.password = password;
+      account.markModified('password');
+      await account.save();
+    }
+    
+    res.status(200).json({
+      token: issueToken(account),
+      account
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
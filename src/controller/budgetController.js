@@ -0,0 +1,199 @@
+const Budget = require('../model/Budget');
+const Account = require('../model/Account');
+const Share = require('../model/Share');
+const { getBudgetStatus } = require('../services/budgetService');
+const { MissingRateError } = require('../services/currencyService');
+
+/**
+ * @fileoverview Budget Controller
+ * 
+ * Handles CRUD operations for category budgets and reports spending
+ * against them per period.
+ */
+
+// Fields a caller may change through updateBudget; ownership and the
+// creation date are fixed
+const UPDATABLE_FIELDS = ['category', 'period', 'amount', 'rollover', 'start_date'];
+
+// Upper bound for the number of past periods a status request may ask for
+const MAX_HISTORY = 24;
+
+function parseHistory(value) {
+  const history = value === undefined ? 3 : parseInt(value, 10);
+  if (isNaN(history) || history < 0) return 3;
+  return Math.min(history, MAX_HISTORY);
+}
+
+/**
+ * Get all budgets for a specific user
+ * 
+ * @route GET /api/budgets/user/:userId
+ * @param {string} req.params.userId - The ID of the user
+ * @returns {Array} Array of budget objects
+ */
+exports.getUserBudgets = async (req, res) => {
+  try {
+    const budgets = await Budget.find({ user_id: req.params.userId }).sort({ category: 1 });
+    res.status(200).json(budgets);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Get the status of all of a user's budgets
+ * 
+ * @route GET /api/budgets/user/:userId/status
+ * @param {string} req.params.userId - The ID of the user
+ * @param {number} [req.query.history=3] - Number of past periods to include (max 24)
+ * @returns {Array} Budget status objects with spent, remaining and percent used
+ */
+exports.getUserBudgetStatus = async (req, res) => {
+  try {
+    const history = parseHistory(req.query.history);
+    const budgets = await Budget.find({ user_id: req.params.userId }).sort({ category: 1 });
+    
+    const statuses = [];
+    for (const budget of budgets) {
+      statuses.push(await getBudgetStatus(budget, { history }));
+    }
+    
+    res.status(200).json(statuses);
+  } catch (error) {
+    res.status(error instanceof MissingRateError ? 422 : 500).json({ message: error.message });
+  }
+};
+
+/**
+ * Create a budget for a user
+ * 
+ * @route POST /api/budgets/user/:userId
+ * @param {string} req.params.userId - The ID of the user
+ * @param {string} req.body.category - Expense category name
+ * @param {number} req.body.amount - Spending limit per period
+ * @param {string} [req.body.period='monthly'] - 'monthly' or 'weekly'
+ * @param {boolean} [req.body.rollover=false] - Carry unused budget into the next period
+ * @param {Date} [req.body.start_date] - First period the budget applies to, defaults to now
+ * @returns {Object} Newly created budget
+ */
+exports.createBudget = async (req, res) => {
+  try {
+    const account = await Account.findById(req.params.userId);
+    if (!account) {
+      return res.status(404).json({ message: 'User account not found' });
+    }
+    
+    const budget = new Budget({
+      user_id: req.params.userId,
+      category: req.body.category,
+      period: req.body.period,
+      amount: req.body.amount,
+      rollover: req.body.rollover || false,
+      start_date: req.body.start_date || new Date()
+    });
+    
+    const newBudget = await budget.save();
+    res.status(201).json(newBudget);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A budget for this category and period already exists' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Get a specific budget by ID
+ * 
+ * @route GET /api/budgets/:id
+ * @param {string} req.params.id - The ID of the budget
+ * @returns {Object} Budget object
+ */
+exports.getBudgetById = async (req, res) => {
+  try {
+    const budget = await Budget.findById(req.params.id);
+    if (!budget) {
+      return res.status(404).json({ message: 'Budget not found' });
+    }
+    res.status(200).json(budget);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Get the status of a single budget
+ * 
+ * @route GET /api/budgets/:id/status
+ * @param {string} req.params.id - The ID of the budget
+ * @param {number} [req.query.history=3] - Number of past periods to include (max 24)
+ * @returns {Object} Budget status with spent, remaining and percent used per period
+ */
+exports.getBudgetStatus = async (req, res) => {
+  try {
+    const budget = await Budget.findById(req.params.id);
+    if (!budget) {
+      return res.status(404).json({ message: 'Budget not found' });
+    }
+    res.status(200).json(await getBudgetStatus(budget, { history: parseHistory(req.query.history) }));
+  } catch (error) {
+    res.status(error instanceof MissingRateError ? 422 : 500).json({ message: error.message });
+  }
+};
+
+/**
+ * Update a budget
+ * 
+ * @route PUT /api/budgets/:id
+ * @param {string} req.params.id - The ID of the budget
+ * @param {Object} req.body - Updated category, period, amount, rollover and/or start_date
+ * @returns {Object} Updated budget object
+ */
+exports.updateBudget = async (req, res) => {
+  const rejected = Object.keys(req.body).filter(field => !UPDATABLE_FIELDS.includes(field));
+  if (rejected.length > 0) {
+    return res.status(400).json({
+      message: `Fields cannot be updated: ${rejected.join(', ')}`,
+      allowed: UPDATABLE_FIELDS
+    });
+  }
+  
+  try {
+    const updatedBudget = await Budget.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+    
+    if (!updatedBudget) {
+      return res.status(404).json({ message: 'Budget not found' });
+    }
+    
+    res.status(200).json(updatedBudget);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A budget for this category and period already exists' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Delete a budget
+ * 
+ * @route DELETE /api/budgets/:id
+ * @param {string} req.params.id - The ID of the budget
+ * @returns {Object} Success message
+ */
+exports.deleteBudget = async (req, res) => {
+  try {
+    const deletedBudget = await Budget.findByIdAndDelete(req.params.id);
+    if (!deletedBudget) {
+      return res.status(404).json({ message: 'Budget not found' });
+    }
+    await Share.deleteMany({ resource_type: 'budget', resource_id: deletedBudget._id });
+    res.status(200).json({ message: 'Budget deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -1,14 +1,40 @@
 const Category = require('../model/Category');
 const Transaction = require('../model/Transaction');
 const mongoose = require('mongoose');
+const { InvalidQueryError, buildFilter, parseSort } = require('../utils/listQuery');
+const { recalculateCategoryBalances, categoryShares } = require('../services/ledgerService');
+const categoryService = require('../services/categoryService');
+const { MissingRateError } = require('../services/currencyService');
+const { recordChange } = require('../services/auditService');
+
+// Query parameters accepted by getUserCategories (same semantics as transaction lists)
+const CATEGORY_LIST = {
+  dateField: 'created_at',
+  equals: { type: 'type' },
+  amountField: 'balance',
+  textField: 'name',
+  sortFields: ['name', 'balance', 'created_at', 'type'],
+  defaultSort: 'name'
+};
+
+// Fields a caller may change through updateCategory. Ownership is fixed, the
+// balance is derived from transactions and deleted_at only changes through
+// the trash.
+const UPDATABLE_FIELDS = ['name', 'type', 'parent_id'];
 
 // Get all categories for a user
 exports.getUserCategories = async (req, res) => {
   try {
-    const categories = await Category.find({ user_id: req.params.userId });
+    const filter = {
+      ...buildFilter(req.query, CATEGORY_LIST),
+      user_id: req.params.userId
+    };
+    const sort = parseSort(req.query.sort, CATEGORY_LIST);
+    
+    const categories = await Category.find(filter).sort({ [sort.field]: sort.direction });
     res.status(200).json(categories);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error instanceof InvalidQueryError ? 400 : 500).json({ message: error.message });
   }
 };
 
@@ -26,16 +52,18 @@ exports.getCategoryById = async (req, res) => {
 };
 
 // Create a new category manually
+// It starts at a zero balance, which only transactions change
 exports.createCategory = async (req, res) => {
   const category = new Category({
     user_id: req.params.userId,
     name: req.body.name,
     type: req.body.type,
-    balance: req.body.balance || 0
+    parent_id: req.body.parent_id || null
   });
 
   try {
     const newCategory = await category.save();
+    await recordChange(req.user, 'create', 'category', { after: newCategory });
     res.status(201).json(newCategory);
   } catch (error) {
     // Handle duplicate key error
@@ -49,20 +77,55 @@ exports.createCategory = async (req, res) => {
 };
 
 // Update a category
+// A rename rewrites the name in linked transactions, budgets and rules in the same session
 exports.updateCategory = async (req, res) => {
+  const rejected = Object.keys(req.body).filter(field => !UPDATABLE_FIELDS.includes(field));
+  if (rejected.length > 0) {
+    return res.status(400).json({
+      message: `Fields cannot be updated: ${rejected.join(', ')}`,
+      allowed: UPDATABLE_FIELDS
+    });
+  }
+  const updates = req.body;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
   try {
-    const updatedCategory = await Category.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true }
-    );
-    
-    if (!updatedCategory) {
+    const category = await Category.findById(req.params.id).session(session);
+    if (!category) {
+      await session.abortTransaction();
+      session.endSession();
       return res.status(404).json({ message: 'Category not found' });
     }
     
-    res.status(200).json(updatedCategory);
+    // Linked transactions are of the category's type
+    if (updates.type && updates.type !== category.type) {
+      const linked = await Transaction.exists({ category_ids: category._id }).session(session);
+      if (linked) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({ message: 'Cannot change the type of a category that has transactions' });
+      }
+    }
+    
+    const before = category.toObject();
+    const oldName = category.name;
+    category.set(updates);
+    await category.save({ session });
+    
+    if (category.name !== oldName) {
+      await categoryService.renameCategoryReferences(category, oldName, session);
+    }
+    await recordChange(req.user, 'update', 'category', { before, after: category }, session);
+    
+    await session.commitTransaction();
+    session.endSession();
+    
+    res.status(200).json(category);
   } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
     if (error.code === 11000) {
       return res.status(400).json({ 
         message: 'A category with this name already exists for this user and type' 
@@ -72,80 +135,177 @@ exports.updateCategory = async (req, res) => {
   }
 };
 
-// Delete a category
+// Load the category that takes over another category's transactions
+// Returns an error message instead when it cannot be used
+async function loadTargetCategory(category, targetId, session) {
+  if (!mongoose.Types.ObjectId.isValid(targetId)) {
+    return { error: 'Invalid target category ID' };
+  }
+  if (category._id.equals(targetId)) {
+    return { error: 'A category cannot be merged into itself' };
+  }
+  
+  const target = await Category.findOne({ _id: targetId, user_id: category.user_id }).session(session);
+  if (!target) {
+    return { error: 'Target category not found' };
+  }
+  if (target.type !== category.type) {
+    return { error: 'Target category must have the same type' };
+  }
+  return { target };
+}
+
+// Delete a category, moving it to the trash
+// Requires ?reassign_to=<categoryId> to move its transactions into another
+// category, or ?mode=untag to remove the tag from them
 exports.deleteCategory = async (req, res) => {
+  const { reassign_to, mode } = req.query;
+  if (!reassign_to && mode !== 'untag') {
+    return res.status(400).json({
+      message: 'Specify reassign_to with a target category or mode=untag'
+    });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
   try {
-    const deletedCategory = await Category.findByIdAndDelete(req.params.id);
-    
-    if (!deletedCategory) {
+    const category = await Category.findById(req.params.id).session(session);
+    if (!category) {
+      await session.abortTransaction();
+      session.endSession();
       return res.status(404).json({ message: 'Category not found' });
     }
     
-    res.status(200).json({ message: 'Category deleted successfully' });
+    let target = null;
+    if (reassign_to) {
+      const result = await loadTargetCategory(category, reassign_to, session);
+      if (result.error) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({ message: result.error });
+      }
+      target = result.target;
+    } else {
+      // Split lines always need a category, so they can only be moved,
+      // also in the trash
+      const split = await Transaction.exists({ 'splits.category_id': category._id })
+        .setOptions({ withDeleted: true })
+        .session(session);
+      if (split) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({
+          message: 'Transactions are split into this category; use reassign_to to move their lines'
+        });
+      }
+    }
+    
+    const { transactions } = await categoryService.removeCategory(category, target, session);
+    await recordChange(req.user, 'delete', 'category', {
+      before: category,
+      details: { reassigned_to: target ? target._id : null, transactions_updated: transactions }
+    }, session);
+    
+    await session.commitTransaction();
+    session.endSession();
+    
+    res.status(200).json({
+      message: 'Category deleted successfully',
+      transactions_updated: transactions,
+      reassigned_to: target ? target._id : null
+    });
   } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
     res.status(500).json({ message: error.message });
   }
 };
 
-// Get category summary with transaction counts and totals
-exports.getCategorySummary = async (req, res) => {
+// Merge a category into another one
+// Its transactions, sub-categories, budgets and rules move to the target and it goes to the trash
+exports.mergeCategory = async (req, res) => {
+  if (!req.body.target_id) {
+    return res.status(400).json({ message: 'target_id is required' });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
   try {
-    const userId = req.params.userId;
+    const category = await Category.findById(req.params.id).session(session);
+    if (!category) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'Category not found' });
+    }
     
-    // Get all categories for this user
-    const categories = await Category.find({ user_id: userId });
+    const { target, error } = await loadTargetCategory(category, req.body.target_id, session);
+    if (error) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: error });
+    }
     
-    // Get category summaries with transaction counts
-    const summary = await Transaction.aggregate([
-      { 
-        $match: { 
-          id_akun: new mongoose.Types.ObjectId(userId) 
-        } 
-      },
-      {
-        $unwind: '$tags'
-      },
-      {
-        $group: {
-          _id: {
-            category: '$tags',
-            type: '$tipe'
-          },
-          count: { $sum: 1 },
-          total: { $sum: '$nominal' }
-        }
-      },
-      {
-        $project: {
-          _id: 0,
-          name: '$_id.category',
-          type: '$_id.type',
-          count: 1,
-          total: 1
-        }
-      }
-    ]);
+    // The target would end up as its own ancestor
+    const categories = await Category.find({ user_id: category.user_id }).session(session);
+    const chain = categoryService.ancestorChains(categories).get(String(target._id));
+    if (chain.includes(String(category._id))) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'Cannot merge a category into one of its sub-categories' });
+    }
     
-    // Merge with categories collection data
-    const result = summary.map(item => {
-      const existingCategory = categories.find(
-        c => c.name === item.name && c.type === item.type
-      );
-      
-      return {
-        ...item,
-        _id: existingCategory?._id || null,
-        balance: existingCategory?.balance || item.total
-      };
+    const { transactions } = await categoryService.removeCategory(category, target, session, {
+      adoptChildren: true
     });
+    const merged = await Category.findById(target._id).session(session);
+    await recordChange(req.user, 'delete', 'category', {
+      before: category,
+      details: { merged_into: target._id, transactions_updated: transactions }
+    }, session);
     
-    res.status(200).json(result);
+    await session.commitTransaction();
+    session.endSession();
+    
+    res.status(200).json({
+      message: 'Categories merged successfully',
+      transactions_updated: transactions,
+      category: merged
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Get a user's categories nested under their parents
+exports.getCategoryTree = async (req, res) => {
+  try {
+    const filter = { user_id: req.params.userId };
+    if (req.query.type) filter.type = req.query.type;
+    
+    const categories = await Category.find(filter).sort({ name: 1 }).lean();
+    res.status(200).json(categoryService.buildCategoryTree(categories));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
 
+// Get category summary with transaction counts and totals
+// rollup_count and rollup_total include the category's sub-categories
+exports.getCategorySummary = async (req, res) => {
+  try {
+    const summary = await categoryService.getCategorySummary(req.params.userId);
+    res.status(200).json(summary);
+  } catch (error) {
+    res.status(error instanceof MissingRateError ? 422 : 500).json({ message: error.message });
+  }
+};
+
 // Generate categories from transaction tags
+// Creates categories for tags that have none and recomputes every balance
 exports.generateCategoriesFromTags = async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
@@ -153,74 +313,17 @@ exports.generateCategoriesFromTags = async (req, res) => {
   try {
     const userId = req.params.userId;
     
-    // Get all transactions for this user
-    const transactions = await Transaction.find({ id_akun: userId });
-    
-    // Get existing categories first to avoid unnecessary database queries
-    const existingCategories = await Category.find({ user_id: userId });
-    
-    // Extract unique tags and their types
-    const tagData = new Map();
+    const changes = await recalculateCategoryBalances(userId, session);
+    const created = changes.filter(change => change.before === null).length;
+    const updated = changes.length - created;
     
-    transactions.forEach(transaction => {
-      if (!transaction.tags || transaction.tags.length === 0) return;
-      
-      transaction.tags.forEach(tag => {
-        // Skip empty tags
-        if (!tag.trim()) return;
-        
-        const key = `${tag}-${transaction.tipe}`;
-        
-        if (!tagData.has(key)) {
-          tagData.set(key, {
-            name: tag,
-            type: transaction.tipe,
-            balance: 0
-          });
-        }
-        
-        const data = tagData.get(key);
-        data.balance += transaction.nominal;
-      });
-    });
-    
-    // Create categories from tags
-    const categories = [];
-    const newCategories = [];
-    const updatedCategories = [];
-    
-    for (const categoryData of tagData.values()) {
-      // Check if category already exists using the in-memory list
-      const existingCategory = existingCategories.find(
-        c => c.name === categoryData.name && c.type === categoryData.type
-      );
-      
-      if (existingCategory) {
-        // Update existing category
-        existingCategory.balance = categoryData.balance;
-        await existingCategory.save({ session });
-        categories.push(existingCategory);
-        updatedCategories.push(existingCategory);
-      } else {
-        // Create new category
-        const newCategory = new Category({
-          user_id: userId,
-          name: categoryData.name,
-          type: categoryData.type,
-          balance: categoryData.balance
-        });
-        
-        await newCategory.save({ session });
-        categories.push(newCategory);
-        newCategories.push(newCategory);
-      }
-    }
+    const categories = await Category.find({ user_id: userId }).session(session);
     
     await session.commitTransaction();
     session.endSession();
     
     res.status(200).json({
-      message: `Successfully processed categories: ${newCategories.length} created, ${updatedCategories.length} updated`,
+      message: `Successfully processed categories: ${created} created, ${updated} updated`,
       categories
     });
   } catch (error) {
@@ -231,6 +334,8 @@ exports.generateCategoriesFromTags = async (req, res) => {
 };
 
 // Add this function to get categorized transactions
+// Each tag carries the amount the transaction adds to it, which for split
+// transactions is the total of its lines in that category
 exports.getCategorizedTransactions = async (req, res) => {
   try {
     const userId = req.params.userId;
@@ -238,6 +343,7 @@ exports.getCategorizedTransactions = async (req, res) => {
     // Get transactions with tags for this user
     const transactions = await Transaction.find({ 
       id_akun: userId,
+      tipe: { $ne: 'transfer' },
       tags: { $exists: true, $ne: [] } 
     }).sort({ created_at: -1 });
     
@@ -246,19 +352,24 @@ exports.getCategorizedTransactions = async (req, res) => {
     
     // Map category details to transactions
     const result = transactions.map(tx => {
+      const shares = categoryShares(tx);
       const categoryDetails = tx.tags.map(tag => {
         const matchingCategory = categories.find(
-          c => c.name === tag && c.type === tx.tipe
+          c => c.name === tag && tx.category_ids.some(id => id.equals(c._id))
         );
         
         return matchingCategory ? {
           name: tag,
+          amount: shares.get(String(matchingCategory._id)) || 0,
           balance: matchingCategory.balance,
-          id: matchingCategory._id
+          id: matchingCategory._id,
+          parent_id: matchingCategory.parent_id
         } : {
           name: tag,
+          amount: tx.splits.length > 0 ? 0 : tx.nominal,
           balance: 0,
-          id: null
+          id: null,
+          parent_id: null
         };
       });
       
@@ -269,7 +380,8 @@ exports.getCategorizedTransactions = async (req, res) => {
         tipe: tx.tipe,
         category: tx.category,
         created_at: tx.created_at,
-        tags: categoryDetails
+        tags: categoryDetails,
+        splits: tx.splits
       };
     });
     
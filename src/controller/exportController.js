@@ -0,0 +1,77 @@
+const Account = require('../model/Account');
+const { InvalidQueryError, buildFilter } = require('../utils/listQuery');
+const { CSV_DATASETS, streamCsv, streamJsonBackup } = require('../services/exportService');
+const { attachmentDisposition } = require('../utils/contentDisposition');
+
+/**
+ * @fileoverview Export Controller
+ * 
+ * Lets a user download their financial data as CSV or as a JSON backup.
+ */
+
+/**
+ * Export a user's data
+ * 
+ * @route GET /api/export/user/:userId
+ * @param {string} req.params.userId - The ID of the user
+ * @param {string} [req.query.format='json'] - 'csv' or 'json'
+ * @param {string} [req.query.dataset='transactions'] - CSV only: 'transactions', 'categories' or 'goals'
+ * @param {string} [req.query.from] - Only export transactions on or after this date
+ * @param {string} [req.query.to] - Only export transactions up to this date
+ * @param {boolean} [req.query.include_attachments] - JSON only: embed attachment files as base64
+ * @returns {Stream} CSV file or JSON backup as an attachment
+ */
+exports.exportUserData = async (req, res) => {
+  const format = req.query.format || 'json';
+  const dataset = req.query.dataset || 'transactions';
+  
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).json({ message: "format must be 'csv' or 'json'" });
+  }
+  if (format === 'csv' && !CSV_DATASETS[dataset]) {
+    return res.status(400).json({
+      message: `dataset must be one of: ${Object.keys(CSV_DATASETS).join(', ')}`
+    });
+  }
+  
+  let range;
+  try {
+    range = buildFilter(req.query, { dateField: 'created_at' }).created_at;
+  } catch (error) {
+    return res.status(error instanceof InvalidQueryError ? 400 : 500).json({ message: error.message });
+  }
+  
+  try {
+    const account = await Account.findById(req.params.userId);
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+    
+    const date = new Date().toISOString().slice(0, 10);
+    const name = format === 'csv'
+      ? `${account.username}-${dataset}-${date}.csv`
+      : `${account.username}-backup-${date}.json`;
+    
+    res.status(200);
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', attachmentDisposition(name));
+    
+    if (format === 'csv') {
+      await streamCsv(res, account._id, { dataset, range });
+    } else {
+      await streamJsonBackup(res, account._id, {
+        range,
+        includeAttachments: req.query.include_attachments === 'true'
+      });
+    }
+    
+    res.end();
+  } catch (error) {
+    // Once streaming has started the status can no longer change
+    if (res.headersSent) {
+      console.error('Export failed mid-stream:', error);
+      return res.destroy(error);
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -0,0 +1,164 @@
+const GoalFundingRule = require('../model/GoalFundingRule');
+const Goal = require('../model/Goal');
+const { resolveWallet } = require('../services/ledgerService');
+const { nextOccurrence } = require('../utils/schedule');
+
+/**
+ * @fileoverview Goal Funding Rule Controller
+ * 
+ * Handles CRUD operations for goal funding rules. Income percentage and
+ * round-up rules run when transactions are created; scheduled rules are run
+ * by the goal funding runner (`npm run run-goal-funding`).
+ */
+
+// Add the next due date of a scheduled rule for display
+function withNextOccurrence(rule) {
+  let next = null;
+  if (rule.type === 'scheduled' && rule.active) {
+    const after = rule.last_occurrence || new Date(rule.start_date.getTime() - 1);
+    next = nextOccurrence(rule.schedule, rule.start_date, rule.end_date, after);
+  }
+  return { ...rule.toObject(), next_occurrence: next };
+}
+
+/**
+ * Get all funding rules for a specific user
+ * 
+ * @route GET /api/funding-rules/user/:userId
+ * @param {string} req.params.userId - The ID of the user
+ * @param {string} [req.query.goal_id] - Only return the rules of this goal
+ * @returns {Array} Array of rules with their next occurrence
+ */
+exports.getUserFundingRules = async (req, res) => {
+  try {
+    const filter = { user_id: req.params.userId };
+    if (req.query.goal_id) filter.goal_id = req.query.goal_id;
+    
+    const rules = await GoalFundingRule.find(filter).sort({ created_at: 1 });
+    res.status(200).json(rules.map(withNextOccurrence));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Get a specific funding rule by ID
+ * 
+ * @route GET /api/funding-rules/:id
+ * @param {string} req.params.id - The ID of the rule
+ * @returns {Object} Rule with its next occurrence
+ */
+exports.getFundingRuleById = async (req, res) => {
+  try {
+    const rule = await GoalFundingRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Funding rule not found' });
+    }
+    res.status(200).json(withNextOccurrence(rule));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Create a funding rule
+ * 
+ * @route POST /api/funding-rules/user/:userId
+ * @param {string} req.params.userId - The ID of the user
+ * @param {string} req.body.goal_id - Goal to fund, owned by the user
+ * @param {string} req.body.type - 'scheduled', 'income_percentage' or 'round_up'
+ * @param {number} [req.body.amount] - Amount per occurrence (scheduled)
+ * @param {Object} [req.body.schedule] - { frequency, interval, day_of_month } (scheduled)
+ * @param {Date} [req.body.start_date] - First possible occurrence, defaults to now (scheduled)
+ * @param {Date} [req.body.end_date] - Optional last possible occurrence (scheduled)
+ * @param {number} [req.body.percentage] - Share of each income (income_percentage)
+ * @param {number} [req.body.round_to=1000] - Round expenses up to a multiple of this (round_up)
+ * @param {string} [req.body.wallet_id] - Wallet to take the money from
+ * @returns {Object} Newly created rule
+ */
+exports.createFundingRule = async (req, res) => {
+  try {
+    const goal = await Goal.findOne({ _id: req.body.goal_id, user_id: req.params.userId });
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+    
+    if (req.body.wallet_id && !(await resolveWallet(req.params.userId, req.body.wallet_id))) {
+      return res.status(404).json({ message: 'Wallet not found' });
+    }
+    
+    const rule = new GoalFundingRule({
+      goal_id: goal._id,
+      user_id: req.params.userId,
+      wallet_id: req.body.wallet_id,
+      type: req.body.type,
+      amount: req.body.amount,
+      percentage: req.body.percentage,
+      round_to: req.body.round_to,
+      schedule: req.body.schedule,
+      start_date: req.body.start_date || new Date(),
+      end_date: req.body.end_date,
+      active: req.body.active
+    });
+    
+    const newRule = await rule.save();
+    res.status(201).json(withNextOccurrence(newRule));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Update a funding rule
+ * 
+ * Set active to false to pause a single rule; pausing the goal pauses all
+ * of its rules.
+ * 
+ * @route PUT /api/funding-rules/:id
+ * @param {string} req.params.id - The ID of the rule
+ * @param {Object} req.body - Updated rule properties
+ * @returns {Object} Updated rule
+ */
+exports.updateFundingRule = async (req, res) => {
+  // Ownership, the funded goal and scheduling progress cannot be changed through an update
+  const { user_id, goal_id, last_occurrence, ...updates } = req.body;
+  
+  try {
+    const rule = await GoalFundingRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Funding rule not found' });
+    }
+    
+    if (updates.wallet_id && !(await resolveWallet(rule.user_id, updates.wallet_id))) {
+      return res.status(404).json({ message: 'Wallet not found' });
+    }
+    
+    // Save through the document so the rule validation runs
+    rule.set(updates);
+    const updatedRule = await rule.save();
+    res.status(200).json(withNextOccurrence(updatedRule));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Delete a funding rule
+ * 
+ * Allocations the rule already made stay in the goal and its history.
+ * 
+ * @route DELETE /api/funding-rules/:id
+ * @param {string} req.params.id - The ID of the rule
+ * @returns {Object} Success message
+ */
+exports.deleteFundingRule = async (req, res) => {
+  try {
+    const deletedRule = await GoalFundingRule.findByIdAndDelete(req.params.id);
+    if (!deletedRule) {
+      return res.status(404).json({ message: 'Funding rule not found' });
+    }
+    res.status(200).json({ message: 'Funding rule deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
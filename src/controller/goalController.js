@@ -1,7 +1,41 @@
 const Goal = require('../model/Goal');
 const Account = require('../model/Account');
-const Transaction = require('../model/Transaction');
+const GoalContribution = require('../model/GoalContribution');
+const { resolveWallet } = require('../services/ledgerService');
+const { moveGoalFunds, contributionTotals, projectGoal } = require('../services/goalService');
+const { listTemplates, buildGoalFromTemplate } = require('../services/goalTemplateService');
+const { sharedWith, goalMembers } = require('../services/shareService');
+const { recordChange } = require('../services/auditService');
+const { trashGoal, TrashConflictError } = require('../services/trashService');
+const { createConverter, MissingRateError } = require('../services/currencyService');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
 const mongoose = require('mongoose');
+const { InvalidQueryError, buildFilter, parseSort, paginate } = require('../utils/listQuery');
+
+// Query parameters accepted by getUserGoals (same semantics as transaction lists)
+const GOAL_LIST = {
+  dateField: 'target_date',
+  equals: { status: 'status' },
+  amountField: 'target_amount',
+  textField: 'title',
+  sortFields: ['created_at', 'target_date', 'target_amount', 'saved_amount', 'title'],
+  defaultSort: 'created_at'
+};
+
+// Fields a caller may change through updateGoal. The saved amount only
+// changes through allocate/withdraw, so every change has a contribution and
+// transfer behind it, and the status follows from the amounts.
+const UPDATABLE_FIELDS = ['title', 'description', 'target_amount', 'target_date'];
+
+// Query parameters accepted by getGoalHistory
+const CONTRIBUTION_LIST = {
+  dateField: 'created_at',
+  equals: { type: 'type' },
+  amountField: 'amount',
+  textField: 'note',
+  sortFields: ['created_at', 'amount'],
+  defaultSort: '-created_at'
+};
 
 /**
  * @fileoverview Goal Controller
@@ -10,19 +44,41 @@ const mongoose = require('mongoose');
  * operations, fund allocation, and goal-related analytics.
  */
 
+// Goals owned by a user plus the goals shared with them, with the user's role on each
+async function findVisibleGoals(userId, filter = {}, sort = { created_at: 1 }) {
+  const shared = await sharedWith(userId, 'goal');
+  const goals = await Goal.find({
+    ...filter,
+    $or: [{ user_id: userId }, { _id: { $in: [...shared.keys()] } }]
+  }).sort(sort);
+  
+  return goals.map(goal => ({
+    goal,
+    role: String(goal.user_id) === String(userId) ? 'owner' : shared.get(String(goal._id))
+  }));
+}
+
 /**
- * Get all goals for a specific user
+ * Get all goals for a specific user, including goals shared with them
+ * 
+ * Supports the shared list filters (see utils/listQuery): from/to on
+ * target_date, status, min_amount/max_amount on target_amount, q on title
+ * and sort.
  * 
  * @route GET /api/goals/user/:userId
  * @param {string} req.params.userId - The ID of the user
- * @returns {Array} Array of goal objects
+ * @returns {Array} Array of goal objects, each with the user's role
+ *   ('owner', 'contributor' or 'viewer')
  */
 exports.getUserGoals = async (req, res) => {
   try {
-    const goals = await Goal.find({ user_id: req.params.userId });
-    res.status(200).json(goals);
+    const filter = buildFilter(req.query, GOAL_LIST);
+    const sort = parseSort(req.query.sort, GOAL_LIST);
+    
+    const goals = await findVisibleGoals(req.params.userId, filter, { [sort.field]: sort.direction });
+    res.status(200).json(goals.map(({ goal, role }) => ({ ...goal.toJSON(), role })));
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error instanceof InvalidQueryError ? 400 : 500).json({ message: error.message });
   }
 };
 
@@ -56,6 +112,7 @@ exports.getGoalById = async (req, res) => {
  * @param {string} [req.body.description] - Optional goal description
  * @param {Date} [req.body.target_date] - Optional target date
  * @param {number} [req.body.saved_amount] - Optional initial saved amount
+ * @param {string} [req.body.currency] - Currency of the goal, defaults to the user's base currency
  * @returns {Object} Newly created goal
  */
 exports.createGoal = async (req, res) => {
@@ -71,12 +128,26 @@ exports.createGoal = async (req, res) => {
       user_id: req.params.userId,
       title: req.body.title,
       description: req.body.description || '',
+      currency: req.body.currency || account.currency,
       target_amount: req.body.target_amount,
       saved_amount: req.body.saved_amount || 0,
       target_date: req.body.target_date
     });
     
     const newGoal = await goal.save();
+    
+    // The initial amount is the first entry of the goal's history
+    if (newGoal.saved_amount > 0) {
+      await new GoalContribution({
+        goal_id: newGoal._id,
+        user_id: newGoal.user_id,
+        type: 'allocate',
+        amount: newGoal.saved_amount,
+        note: 'Initial amount'
+      }).save();
+    }
+    
+    await recordChange(req.user, 'create', 'goal', { after: newGoal });
     res.status(201).json(newGoal);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -86,59 +157,153 @@ exports.createGoal = async (req, res) => {
 /**
  * Update a financial goal
  * 
+ * Only title, description, target_amount and target_date can be changed;
+ * use allocate and withdraw to change the saved amount.
+ * 
  * @route PUT /api/goals/:id
  * @param {string} req.params.id - The ID of the goal to update
  * @param {Object} req.body - Updated goal properties
  * @returns {Object} Updated goal object
  */
 exports.updateGoal = async (req, res) => {
+  const rejected = Object.keys(req.body).filter(field => !UPDATABLE_FIELDS.includes(field));
+  if (rejected.length > 0) {
+    return res.status(400).json({
+      message: `Fields cannot be updated: ${rejected.join(', ')}`,
+      allowed: UPDATABLE_FIELDS
+    });
+  }
+  
   try {
-    const updatedGoal = await Goal.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
-    
-    if (!updatedGoal) {
+    const goal = await Goal.findById(req.params.id);
+    if (!goal) {
       return res.status(404).json({ message: 'Goal not found' });
     }
     
+    // Saved through the document so the status follows a changed target
+    const before = goal.toObject();
+    goal.set(req.body);
+    const updatedGoal = await goal.save();
+    
+    await recordChange(req.user, 'update', 'goal', { before, after: updatedGoal });
     res.status(200).json(updatedGoal);
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 };
 
+/**
+ * List the goal templates with targets suggested for the user
+ * 
+ * The emergency fund target is six times the user's average monthly
+ * expenses, or a balance-based estimate while their history is too short.
+ * 
+ * @route GET /api/goals/user/:userId/templates
+ * @param {string} req.params.userId - The ID of the user
+ * @returns {Array} Templates as { key, title, description, target_amount, target_date }
+ */
+exports.getGoalTemplates = async (req, res) => {
+  try {
+    const account = await Account.findById(req.params.userId);
+    if (!account) {
+      return res.status(404).json({ message: 'User account not found' });
+    }
+    
+    res.status(200).json(await listTemplates(account));
+  } catch (error) {
+    res.status(error instanceof MissingRateError ? 422 : 500).json({ message: error.message });
+  }
+};
+
+/**
+ * Create a goal from a template
+ * 
+ * @route POST /api/goals/user/:userId/templates/:template
+ * @param {string} req.params.userId - The ID of the user
+ * @param {string} req.params.template - Template ID, e.g. 'emergency_fund' or 'vacation'
+ * @param {Object} [req.body] - Optional title, description, target_amount and
+ *   target_date replacing the template's suggestions; the goal is in the
+ *   user's base currency
+ * @returns {Object} Newly created goal
+ */
+exports.createGoalFromTemplate = async (req, res) => {
+  try {
+    const account = await Account.findById(req.params.userId);
+    if (!account) {
+      return res.status(404).json({ message: 'User account not found' });
+    }
+    
+    const goal = await buildGoalFromTemplate(account, req.params.template, req.body || {});
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal template not found' });
+    }
+    
+    const newGoal = await goal.save();
+    await recordChange(req.user, 'create', 'goal', { after: newGoal });
+    res.status(201).json(newGoal);
+  } catch (error) {
+    res.status(error instanceof MissingRateError ? 422 : 400).json({ message: error.message });
+  }
+};
+
 /**
  * Delete a financial goal
  * 
+ * The goal goes to the trash with its contribution history, funding rules
+ * and shares, and can be restored until it is purged. Only empty goals can
+ * be deleted; withdraw the saved amount first.
+ * 
  * @route DELETE /api/goals/:id
  * @param {string} req.params.id - The ID of the goal to delete
  * @returns {Object} Success message
  */
 exports.deleteGoal = async (req, res) => {
   try {
-    const deletedGoal = await Goal.findByIdAndDelete(req.params.id);
+    const goal = await Goal.findById(req.params.id);
     
-    if (!deletedGoal) {
+    if (!goal) {
       return res.status(404).json({ message: 'Goal not found' });
     }
     
+    const before = goal.toObject();
+    await trashGoal(goal);
+    await recordChange(req.user, 'delete', 'goal', { before });
+    
     res.status(200).json({ message: 'Goal deleted successfully' });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error instanceof TrashConflictError ? 409 : 500).json({ message: error.message });
   }
 };
 
+// Log an allocation or withdrawal with what is needed to take it back
+async function recordContribution(actor, action, before, { contribution, transaction }, session) {
+  const after = await Goal.findById(before._id).session(session);
+  await recordChange(actor, action, 'goal', {
+    before,
+    after,
+    details: {
+      amount: contribution.amount,
+      contribution_id: contribution._id,
+      transaction_id: transaction ? transaction._id : null
+    }
+  }, session);
+}
+
 /**
  * Add funds to a goal's saved amount
  * 
+ * The owner and contributors of a shared goal can allocate; the contribution
+ * is recorded under the caller, and a transfer comes out of the caller's wallet.
+ * Contributors always have to move money (create_transaction), so they cannot
+ * change the owner's saved amount without paying in.
+ * 
  * @route POST /api/goals/:id/allocate
  * @param {string} req.params.id - The ID of the goal
  * @param {Object} req.body - Allocation details
  * @param {number} req.body.amount - Amount to add to the saved_amount
  * @param {string} [req.body.note] - Optional note about the allocation
- * @param {boolean} [req.body.create_transaction=false] - Whether to create a transaction record
+ * @param {boolean} [req.body.create_transaction=false] - Whether to move the money with a linked transfer transaction
+ * @param {string} [req.body.wallet_id] - Wallet on the other side of the transfer, defaults to the user's default wallet
  * @returns {Object} Updated goal object
  */
 exports.allocateFunds = async (req, res) => {
@@ -160,37 +325,31 @@ exports.allocateFunds = async (req, res) => {
       session.endSession();
       return res.status(400).json({ message: 'Invalid allocation amount' });
     }
+    if (req.access && req.access !== 'owner' && !req.body.create_transaction) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'Contributors have to allocate with a transfer from their own wallet (create_transaction)' });
+    }
     
-    // Update the goal's saved amount
-    goal.saved_amount += amount;
-    await goal.save({ session });
-    
-    // Create a transaction record if requested
+    let wallet = null;
     if (req.body.create_transaction) {
-      const transaction = new Transaction({
-        id_akun: goal.user_id,
-        tipe: 'expense', // It's an expense from main balance to goal
-        deskripsi: `Goal allocation: ${goal.title}` + (req.body.note ? ` - ${req.body.note}` : ''),
-        nominal: amount,
-        category: 'savings',
-        tags: ['goal', 'savings', goal.title.toLowerCase().replace(/\s+/g, '-')],
-        created_at: new Date()
-      });
-      
-      await transaction.save({ session });
-      
-      // Update account balance
-      const account = await Account.findById(goal.user_id).session(session);
-      if (account) {
-        account.balance -= amount;
-        await Account.findByIdAndUpdate(
-          goal.user_id, 
-          { balance: account.balance },
-          { session }
-        );
+      // Move the money out of the caller's wallet with a transfer linked to this goal
+      wallet = await resolveWallet(req.user.id, req.body.wallet_id, session);
+      if (!wallet) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(404).json({ message: 'Wallet not found' });
       }
     }
     
+    const before = goal.toObject();
+    const moved = await moveGoalFunds(goal, 'allocate', amount, session, {
+      note: req.body.note,
+      wallet,
+      memberId: req.user.id
+    });
+    await recordContribution(req.user, 'allocate', before, moved, session);
+    
     await session.commitTransaction();
     session.endSession();
     
@@ -212,7 +371,8 @@ exports.allocateFunds = async (req, res) => {
  * @param {Object} req.body - Withdrawal details
  * @param {number} req.body.amount - Amount to withdraw from the saved_amount
  * @param {string} [req.body.note] - Optional note about the withdrawal
- * @param {boolean} [req.body.create_transaction=false] - Whether to create a transaction record
+ * @param {boolean} [req.body.create_transaction=false] - Whether to move the money with a linked transfer transaction
+ * @param {string} [req.body.wallet_id] - Wallet on the other side of the transfer, defaults to the user's default wallet
  * @returns {Object} Updated goal object
  */
 exports.withdrawFunds = async (req, res) => {
@@ -244,36 +404,21 @@ exports.withdrawFunds = async (req, res) => {
       });
     }
     
-    // Update the goal's saved amount
-    goal.saved_amount -= amount;
-    await goal.save({ session });
-    
-    // Create a transaction record if requested
+    let wallet = null;
     if (req.body.create_transaction) {
-      const transaction = new Transaction({
-        id_akun: goal.user_id,
-        tipe: 'income', // It's income to main balance from goal
-        deskripsi: `Goal withdrawal: ${goal.title}` + (req.body.note ? ` - ${req.body.note}` : ''),
-        nominal: amount,
-        category: 'savings',
-        tags: ['goal', 'withdrawal', goal.title.toLowerCase().replace(/\s+/g, '-')],
-        created_at: new Date()
-      });
-      
-      await transaction.save({ session });
-      
-      // Update account balance
-      const account = await Account.findById(goal.user_id).session(session);
-      if (account) {
-        account.balance += amount;
-        await Account.findByIdAndUpdate(
-          goal.user_id, 
-          { balance: account.balance },
-          { session }
-        );
+      // Move the money back into a wallet with a transfer linked to this goal
+      wallet = await resolveWallet(goal.user_id, req.body.wallet_id, session);
+      if (!wallet) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(404).json({ message: 'Wallet not found' });
       }
     }
     
+    const before = goal.toObject();
+    const moved = await moveGoalFunds(goal, 'withdraw', amount, session, { note: req.body.note, wallet });
+    await recordContribution(req.user, 'withdraw', before, moved, session);
+    
     await session.commitTransaction();
     session.endSession();
     
@@ -287,20 +432,80 @@ exports.withdrawFunds = async (req, res) => {
   }
 };
 
+/**
+ * Get the allocations and withdrawals of a goal
+ * 
+ * Supports from/to on created_at, type ('allocate' or 'withdraw'),
+ * min_amount/max_amount, q on the note, sort and cursor pagination
+ * (see utils/listQuery).
+ * 
+ * @route GET /api/goals/:id/history
+ * @param {string} req.params.id - The ID of the goal
+ * @returns {Object} { data, total, limit, next_cursor } with contribution entries
+ */
+exports.getGoalHistory = async (req, res) => {
+  try {
+    const filter = {
+      ...buildFilter(req.query, CONTRIBUTION_LIST),
+      goal_id: req.params.id
+    };
+    const page = await paginate(GoalContribution, filter, req.query, CONTRIBUTION_LIST);
+    res.status(200).json(page);
+  } catch (error) {
+    res.status(error instanceof InvalidQueryError ? 400 : 500).json({ message: error.message });
+  }
+};
+
+/**
+ * List the members of a goal and how much each has contributed
+ * 
+ * @route GET /api/goals/:id/members
+ * @param {string} req.params.id - The ID of the goal
+ * @returns {Array} Members as { user_id, username, role, contributed }, owner first
+ */
+exports.getGoalMembers = async (req, res) => {
+  try {
+    const goal = await Goal.findById(req.params.id);
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+    
+    const members = await goalMembers([goal]);
+    res.status(200).json(members.get(String(goal._id)));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
 /**
  * Get a summary of all user goals with progress analytics
  * 
+ * Includes goals shared with the user. Each goal includes the user's role,
+ * every member's contribution, its average monthly contribution, the
+ * completion date projected from that pace and whether this meets its
+ * target_date.
+ * 
  * @route GET /api/goals/user/:userId/summary
  * @param {string} req.params.userId - The ID of the user
  * @returns {Object} Goals summary information
  */
 exports.getGoalsSummary = async (req, res) => {
   try {
-    const goals = await Goal.find({ user_id: req.params.userId });
+    const visible = await findVisibleGoals(req.params.userId);
+    const goals = visible.map(({ goal }) => goal);
+    const roles = new Map(visible.map(({ goal, role }) => [String(goal._id), role]));
+    const totals = await contributionTotals(goals.map(goal => goal._id));
+    const members = await goalMembers(goals);
     
-    // Calculate summary data
-    const totalTargetAmount = goals.reduce((sum, goal) => sum + goal.target_amount, 0);
-    const totalSavedAmount = goals.reduce((sum, goal) => sum + goal.saved_amount, 0);
+    // Totals are in the account's base currency at today's rates
+    const account = await Account.findById(req.params.userId).select('currency');
+    const converter = createConverter(account ? account.currency : DEFAULT_CURRENCY);
+    let totalTargetAmount = 0;
+    let totalSavedAmount = 0;
+    for (const goal of goals) {
+      totalTargetAmount += await converter.convert(goal.target_amount, goal.currency);
+      totalSavedAmount += await converter.convert(goal.saved_amount, goal.currency);
+    }
     
     const completedGoals = goals.filter(goal => goal.status === 'completed');
     const activeGoals = goals.filter(goal => goal.status === 'active');
@@ -319,17 +524,23 @@ exports.getGoalsSummary = async (req, res) => {
         target_amount: goal.target_amount,
         saved_amount: goal.saved_amount,
         remaining_amount: remainingAmount,
+        currency: goal.currency,
         progress: Math.round(progressPercentage),
         status: goal.status,
-        target_date: goal.target_date
+        target_date: goal.target_date,
+        role: roles.get(String(goal._id)),
+        members: members.get(String(goal._id)),
+        ...projectGoal(goal, totals.get(String(goal._id)))
       };
     });
     
     const summary = {
       total_goals: goals.length,
+      shared_goals: visible.filter(({ role }) => role !== 'owner').length,
       completed_goals: completedGoals.length,
       active_goals: activeGoals.length,
       paused_goals: pausedGoals.length,
+      currency: converter.target,
       total_target_amount: totalTargetAmount,
       total_saved_amount: totalSavedAmount,
       total_progress: totalTargetAmount > 0 
@@ -340,6 +551,6 @@ exports.getGoalsSummary = async (req, res) => {
     
     res.status(200).json(summary);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error instanceof MissingRateError ? 422 : 500).json({ message: error.message });
   }
 };
\ No newline at end of file
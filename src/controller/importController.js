@@ -0,0 +1,143 @@
+const ImportBatch = require('../model/ImportBatch');
+const { resolveWallet } = require('../services/ledgerService');
+const { flagDuplicates, commitBatch } = require('../services/importService');
+const { loadRules, applyRules } = require('../services/categorizationService');
+const { parseStatement } = require('../utils/statementParsers');
+
+/**
+ * @fileoverview Import Controller
+ * 
+ * Two-step bank statement import: upload a statement to get a preview with
+ * likely duplicates flagged, then commit the accepted rows.
+ */
+
+/**
+ * Parse a statement and store a preview
+ * 
+ * @route POST /api/import/user/:userId/preview
+ * @param {string} req.params.userId - The ID of the user
+ * @param {string} req.body.format - 'csv', 'ofx' or 'qif'
+ * @param {string} req.body.content - Statement file content as text
+ * @param {Object} [req.body.mapping] - CSV column mapping (see utils/statementParsers),
+ *   or QIF date_format/decimal options
+ * @param {string} [req.body.wallet_id] - Wallet to post to, defaults to the user's default wallet
+ * @returns {Object} Import batch with parsed and flagged rows
+ */
+exports.previewImport = async (req, res) => {
+  let rows;
+  try {
+    rows = parseStatement(req.body.format, req.body.content, req.body.mapping);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+  
+  if (rows.length === 0) {
+    return res.status(400).json({ message: 'No transactions found in statement' });
+  }
+  
+  try {
+    const wallet = await resolveWallet(req.params.userId, req.body.wallet_id);
+    if (!wallet) {
+      return res.status(404).json({ message: 'Wallet not found' });
+    }
+    
+    // Categorize during preview so the user sees the result before committing
+    const rules = await loadRules(req.params.userId);
+    for (const row of rows) {
+      if (row.error) continue;
+      const { category, tags } = applyRules(rules, row);
+      Object.assign(row, { category, tags });
+    }
+    
+    await flagDuplicates(req.params.userId, rows);
+    
+    const batch = await ImportBatch.create({
+      user_id: req.params.userId,
+      wallet_id: wallet._id,
+      format: req.body.format,
+      rows
+    });
+    
+    res.status(201).json({
+      _id: batch._id,
+      status: batch.status,
+      wallet_id: batch.wallet_id,
+      expires_at: batch.expires_at,
+      total: rows.length,
+      errors: rows.filter(row => row.error).length,
+      duplicates: rows.filter(row => row.duplicate_of || row.duplicate_of_line).length,
+      rows: batch.rows
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Get an import batch
+ * 
+ * @route GET /api/import/:id
+ * @param {string} req.params.id - The ID of the import batch
+ * @returns {Object} Import batch
+ */
+exports.getImport = async (req, res) => {
+  try {
+    const batch = await ImportBatch.findById(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+    res.status(200).json(batch);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Commit the accepted rows of a preview
+ * 
+ * @route POST /api/import/:id/commit
+ * @param {string} req.params.id - The ID of the import batch
+ * @param {Array<number>} [req.body.accept_lines] - Line numbers to commit; defaults to
+ *   every row that has no error and is not flagged as a duplicate
+ * @returns {Object} { committed, skipped, batch }
+ */
+exports.commitImport = async (req, res) => {
+  const acceptLines = req.body.accept_lines;
+  if (acceptLines !== undefined && !Array.isArray(acceptLines)) {
+    return res.status(400).json({ message: 'accept_lines must be an array of line numbers' });
+  }
+  
+  try {
+    const batch = await ImportBatch.findById(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+    if (batch.status !== 'preview') {
+      return res.status(400).json({ message: 'Import has already been committed' });
+    }
+    
+    const result = await commitBatch(batch, acceptLines && acceptLines.map(Number), req.user);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Discard an uncommitted preview
+ * 
+ * @route DELETE /api/import/:id
+ * @param {string} req.params.id - The ID of the import batch
+ * @returns {Object} Success message
+ */
+exports.deleteImport = async (req, res) => {
+  try {
+    const batch = await ImportBatch.findOneAndDelete({ _id: req.params.id, status: 'preview' });
+    if (!batch) {
+      return res.status(404).json({ message: 'Import preview not found' });
+    }
+    res.status(200).json({ message: 'Import preview discarded' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
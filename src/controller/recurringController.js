@@ -0,0 +1,158 @@
+const RecurringTransaction = require('../model/RecurringTransaction');
+const Account = require('../model/Account');
+const { resolveWallet } = require('../services/ledgerService');
+const { nextOccurrence } = require('../utils/schedule');
+
+/**
+ * @fileoverview Recurring Transaction Controller
+ * 
+ * Handles CRUD operations for recurring schedules. Posting due occurrences
+ * is done by the recurring runner (`npm run run-recurring`).
+ */
+
+// Add the next due date to a schedule for display
+function withNextOccurrence(recurring) {
+  const after = recurring.last_occurrence || new Date(recurring.start_date.getTime() - 1);
+  return {
+    ...recurring.toObject(),
+    next_occurrence: recurring.active
+      ? nextOccurrence(recurring.schedule, recurring.start_date, recurring.end_date, after)
+      : null
+  };
+}
+
+/**
+ * Get all recurring schedules for a specific user
+ * 
+ * @route GET /api/recurring/user/:userId
+ * @param {string} req.params.userId - The ID of the user
+ * @returns {Array} Array of schedules with their next occurrence
+ */
+exports.getUserRecurring = async (req, res) => {
+  try {
+    const schedules = await RecurringTransaction.find({ user_id: req.params.userId })
+      .sort({ created_at: -1 });
+    res.status(200).json(schedules.map(withNextOccurrence));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Get a specific recurring schedule by ID
+ * 
+ * @route GET /api/recurring/:id
+ * @param {string} req.params.id - The ID of the schedule
+ * @returns {Object} Schedule with its next occurrence
+ */
+exports.getRecurringById = async (req, res) => {
+  try {
+    const recurring = await RecurringTransaction.findById(req.params.id);
+    if (!recurring) {
+      return res.status(404).json({ message: 'Recurring transaction not found' });
+    }
+    res.status(200).json(withNextOccurrence(recurring));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Create a recurring schedule
+ * 
+ * @route POST /api/recurring/user/:userId
+ * @param {string} req.params.userId - The ID of the user
+ * @param {string} req.body.tipe - 'income' or 'expense'
+ * @param {string} req.body.deskripsi - Description for each posted transaction
+ * @param {number} req.body.nominal - Amount of each occurrence
+ * @param {Object} req.body.schedule - { frequency: 'daily'|'weekly'|'monthly'|'yearly', interval, day_of_month }
+ * @param {Date} [req.body.start_date] - First possible occurrence, defaults to now
+ * @param {Date} [req.body.end_date] - Optional last possible occurrence
+ * @param {string} [req.body.wallet_id] - Wallet to post to
+ * @param {string} [req.body.category] - Category for each posted transaction
+ * @param {Array<string>} [req.body.tags] - Tags for each posted transaction
+ * @returns {Object} Newly created schedule
+ */
+exports.createRecurring = async (req, res) => {
+  try {
+    const account = await Account.findById(req.params.userId);
+    if (!account) {
+      return res.status(404).json({ message: 'User account not found' });
+    }
+    
+    if (req.body.wallet_id && !(await resolveWallet(req.params.userId, req.body.wallet_id))) {
+      return res.status(404).json({ message: 'Wallet not found' });
+    }
+    
+    const recurring = new RecurringTransaction({
+      user_id: req.params.userId,
+      wallet_id: req.body.wallet_id,
+      tipe: req.body.tipe,
+      deskripsi: req.body.deskripsi,
+      nominal: req.body.nominal,
+      category: req.body.category || 'lainnya',
+      tags: req.body.tags || [],
+      schedule: req.body.schedule,
+      start_date: req.body.start_date || new Date(),
+      end_date: req.body.end_date
+    });
+    
+    const newRecurring = await recurring.save();
+    res.status(201).json(withNextOccurrence(newRecurring));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Update a recurring schedule
+ * 
+ * Changes only affect occurrences that have not been posted yet.
+ * 
+ * @route PUT /api/recurring/:id
+ * @param {string} req.params.id - The ID of the schedule
+ * @param {Object} req.body - Updated schedule properties
+ * @returns {Object} Updated schedule
+ */
+exports.updateRecurring = async (req, res) => {
+  // Ownership and posting progress cannot be changed through an update
+  const { user_id, last_occurrence, ...updates } = req.body;
+  
+  try {
+    const recurring = await RecurringTransaction.findById(req.params.id);
+    if (!recurring) {
+      return res.status(404).json({ message: 'Recurring transaction not found' });
+    }
+    
+    if (updates.wallet_id && !(await resolveWallet(recurring.user_id, updates.wallet_id))) {
+      return res.status(404).json({ message: 'Wallet not found' });
+    }
+    
+    recurring.set(updates);
+    const updatedRecurring = await recurring.save();
+    res.status(200).json(withNextOccurrence(updatedRecurring));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Delete a recurring schedule
+ * 
+ * Transactions already posted by the schedule are kept.
+ * 
+ * @route DELETE /api/recurring/:id
+ * @param {string} req.params.id - The ID of the schedule
+ * @returns {Object} Success message
+ */
+exports.deleteRecurring = async (req, res) => {
+  try {
+    const deletedRecurring = await RecurringTransaction.findByIdAndDelete(req.params.id);
+    if (!deletedRecurring) {
+      return res.status(404).json({ message: 'Recurring transaction not found' });
+    }
+    res.status(200).json({ message: 'Recurring transaction deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -0,0 +1,97 @@
+const { InvalidQueryError, buildFilter } = require('../utils/listQuery');
+const { INTERVALS, isValidTimezone, getCashflow, getBalanceHistory } = require('../services/reportService');
+const { MissingRateError } = require('../services/currencyService');
+
+/**
+ * @fileoverview Report Controller
+ * 
+ * Time-based reporting endpoints: cash flow per period and balance history.
+ */
+
+const DEFAULT_INTERVAL = 'month';
+const DEFAULT_TIMEZONE = 'UTC';
+
+/**
+ * Parse the shared report query parameters
+ * 
+ * from/to follow the list query rules (a bare date for `to` includes that
+ * day). The range defaults to the last 12 months.
+ */
+function parseReportOptions(query) {
+  const interval = query.interval || DEFAULT_INTERVAL;
+  if (!INTERVALS[interval]) {
+    throw new InvalidQueryError(`interval must be one of: ${Object.keys(INTERVALS).join(', ')}`);
+  }
+  
+  const timezone = query.timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(timezone)) {
+    throw new InvalidQueryError(`Unknown timezone: ${timezone}`);
+  }
+  
+  const range = buildFilter(query, { dateField: 'created_at' }).created_at || {};
+  if (!range.$lte && !range.$lt) {
+    range.$lte = new Date();
+  }
+  if (!range.$gte) {
+    const end = range.$lte || range.$lt;
+    range.$gte = new Date(Date.UTC(end.getUTCFullYear() - 1, end.getUTCMonth(), end.getUTCDate()));
+  }
+  
+  return { from: range.$gte, range, interval, timezone };
+}
+
+/**
+ * Income vs expense per period
+ * 
+ * @route GET /api/reports/user/:userId/cashflow
+ * @param {string} req.params.userId - The ID of the user
+ * @param {string} [req.query.from] - Range start, defaults to one year before `to`
+ * @param {string} [req.query.to] - Range end, defaults to now
+ * @param {string} [req.query.interval='month'] - 'day', 'week', 'month' or 'year'
+ * @param {string} [req.query.timezone='UTC'] - IANA timezone for period boundaries
+ * @returns {Object} { from, to, interval, timezone, buckets, totals }
+ */
+exports.getCashflowReport = async (req, res) => {
+  try {
+    const options = parseReportOptions(req.query);
+    const report = await getCashflow(req.params.userId, options);
+    
+    res.status(200).json({
+      from: options.from,
+      to: options.range.$lte || options.range.$lt,
+      interval: options.interval,
+      timezone: options.timezone,
+      ...report
+    });
+  } catch (error) {
+    res.status(error instanceof InvalidQueryError ? 400 : error instanceof MissingRateError ? 422 : 500).json({ message: error.message });
+  }
+};
+
+/**
+ * Running account balance per period, for charting balance over time
+ * 
+ * @route GET /api/reports/user/:userId/balance-history
+ * @param {string} req.params.userId - The ID of the user
+ * @param {string} [req.query.from] - Range start, defaults to one year before `to`
+ * @param {string} [req.query.to] - Range end, defaults to now
+ * @param {string} [req.query.interval='month'] - 'day', 'week', 'month' or 'year'
+ * @param {string} [req.query.timezone='UTC'] - IANA timezone for period boundaries
+ * @returns {Object} { from, to, interval, timezone, opening_balance, closing_balance, points }
+ */
+exports.getBalanceHistoryReport = async (req, res) => {
+  try {
+    const options = parseReportOptions(req.query);
+    const report = await getBalanceHistory(req.params.userId, options);
+    
+    res.status(200).json({
+      from: options.from,
+      to: options.range.$lte || options.range.$lt,
+      interval: options.interval,
+      timezone: options.timezone,
+      ...report
+    });
+  } catch (error) {
+    res.status(error instanceof InvalidQueryError ? 400 : error instanceof MissingRateError ? 422 : 500).json({ message: error.message });
+  }
+};
@@ -0,0 +1,200 @@
+const CategorizationRule = require('../model/CategorizationRule');
+const { previewChanges, reapplyRules } = require('../services/categorizationService');
+
+/**
+ * @fileoverview Categorization Rule Controller
+ * 
+ * Handles CRUD operations for categorization rules, plus a dry run that
+ * shows which existing transactions a rule would change and an action that
+ * re-applies all rules to existing transactions.
+ */
+
+/**
+ * Get all rules for a specific user
+ * 
+ * @route GET /api/rules/user/:userId
+ * @param {string} req.params.userId - The ID of the user
+ * @returns {Array} Rules in priority order
+ */
+exports.getUserRules = async (req, res) => {
+  try {
+    const rules = await CategorizationRule.find({ user_id: req.params.userId })
+      .sort({ priority: 1, created_at: 1 });
+    res.status(200).json(rules);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Get a specific rule by ID
+ * 
+ * @route GET /api/rules/:id
+ * @param {string} req.params.id - The ID of the rule
+ * @returns {Object} Rule object
+ */
+exports.getRuleById = async (req, res) => {
+  try {
+    const rule = await CategorizationRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+    res.status(200).json(rule);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Create a rule
+ * 
+ * @route POST /api/rules/user/:userId
+ * @param {string} req.params.userId - The ID of the user
+ * @param {string} req.body.name - Display name
+ * @param {Object} req.body.conditions - description_contains, description_regex,
+ *   min_amount, max_amount and/or tipe; all given conditions must match
+ * @param {Object} req.body.actions - category and/or add_tags
+ * @param {number} [req.body.priority=100] - Lower numbers run first
+ * @returns {Object} Newly created rule
+ */
+exports.createRule = async (req, res) => {
+  try {
+    const rule = new CategorizationRule({
+      user_id: req.params.userId,
+      name: req.body.name,
+      priority: req.body.priority,
+      active: req.body.active,
+      conditions: req.body.conditions,
+      actions: req.body.actions
+    });
+    
+    const newRule = await rule.save();
+    res.status(201).json(newRule);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Update a rule
+ * 
+ * @route PUT /api/rules/:id
+ * @param {string} req.params.id - The ID of the rule
+ * @param {Object} req.body - Updated rule properties
+ * @returns {Object} Updated rule object
+ */
+exports.updateRule = async (req, res) => {
+  // Ownership cannot be changed through an update
+  const { user_id, ...updates } = req.body;
+  
+  try {
+    const rule = await CategorizationRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+    
+    // Save through the document so the rule validation runs
+    rule.set(updates);
+    const updatedRule = await rule.save();
+    res.status(200).json(updatedRule);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Delete a rule
+ * 
+ * Transactions already categorized by the rule are not changed.
+ * 
+ * @route DELETE /api/rules/:id
+ * @param {string} req.params.id - The ID of the rule
+ * @returns {Object} Success message
+ */
+exports.deleteRule = async (req, res) => {
+  try {
+    const deletedRule = await CategorizationRule.findByIdAndDelete(req.params.id);
+    if (!deletedRule) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+    res.status(200).json({ message: 'Rule deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Show which existing transactions a saved rule would change
+ * 
+ * @route GET /api/rules/:id/dry-run
+ * @param {string} req.params.id - The ID of the rule
+ * @param {boolean} [req.query.override_category] - Also replace categories the user chose
+ * @returns {Object} { count, transactions } with before/after per transaction
+ */
+exports.dryRunRule = async (req, res) => {
+  try {
+    const rule = await CategorizationRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+    
+    const changes = await previewChanges(rule.user_id, [rule], {
+      overrideCategory: req.query.override_category === 'true'
+    });
+    res.status(200).json({ count: changes.length, transactions: changes });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Show which existing transactions an unsaved rule would change
+ * 
+ * @route POST /api/rules/user/:userId/dry-run
+ * @param {string} req.params.userId - The ID of the user
+ * @param {Object} req.body - Rule definition as for createRule
+ * @param {boolean} [req.body.override_category] - Also replace categories the user chose
+ * @returns {Object} { count, transactions } with before/after per transaction
+ */
+exports.dryRunDraft = async (req, res) => {
+  const rule = new CategorizationRule({
+    user_id: req.params.userId,
+    name: req.body.name || 'Draft',
+    conditions: req.body.conditions,
+    actions: req.body.actions
+  });
+  
+  try {
+    await rule.validate();
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+  
+  try {
+    const changes = await previewChanges(req.params.userId, [rule], {
+      overrideCategory: Boolean(req.body.override_category)
+    });
+    res.status(200).json({ count: changes.length, transactions: changes });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Re-apply all active rules to existing transactions and recompute category balances
+ * 
+ * @route POST /api/rules/user/:userId/reapply
+ * @param {string} req.params.userId - The ID of the user
+ * @param {boolean} [req.body.override_category] - Also replace categories the user chose
+ * @returns {Object} { updated, transactions, categories }
+ */
+exports.reapplyUserRules = async (req, res) => {
+  try {
+    const result = await reapplyRules(req.params.userId, {
+      overrideCategory: Boolean(req.body.override_category)
+    }, req.user);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
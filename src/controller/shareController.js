@@ -0,0 +1,192 @@
+const Share = require('../model/Share');
+const Account = require('../model/Account');
+const { findShareable } = require('../services/shareService');
+
+/**
+ * @fileoverview Share Controller
+ * 
+ * Handles invitations to share goals, categories and budgets with other
+ * accounts. The owner of a record invites an account by username or ID with
+ * a viewer or contributor role; the invited account accepts or declines.
+ * Either side can end an accepted share by deleting it.
+ */
+
+// Load a share the caller takes part in, either as owner or as invited account
+async function findParticipantShare(req) {
+  const share = await Share.findById(req.params.id);
+  if (!share) return { status: 404, message: 'Share not found' };
+  
+  const isOwner = String(share.owner_id) === req.user.id;
+  const isMember = String(share.user_id) === req.user.id;
+  if (!isOwner && !isMember) return { status: 403, message: 'Access denied' };
+  
+  return { share, isOwner, isMember };
+}
+
+/**
+ * Get the invitations a user has sent and received
+ * 
+ * @route GET /api/shares/user/:userId
+ * @param {string} req.params.userId - The ID of the user
+ * @param {string} [req.query.status] - Only return shares with this status
+ * @returns {Object} { sent, received } arrays of shares
+ */
+exports.getUserShares = async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: String(req.query.status) } : {};
+    
+    const [sent, received] = await Promise.all([
+      Share.find({ ...filter, owner_id: req.params.userId })
+        .populate('user_id', 'username')
+        .sort({ created_at: -1 }),
+      Share.find({ ...filter, user_id: req.params.userId })
+        .populate('owner_id', 'username')
+        .sort({ created_at: -1 })
+    ]);
+    
+    res.status(200).json({ sent, received });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Invite another account to a goal, category or budget
+ * 
+ * @route POST /api/shares/user/:userId
+ * @param {string} req.params.userId - The ID of the owner
+ * @param {string} req.body.resource_type - 'goal', 'category' or 'budget'
+ * @param {string} req.body.resource_id - The ID of the record, owned by the user
+ * @param {string} [req.body.username] - Username of the account to invite
+ * @param {string} [req.body.user_id] - ID of the account to invite, if no username is given
+ * @param {string} [req.body.role='viewer'] - 'viewer' or 'contributor'; contributors
+ *   can allocate funds to a goal, and have view access to categories and budgets
+ * @returns {Object} The pending share
+ */
+exports.createShare = async (req, res) => {
+  try {
+    const resource = await findShareable(req.body.resource_type, req.body.resource_id);
+    if (!resource || String(resource.user_id) !== req.params.userId) {
+      return res.status(404).json({ message: 'Shared record not found' });
+    }
+    
+    const invitee = req.body.username
+      ? await Account.findOne({ username: String(req.body.username) })
+      : await Account.findById(req.body.user_id);
+    if (!invitee) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (String(invitee._id) === req.params.userId) {
+      return res.status(400).json({ message: 'Cannot share a record with yourself' });
+    }
+    
+    const share = new Share({
+      resource_type: req.body.resource_type,
+      resource_id: resource._id,
+      owner_id: req.params.userId,
+      user_id: invitee._id,
+      role: req.body.role
+    });
+    
+    const newShare = await share.save();
+    res.status(201).json(newShare);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'This record is already shared with that user' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Change the role of a share
+ * 
+ * @route PUT /api/shares/:id
+ * @param {string} req.params.id - The ID of the share
+ * @param {string} req.body.role - 'viewer' or 'contributor'
+ * @returns {Object} Updated share
+ */
+exports.updateShare = async (req, res) => {
+  try {
+    const { share, isOwner, status, message } = await findParticipantShare(req);
+    if (!share) {
+      return res.status(status).json({ message });
+    }
+    if (!isOwner) {
+      return res.status(403).json({ message: 'Only the owner can change a share' });
+    }
+    
+    // Only the role can be changed; the rest is fixed by the invitation
+    share.role = req.body.role;
+    const updatedShare = await share.save();
+    res.status(200).json(updatedShare);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Accept or decline a pending invitation
+function respond(response) {
+  return async (req, res) => {
+    try {
+      const { share, isMember, status, message } = await findParticipantShare(req);
+      if (!share) {
+        return res.status(status).json({ message });
+      }
+      if (!isMember) {
+        return res.status(403).json({ message: 'Only the invited user can respond to an invitation' });
+      }
+      if (share.status !== 'pending') {
+        return res.status(400).json({ message: `Invitation is already ${share.status}` });
+      }
+      
+      share.status = response;
+      share.responded_at = new Date();
+      const updatedShare = await share.save();
+      res.status(200).json(updatedShare);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  };
+}
+
+/**
+ * Accept an invitation
+ * 
+ * @route POST /api/shares/:id/accept
+ * @param {string} req.params.id - The ID of the share
+ * @returns {Object} Accepted share
+ */
+exports.acceptShare = respond('accepted');
+
+/**
+ * Decline an invitation
+ * 
+ * @route POST /api/shares/:id/decline
+ * @param {string} req.params.id - The ID of the share
+ * @returns {Object} Declined share
+ */
+exports.declineShare = respond('declined');
+
+/**
+ * Revoke a share as owner, or leave a shared record as invited user
+ * 
+ * Contributions a member already made stay in the goal and its history.
+ * 
+ * @route DELETE /api/shares/:id
+ * @param {string} req.params.id - The ID of the share
+ * @returns {Object} Success message
+ */
+exports.deleteShare = async (req, res) => {
+  try {
+    const { share, status, message } = await findParticipantShare(req);
+    if (!share) {
+      return res.status(status).json({ message });
+    }
+    
+    await share.deleteOne();
+    res.status(200).json({ message: 'Share deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
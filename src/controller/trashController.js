@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const { recordChange } = require('../services/auditService');
+const {
+  TRASH_RETENTION_DAYS,
+  TRASH_TYPES,
+  RestoreConflictError,
+  listTrash,
+  findTrashed,
+  restoreRecord
+} = require('../services/trashService');
+const { GoalInTrashError } = require('../services/ledgerService');
+const { MissingRateError } = require('../services/currencyService');
+
+/**
+ * @fileoverview Trash Controller
+ * 
+ * Lists a user's deleted transactions, goals and categories and brings them
+ * back. Trashed records are purged for good after the retention window by
+ * the purge-trash job.
+ */
+
+/**
+ * Get the trash of a user
+ * 
+ * @route GET /api/trash/user/:userId
+ * @param {string} req.params.userId - The ID of the user
+ * @param {string} [req.query.type] - Only list 'transaction', 'goal' or 'category' records
+ * @returns {Object} { retention_days, transactions, goals, categories }, most recently
+ *   deleted first, each record with the purge_at date after which it is gone
+ */
+exports.getUserTrash = async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type && !TRASH_TYPES[type]) {
+      return res.status(400).json({ message: `Unknown type: ${type}` });
+    }
+    
+    const trash = await listTrash(req.params.userId, type ? [type] : undefined);
+    res.status(200).json({ retention_days: TRASH_RETENTION_DAYS, ...trash });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Restore a trashed record
+ * 
+ * A transaction applies its effect on wallet, account, category and goal
+ * balances again; a goal comes back with its saved amount and history; a
+ * category comes back empty, since its transactions were moved elsewhere
+ * when it was deleted.
+ * 
+ * @route POST /api/trash/:type/:id/restore
+ * @param {string} req.params.type - 'transaction', 'goal' or 'category'
+ * @param {string} req.params.id - The ID of the record
+ * @returns {Object} The restored record
+ */
+exports.restoreItem = async (req, res) => {
+  const { type, id } = req.params;
+  if (!TRASH_TYPES[type]) {
+    return res.status(400).json({ message: `Unknown type: ${type}` });
+  }
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({ message: 'Item not found in the trash' });
+  }
+  
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+    const record = await findTrashed(type, id, req.user.id, session);
+    if (!record) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'Item not found in the trash' });
+    }
+    
+    const before = record.toObject();
+    await restoreRecord(type, record, session);
+    await recordChange(req.user, 'restore', type, { before, after: record }, session);
+    
+    await session.commitTransaction();
+    session.endSession();
+    
+    res.status(200).json(record);
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    if (error.code === 11000) {
+      return res.status(409).json({ message: `A ${type} with this name already exists` });
+    }
+    if (error instanceof RestoreConflictError || error instanceof GoalInTrashError) {
+      return res.status(409).json({ message: error.message });
+    }
+    res.status(error instanceof MissingRateError ? 422 : 400).json({ message: error.message });
+  }
+};
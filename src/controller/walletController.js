@@ -0,0 +1,197 @@
+const Wallet = require('../model/Wallet');
+const Transaction = require('../model/Transaction');
+const Account = require('../model/Account');
+
+/**
+ * @fileoverview Wallet Controller
+ * 
+ * Handles CRUD operations for a user's wallets (cash, bank accounts and
+ * e-wallets). Wallet balances only change through transactions.
+ */
+
+// Fields a caller may change through updateWallet
+const UPDATABLE_FIELDS = ['name', 'type', 'is_default'];
+
+/**
+ * Get all wallets for a specific user
+ * 
+ * @route GET /api/wallets/user/:userId
+ * @param {string} req.params.userId - The ID of the user
+ * @returns {Array} Array of wallet objects
+ */
+exports.getUserWallets = async (req, res) => {
+  try {
+    const wallets = await Wallet.find({ user_id: req.params.userId }).sort({ created_at: 1 });
+    res.status(200).json(wallets);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Get a specific wallet by ID
+ * 
+ * @route GET /api/wallets/:id
+ * @param {string} req.params.id - The ID of the wallet
+ * @returns {Object} Wallet object
+ */
+exports.getWalletById = async (req, res) => {
+  try {
+    const wallet = await Wallet.findById(req.params.id);
+    if (!wallet) {
+      return res.status(404).json({ message: 'Wallet not found' });
+    }
+    res.status(200).json(wallet);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Create a new wallet for a user
+ * 
+ * The first wallet a user creates becomes their default wallet.
+ * 
+ * @route POST /api/wallets/user/:userId
+ * @param {string} req.params.userId - The ID of the user
+ * @param {string} req.body.name - Wallet name, unique per user
+ * @param {string} [req.body.type='cash'] - 'cash', 'bank' or 'e-wallet'
+ * @param {string} [req.body.currency] - Currency the wallet holds, defaults to the
+ *   user's base currency; it cannot be changed later
+ * @param {boolean} [req.body.is_default] - Make this the default wallet
+ * @returns {Object} Newly created wallet
+ */
+exports.createWallet = async (req, res) => {
+  try {
+    const account = await Account.findById(req.params.userId);
+    if (!account) {
+      return res.status(404).json({ message: 'User account not found' });
+    }
+    
+    const existing = await Wallet.countDocuments({ user_id: req.params.userId });
+    const isDefault = existing === 0 || Boolean(req.body.is_default);
+    
+    if (isDefault && existing > 0) {
+      await Wallet.updateMany({ user_id: req.params.userId }, { is_default: false });
+    }
+    
+    const wallet = new Wallet({
+      user_id: req.params.userId,
+      name: req.body.name,
+      type: req.body.type,
+      currency: req.body.currency || account.currency,
+      is_default: isDefault
+    });
+    
+    const newWallet = await wallet.save();
+    res.status(201).json(newWallet);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A wallet with this name already exists' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Update a wallet's name, type or default flag
+ * 
+ * @route PUT /api/wallets/:id
+ * @param {string} req.params.id - The ID of the wallet
+ * @param {Object} req.body - Updated wallet properties
+ * @returns {Object} Updated wallet object
+ */
+exports.updateWallet = async (req, res) => {
+  const rejected = Object.keys(req.body).filter(field => !UPDATABLE_FIELDS.includes(field));
+  if (rejected.length > 0) {
+    return res.status(400).json({
+      message: `Fields cannot be updated: ${rejected.join(', ')}`,
+      allowed: UPDATABLE_FIELDS
+    });
+  }
+  
+  try {
+    const wallet = await Wallet.findById(req.params.id);
+    if (!wallet) {
+      return res.status(404).json({ message: 'Wallet not found' });
+    }
+    
+    // Only one default wallet per user
+    if (req.body.is_default === true) {
+      await Wallet.updateMany(
+        { user_id: wallet.user_id, _id: { $ne: wallet._id } },
+        { is_default: false }
+      );
+    }
+    
+    const updatedWallet = await Wallet.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+    
+    res.status(200).json(updatedWallet);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A wallet with this name already exists' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Delete a wallet
+ * 
+ * Wallets that still have transactions, including ones in the trash,
+ * cannot be deleted; move or delete the transactions first. Neither can a
+ * wallet that still holds money, such as a balance carried over from before
+ * wallets existed, since it would disappear from the wallets but stay in
+ * the account balance.
+ * 
+ * @route DELETE /api/wallets/:id
+ * @param {string} req.params.id - The ID of the wallet
+ * @returns {Object} Success message
+ */
+exports.deleteWallet = async (req, res) => {
+  try {
+    const wallet = await Wallet.findById(req.params.id);
+    if (!wallet) {
+      return res.status(404).json({ message: 'Wallet not found' });
+    }
+    
+    const transactionCount = await Transaction.countDocuments({
+      $or: [
+        { wallet_id: wallet._id },
+        { 'transfer.from_wallet': wallet._id },
+        { 'transfer.to_wallet': wallet._id }
+      ]
+    }).setOptions({ withDeleted: true });
+    if (transactionCount > 0) {
+      return res.status(400).json({
+        message: 'Wallet still has transactions',
+        transactions: transactionCount
+      });
+    }
+    if (wallet.balance !== 0) {
+      return res.status(409).json({
+        message: 'Wallet still holds money',
+        balance: wallet.balance
+      });
+    }
+    
+    await Wallet.findByIdAndDelete(wallet._id);
+    
+    // Promote the oldest remaining wallet to default
+    if (wallet.is_default) {
+      const next = await Wallet.findOne({ user_id: wallet.user_id }).sort({ created_at: 1 });
+      if (next) {
+        next.is_default = true;
+        await next.save();
+      }
+    }
+    
+    res.status(200).json({ message: 'Wallet deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
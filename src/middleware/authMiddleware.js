@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const Account = require('../model/Account');
+const AdminAction = require('../model/AdminAction');
+const Share = require('../model/Share');
+const { verifyToken } = require('../utils/token');
+
+/**
+ * @fileoverview Authentication and Authorization Middleware
+ * 
+ * Verifies the bearer token on incoming requests and exposes the caller as
+ * `req.user`. Also provides guards that keep per-user and per-record routes
+ * scoped to the caller's own data, and admin-only routes closed to others.
+ * 
+ * Admins can act on behalf of another user by sending the target account ID
+ * in the `X-Act-As-User` header. Each such request is recorded as an
+ * AdminAction, and for its duration `req.user` is the target user with the
+ * admin kept in `req.user.actor`.
+ */
+
+/**
+ * Require a valid bearer token
+ * 
+ * Sets `req.user` to `{ id, username, is_admin, actor }` for the effective caller.
+ */
+exports.authenticate = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+  
+  try {
+    const payload = verifyToken(token);
+    if (!payload) {
+      return res.status(401).json({ message: 'Invalid or expired token' });
+    }
+    
+    // Load the account so deleted users and role changes take effect immediately
+    const account = await Account.findById(payload.sub);
+    if (!account) {
+      return res.status(401).json({ message: 'Invalid or expired token' });
+    }
+    
+    req.user = {
+      id: account._id.toString(),
+      username: account.username,
+      is_admin: account.is_admin,
+      actor: null
+    };
+    
+    const actAs = req.headers['x-act-as-user'];
+    if (actAs) {
+      if (!account.is_admin) {
+        return res.status(403).json({ message: 'Only admins can act on behalf of other users' });
+      }
+      if (!mongoose.Types.ObjectId.isValid(actAs)) {
+        return res.status(400).json({ message: 'Invalid X-Act-As-User header' });
+      }
+      
+      const target = await Account.findById(actAs);
+      if (!target) {
+        return res.status(404).json({ message: 'Target user not found' });
+      }
+      
+      await AdminAction.create({
+        admin_id: account._id,
+        user_id: target._id,
+        method: req.method,
+        path: req.originalUrl
+      });
+      
+      req.user = {
+        id: target._id.toString(),
+        username: target.username,
+        is_admin: target.is_admin,
+        actor: {
+          id: account._id.toString(),
+          username: account.username
+        }
+      };
+    }
+    
+    next();
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Reject callers who are not admins
+ */
+exports.requireAdmin = (req, res, next) => {
+  if (!req.user || !req.user.is_admin) {
+    return res.status(403).json({ message: 'Admin access required' });
+  }
+  next();
+};
+
+/**
+ * Router param handler that rejects requests for another user's data
+ * 
+ * @example router.param('userId', requireSelf);
+ */
+exports.requireSelf = (req, res, next, value) => {
+  if (!req.user || req.user.id !== String(value)) {
+    return res.status(403).json({ message: 'Access denied' });
+  }
+  next();
+};
+
+/**
+ * Build a router param handler that rejects callers who do not own a record
+ * 
+ * Missing records are passed through so the controller can answer 404;
+ * malformed IDs are answered with 404 here.
+ * 
+ * @param {mongoose.Model} Model - Model the param refers to
+ * @param {string} ownerField - Field holding the owning account ID
+ * @returns {Function} Param handler for router.param
+ * @example router.param('id', requireOwnership(Goal, 'user_id'));
+ */
+exports.requireOwnership = (Model, ownerField) => async (req, res, next, value) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    return res.status(404).json({ message: `${Model.modelName} not found` });
+  }
+  
+  try {
+    const record = await Model.findById(value).select(ownerField);
+    if (record && (!req.user || String(record[ownerField]) !== req.user.id)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Build a router param handler for records that can be shared with other accounts
+ * 
+ * The owner and accounts with an accepted share pass; `req.access` is set to
+ * 'owner', 'contributor' or 'viewer'. Missing records are passed through so
+ * the controller can answer 404; malformed IDs are answered with 404 here.
+ * 
+ * @param {mongoose.Model} Model - Model the param refers to
+ * @param {string} ownerField - Field holding the owning account ID
+ * @param {string} resourceType - Share.resource_type of the model
+ * @returns {Function} Param handler for router.param
+ * @example router.param('id', requireSharedAccess(Goal, 'user_id', 'goal'));
+ */
+exports.requireSharedAccess = (Model, ownerField, resourceType) => async (req, res, next, value) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    return res.status(404).json({ message: `${Model.modelName} not found` });
+  }
+  
+  try {
+    const record = await Model.findById(value).select(ownerField);
+    if (!record) return next();
+    
+    if (req.user && String(record[ownerField]) === req.user.id) {
+      req.access = 'owner';
+      return next();
+    }
+    
+    const share = req.user && await Share.findOne({
+      resource_type: resourceType,
+      resource_id: record._id,
+      user_id: req.user.id,
+      status: 'accepted'
+    }).select('role');
+    if (!share) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    
+    req.access = share.role;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Build a route guard that limits a shared record to the given access levels
+ * 
+ * Used after requireSharedAccess; requests for missing records pass through.
+ * 
+ * @param {...string} levels - Allowed values of `req.access`
+ * @returns {Function} Route middleware
+ * @example router.put('/:id', requireAccess('owner'), goalController.updateGoal);
+ */
+exports.requireAccess = (...levels) => (req, res, next) => {
+  if (req.access && !levels.includes(req.access)) {
+    return res.status(403).json({ message: 'Access denied' });
+  }
+  next();
+};
@@ -0,0 +1,40 @@
+const express = require('express');
+
+/**
+ * @fileoverview Upload Middleware
+ * 
+ * Reads a file sent as the raw request body, with its type in the
+ * Content-Type header, into `req.body` as a Buffer. Uploads of other types
+ * are answered with 415 and uploads over the size limit with 413 before the
+ * controller runs.
+ */
+
+/**
+ * Accept a raw file upload
+ * 
+ * @param {Object} options
+ * @param {Array<string>} options.types - Allowed content types
+ * @param {number} options.limit - Maximum size in bytes
+ * @returns {Function} Express middleware
+ */
+exports.acceptFileUpload = ({ types, limit }) => {
+  const parse = express.raw({ type: types, limit });
+  
+  return (req, res, next) => {
+    if (!req.is(types)) {
+      return res.status(415).json({
+        message: `Content-Type must be one of: ${types.join(', ')}`
+      });
+    }
+    
+    parse(req, res, error => {
+      if (error && error.type === 'entity.too.large') {
+        return res.status(413).json({ message: `Files can be at most ${limit} bytes` });
+      }
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+      next();
+    });
+  };
+};
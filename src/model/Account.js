@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { isHashed, hashPassword, verifyPassword } = require('../utils/password');
+const { currencyField } = require('../utils/currency');
 
 const accountSchema = new mongoose.Schema({
   username: {
@@ -13,16 +15,62 @@ const accountSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: true
+    required: true,
+    select: false // Load explicitly with .select('+password') when needed
   },
+  // Total of the account's wallets, in the base currency below
   balance: {
     type: Number,
     default: 0
   },
+  // Base currency: new wallets and goals default to it, and summaries and
+  // reports convert into it
+  currency: currencyField(),
   is_admin: {
     type: Boolean,
     default: false
+  },
+  // Set while a requested deletion waits out its grace period; the account
+  // and its data are removed at deletion_scheduled_for unless it is cancelled
+  deletion_requested_at: {
+    type: Date,
+    default: null
+  },
+  deletion_scheduled_for: {
+    type: Date,
+    default: null
+  }
+});
+
+// Hash the password whenever it is set or changed
+accountSchema.pre('save', async function() {
+  if (this.isModified('password') && !isHashed(this.password)) {
+    this.password = await hashPassword(this.password);
+  }
+});
+
+// Also hash passwords written through findByIdAndUpdate / findOneAndUpdate
+accountSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate() || {};
+  const target = update.$set && update.$set.password !== undefined ? update.$set : update;
+  
+  if (target.password !== undefined && !isHashed(target.password)) {
+    target.password = await hashPassword(target.password);
+  }
+});
+
+// Check a plaintext password against the stored hash
+accountSchema.methods.comparePassword = function(password) {
+  return verifyPassword(password, this.password);
+};
+
+// Never serialize secrets in API responses
+accountSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.__v;
+    return ret;
   }
 });
 
-module.exports = mongoose.model('Account', accountSchema);
\ No newline at end of file
+module.exports = mongoose.model('Account', accountSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * @fileoverview Admin Action Model Schema
+ * 
+ * Records every request an admin makes on behalf of another user via the
+ * X-Act-As-User header, so impersonation is always traceable.
+ */
+
+/**
+ * Admin Action Schema
+ * @typedef {Object} AdminAction
+ * @property {ObjectId} admin_id - The admin account that made the request
+ * @property {ObjectId} user_id - The account the admin acted on behalf of
+ * @property {String} method - HTTP method of the request
+ * @property {String} path - Original URL of the request
+ * @property {Date} created_at - When the request was made
+ */
+const adminActionSchema = new mongoose.Schema({
+  admin_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+adminActionSchema.index({ admin_id: 1, created_at: -1 });
+adminActionSchema.index({ user_id: 1, created_at: -1 });
+
+module.exports = mongoose.model('AdminAction', adminActionSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * @fileoverview Attachment Model Schema
+ * 
+ * A file attached to a transaction, such as a receipt photo or an invoice
+ * PDF. The content lives in attachment storage; this document holds its
+ * metadata and where it was stored.
+ */
+
+/**
+ * Attachment Schema
+ * @typedef {Object} Attachment
+ * @property {ObjectId} transaction_id - Reference to the transaction
+ * @property {ObjectId} user_id - Reference to the account that owns the transaction
+ * @property {String} filename - File name shown to the user and used for downloads
+ * @property {String} mime_type - Content type, one of the allowed attachment types
+ * @property {Number} size - Size in bytes
+ * @property {String} sha256 - Hex SHA-256 checksum of the content
+ * @property {String} storage - Name of the storage adapter that holds the content
+ * @property {String} key - Location of the content within that storage
+ * @property {Date} created_at - When the file was uploaded
+ */
+const attachmentSchema = new mongoose.Schema({
+  transaction_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  mime_type: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  sha256: {
+    type: String,
+    required: true
+  },
+  storage: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+attachmentSchema.index({ transaction_id: 1, created_at: 1 });
+attachmentSchema.index({ user_id: 1 });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
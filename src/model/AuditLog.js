@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+/**
+ * @fileoverview Audit Log Model Schema
+ * 
+ * An append-only record of every change made to transactions, goals,
+ * categories and accounts, through the API or by the recurring and
+ * scheduled goal funding runners (logged without an actor), with snapshots
+ * of the record before and after. Entries are never updated or deleted; undoing a change
+ * adds a new entry that points at the undone one.
+ */
+
+/**
+ * Audit Log Schema
+ * @typedef {Object} AuditLog
+ * @property {ObjectId} user_id - Account that owns the changed record
+ * @property {ObjectId} actor_id - Account that made the change; for admins acting
+ *   on behalf of a user, the admin
+ * @property {String} action - 'create', 'update', 'delete', 'restore', 'allocate', 'withdraw' or 'undo'
+ * @property {String} entity_type - 'transaction', 'goal', 'category' or 'account'
+ * @property {ObjectId} entity_id - The changed record
+ * @property {Object} before - Snapshot before the change, null for creates
+ * @property {Object} after - Snapshot after the change, null for deletes
+ * @property {Object} details - Extra facts needed to undo the change, such as the
+ *   contribution and transfer of a goal allocation
+ * @property {ObjectId} undo_of - For 'undo' entries, the entry that was undone
+ * @property {Date} created_at - When the change was made
+ */
+const auditLogSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  actor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'restore', 'allocate', 'withdraw', 'undo'],
+    required: true
+  },
+  entity_type: {
+    type: String,
+    enum: ['transaction', 'goal', 'category', 'account'],
+    required: true
+  },
+  entity_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  undo_of: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AuditLog'
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+auditLogSchema.index({ user_id: 1, created_at: -1 });
+auditLogSchema.index({ actor_id: 1, created_at: -1 });
+auditLogSchema.index({ entity_type: 1, entity_id: 1, _id: 1 });
+
+// A change can be undone only once
+auditLogSchema.index(
+  { undo_of: 1 },
+  { unique: true, partialFilterExpression: { undo_of: { $exists: true } } }
+);
+
+// Entries are append-only
+function rejectChange(next) {
+  next(new Error('Audit log entries cannot be changed or deleted'));
+}
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectChange
+);
+auditLogSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: true, query: true }, rejectChange);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
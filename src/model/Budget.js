@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { PERIODS } = require('../utils/period');
+
+/**
+ * @fileoverview Budget Model Schema
+ * 
+ * A spending limit for one expense category per month or week. Spending is
+ * computed from the transactions in each period, not from the lifetime
+ * Category balance.
+ */
+
+/**
+ * Budget Schema
+ * @typedef {Object} Budget
+ * @property {ObjectId} user_id - Reference to the account that owns this budget
+ * @property {String} category - Category name, matched against a transaction's category or tags
+ * @property {String} period - 'monthly' or 'weekly'
+ * @property {Number} amount - Spending limit per period
+ * @property {Boolean} rollover - Carry unused budget into the next period
+ * @property {Date} start_date - First period the budget applies to
+ * @property {Date} created_at - When the budget was created
+ */
+const budgetSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  period: {
+    type: String,
+    enum: PERIODS,
+    default: 'monthly'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  rollover: {
+    type: Boolean,
+    default: false
+  },
+  start_date: {
+    type: Date,
+    default: Date.now
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One budget per category and period for each user
+budgetSchema.index({ user_id: 1, category: 1, period: 1 }, { unique: true });
+
+module.exports = mongoose.model('Budget', budgetSchema);
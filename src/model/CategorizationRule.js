@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+
+/**
+ * @fileoverview Categorization Rule Model Schema
+ * 
+ * Per-user rules that set a category and/or add tags to transactions whose
+ * description, amount or type match. Rules run in ascending priority order.
+ */
+
+// Longest regex accepted in description_regex
+const MAX_REGEX_LENGTH = 200;
+
+// Quantifier that repeats without an upper bound: *, + or {n,}
+const UNBOUNDED_QUANTIFIER = /^(?:[*+]|\{\d+,\})/;
+
+/**
+ * Check a regex for a repeated group that itself contains a repetition or
+ * an alternation, such as (a+)+, (\w*x)* or (a|aa)+, which can take
+ * exponential time to fail to match
+ * 
+ * This rejects some harmless patterns like (a|b)+, which can be written
+ * as [ab]+ instead.
+ * 
+ * @param {string} pattern - Regex source
+ * @returns {boolean} True if an unbounded quantifier applies to a group
+ *   containing another unbounded quantifier or an alternation
+ */
+function hasNestedQuantifier(pattern) {
+  // One entry per open group: whether it contains an unbounded quantifier
+  // and whether it has alternatives
+  const groups = [{ unbounded: false, alternation: false }];
+  
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // Skip the character class, which may contain ( ) and quantifier characters
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ unbounded: false, alternation: false });
+    } else if (char === ')' && groups.length > 1) {
+      const inner = groups.pop();
+      const repeated = UNBOUNDED_QUANTIFIER.test(pattern.slice(i + 1));
+      if (repeated && (inner.unbounded || inner.alternation)) return true;
+      // A repeated outer group repeats whatever its inner groups contain
+      if (inner.unbounded) groups[groups.length - 1].unbounded = true;
+      if (inner.alternation) groups[groups.length - 1].alternation = true;
+    } else if (char === '|') {
+      groups[groups.length - 1].alternation = true;
+    } else if (UNBOUNDED_QUANTIFIER.test(pattern.slice(i))) {
+      groups[groups.length - 1].unbounded = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Categorization Rule Schema
+ * @typedef {Object} CategorizationRule
+ * @property {ObjectId} user_id - Reference to the account that owns this rule
+ * @property {String} name - Display name
+ * @property {Number} priority - Lower numbers run first
+ * @property {Boolean} active - Inactive rules are ignored
+ * @property {Object} conditions - All given conditions must match:
+ *   description_contains, description_regex, min_amount, max_amount, tipe
+ * @property {Object} actions - category to set and/or add_tags to add
+ * @property {Date} created_at - When the rule was created
+ */
+const categorizationRuleSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  priority: {
+    type: Number,
+    default: 100
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  conditions: {
+    description_contains: String,
+    description_regex: {
+      type: String,
+      maxlength: MAX_REGEX_LENGTH
+    },
+    min_amount: Number,
+    max_amount: Number,
+    tipe: {
+      type: String,
+      enum: ['income', 'expense']
+    }
+  },
+  actions: {
+    category: String,
+    add_tags: {
+      type: [String],
+      default: undefined
+    }
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A rule needs at least one condition and one action, and a valid regex
+// that cannot backtrack catastrophically
+categorizationRuleSchema.pre('validate', function(next) {
+  const conditions = this.conditions || {};
+  const actions = this.actions || {};
+  
+  const hasCondition = ['description_contains', 'description_regex', 'min_amount', 'max_amount', 'tipe']
+    .some(key => conditions[key] !== undefined && conditions[key] !== null && conditions[key] !== '');
+  if (!hasCondition) {
+    return next(new Error('A rule needs at least one condition'));
+  }
+  
+  if (!actions.category && !(actions.add_tags && actions.add_tags.length > 0)) {
+    return next(new Error('A rule needs a category or tags to add'));
+  }
+  
+  if (conditions.description_regex) {
+    try {
+      new RegExp(conditions.description_regex, 'i');
+    } catch (error) {
+      return next(new Error(`Invalid description_regex: ${error.message}`));
+    }
+    if (hasNestedQuantifier(conditions.description_regex)) {
+      return next(new Error(
+        'Invalid description_regex: repeating a group that repeats or has alternatives, such as (a+)+ or (a|b)+, is not allowed'
+      ));
+    }
+  }
+  
+  next();
+});
+
+categorizationRuleSchema.index({ user_id: 1, priority: 1 });
+
+module.exports = mongoose.model('CategorizationRule', categorizationRuleSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('../utils/softDelete');
 
 const categorySchema = new mongoose.Schema({
   user_id: {
@@ -15,6 +16,12 @@ const categorySchema = new mongoose.Schema({
     enum: ['income', 'expense'],
     required: true
   },
+  // Optional parent for hierarchies such as Food > Groceries
+  parent_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
   balance: {
     type: Number,
     default: 0
@@ -25,7 +32,44 @@ const categorySchema = new mongoose.Schema({
   }
 });
 
-// Compound index to ensure category names are unique per user and type
-categorySchema.index({ user_id: 1, name: 1, type: 1 }, { unique: true });
+// Deleted categories go to the trash (deleted_at)
+categorySchema.plugin(softDelete);
+
+// Compound index to ensure category names are unique per user and type.
+// Trashed categories are left out, so a name can be reused while the old
+// category waits in the trash; restoring it then fails on the taken name.
+categorySchema.index(
+  { user_id: 1, name: 1, type: 1 },
+  { unique: true, partialFilterExpression: { deleted_at: null }, name: 'user_id_1_name_1_type_1_live' }
+);
+categorySchema.index({ parent_id: 1 });
+
+// A parent must belong to the same user and type, and must not create a cycle
+categorySchema.pre('validate', async function() {
+  if (!this.parent_id || (!this.isNew && !this.isModified('parent_id') && !this.isModified('type'))) {
+    return;
+  }
+  
+  const Category = this.constructor;
+  const session = this.$session();
+  
+  let ancestorId = this.parent_id;
+  const seen = new Set();
+  while (ancestorId) {
+    if (ancestorId.equals(this._id) || seen.has(String(ancestorId))) {
+      throw new Error('A category cannot be its own ancestor');
+    }
+    seen.add(String(ancestorId));
+    
+    const ancestor = await Category.findById(ancestorId).session(session);
+    if (!ancestor) {
+      throw new Error('Parent category not found');
+    }
+    if (seen.size === 1 && (!ancestor.user_id.equals(this.user_id) || ancestor.type !== this.type)) {
+      throw new Error('Parent category must belong to the same user and type');
+    }
+    ancestorId = ancestor.parent_id;
+  }
+});
 
-module.exports = mongoose.model('Category', categorySchema);
\ No newline at end of file
+module.exports = mongoose.model('Category', categorySchema);
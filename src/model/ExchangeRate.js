@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { currencyField } = require('../utils/currency');
+
+/**
+ * @fileoverview Exchange Rate Model Schema
+ * 
+ * Locally managed exchange rates, loaded by admins through the API or from a
+ * file. Rates are never fetched live. A rate applies from its date until the
+ * next rate for the same pair.
+ */
+
+/**
+ * Exchange Rate Schema
+ * @typedef {Object} ExchangeRate
+ * @property {String} from - Currency converted from
+ * @property {String} to - Currency converted to
+ * @property {Date} date - Day the rate applies from (00:00 UTC)
+ * @property {Number} rate - Units of `to` for one unit of `from`
+ * @property {String} source - 'api' or 'file'
+ * @property {Date} created_at - When the rate was loaded
+ */
+const exchangeRateSchema = new mongoose.Schema({
+  from: currencyField({ required: true, default: undefined }),
+  to: currencyField({ required: true, default: undefined }),
+  date: {
+    type: Date,
+    required: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: [Number.MIN_VALUE, 'Rate must be positive']
+  },
+  source: {
+    type: String,
+    enum: ['api', 'file'],
+    default: 'api'
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One rate per pair and day; lookups take the latest rate on or before a date
+exchangeRateSchema.index({ from: 1, to: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
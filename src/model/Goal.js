@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { currencyField } = require('../utils/currency');
+const softDelete = require('../utils/softDelete');
 
 /**
  * @fileoverview Goal Model Schema
@@ -13,12 +15,15 @@ const mongoose = require('mongoose');
  * @property {ObjectId} user_id - Reference to the account that owns this goal
  * @property {String} title - Name of the financial goal
  * @property {String} description - Optional description of the goal
+ * @property {String} currency - Currency of the target and saved amounts
  * @property {Number} target_amount - Total amount needed to complete the goal
  * @property {Number} saved_amount - Current amount saved toward the goal
  * @property {Date} target_date - Optional target date for goal completion
  * @property {String} status - Current status of the goal: 'active', 'completed', 'paused'
+ * @property {String} template - ID of the goal template the goal was created from, if any
  * @property {Date} created_at - When the goal was created
  * @property {Date} updated_at - When the goal was last updated
+ * @property {Date} deleted_at - When the goal was moved to the trash, null otherwise
  */
 const goalSchema = new mongoose.Schema({
   user_id: {
@@ -34,6 +39,7 @@ const goalSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  currency: currencyField(),
   target_amount: {
     type: Number,
     required: true,
@@ -52,6 +58,9 @@ const goalSchema = new mongoose.Schema({
     enum: ['active', 'completed', 'paused'],
     default: 'active'
   },
+  template: {
+    type: String
+  },
   created_at: {
     type: Date,
     default: Date.now
@@ -62,6 +71,8 @@ const goalSchema = new mongoose.Schema({
   }
 });
 
+goalSchema.plugin(softDelete);
+
 // Middleware to update the updated_at field before saving
 goalSchema.pre('save', function(next) {
   this.updated_at = new Date();
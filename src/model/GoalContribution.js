@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+/**
+ * @fileoverview Goal Contribution Model Schema
+ * 
+ * One entry per change to a goal's saved amount, so the growth of a goal can
+ * be followed over time and used for projections.
+ */
+
+/**
+ * Goal Contribution Schema
+ * @typedef {Object} GoalContribution
+ * @property {ObjectId} goal_id - Reference to the goal
+ * @property {ObjectId} user_id - Reference to the account that owns the goal
+ * @property {ObjectId} member_id - Account that made the contribution; differs from
+ *   user_id when a member of a shared goal contributes
+ * @property {String} type - 'allocate' or 'withdraw'
+ * @property {Number} amount - Amount moved, always positive
+ * @property {String} note - Optional note given with the allocation or withdrawal
+ * @property {ObjectId} transaction_id - Transfer that moved the money, if one was created
+ * @property {ObjectId} rule_id - Funding rule that made an automatic allocation
+ * @property {ObjectId} source_transaction_id - Income or expense that triggered an automatic allocation
+ * @property {Date} occurrence_date - Scheduled occurrence handled by an automatic allocation
+ * @property {Date} created_at - When the contribution was made
+ */
+const goalContributionSchema = new mongoose.Schema({
+  goal_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Goal',
+    required: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  member_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  type: {
+    type: String,
+    enum: ['allocate', 'withdraw'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  note: {
+    type: String,
+    default: ''
+  },
+  transaction_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  // Set on allocations made by a goal funding rule
+  rule_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GoalFundingRule'
+  },
+  source_transaction_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  occurrence_date: {
+    type: Date
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// History of a goal, newest first
+goalContributionSchema.index({ goal_id: 1, created_at: -1 });
+
+// A scheduled funding rule allocates each occurrence at most once
+goalContributionSchema.index(
+  { rule_id: 1, occurrence_date: 1 },
+  { unique: true, partialFilterExpression: { occurrence_date: { $exists: true } } }
+);
+
+module.exports = mongoose.model('GoalContribution', goalContributionSchema);
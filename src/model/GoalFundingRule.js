@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const { FREQUENCIES } = require('../utils/schedule');
+
+/**
+ * @fileoverview Goal Funding Rule Model Schema
+ * 
+ * Per-goal rules that put money aside automatically. A rule either allocates
+ * a fixed amount on a schedule, allocates a percentage of every income
+ * transaction, or rounds expenses up and allocates the difference. Rules are
+ * skipped while their goal is paused or completed.
+ */
+
+/**
+ * Goal Funding Rule Schema
+ * @typedef {Object} GoalFundingRule
+ * @property {ObjectId} goal_id - Goal the money is allocated to
+ * @property {ObjectId} user_id - Reference to the account that owns the goal
+ * @property {ObjectId} wallet_id - Wallet the money is taken from; defaults to the
+ *   user's default wallet for scheduled rules and to the transaction's wallet otherwise
+ * @property {String} type - 'scheduled', 'income_percentage' or 'round_up'
+ * @property {Number} amount - Amount per occurrence of a scheduled rule
+ * @property {Number} percentage - Share of each income for income_percentage rules
+ * @property {Number} round_to - Expenses are rounded up to a multiple of this (round_up)
+ * @property {Object} schedule - { frequency, interval, day_of_month } of a scheduled rule
+ * @property {Date} start_date - First possible occurrence of a scheduled rule
+ * @property {Date} end_date - Optional last possible occurrence of a scheduled rule
+ * @property {Date} last_occurrence - Most recent scheduled occurrence that has been handled
+ * @property {Boolean} active - Inactive rules are ignored
+ * @property {Date} created_at - When the rule was created
+ */
+const goalFundingRuleSchema = new mongoose.Schema({
+  goal_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Goal',
+    required: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  wallet_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet'
+  },
+  type: {
+    type: String,
+    enum: ['scheduled', 'income_percentage', 'round_up'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    min: 0
+  },
+  percentage: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  round_to: {
+    type: Number,
+    default: 1000,
+    min: 1
+  },
+  schedule: {
+    frequency: {
+      type: String,
+      enum: FREQUENCIES
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    day_of_month: {
+      type: Number,
+      min: 1,
+      max: 31
+    }
+  },
+  start_date: {
+    type: Date,
+    default: Date.now
+  },
+  end_date: {
+    type: Date
+  },
+  last_occurrence: {
+    type: Date
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Each rule type needs its own settings
+goalFundingRuleSchema.pre('validate', function(next) {
+  if (this.type === 'scheduled') {
+    if (!(this.amount > 0)) {
+      return next(new Error('A scheduled rule needs a positive amount'));
+    }
+    if (!this.schedule || !this.schedule.frequency) {
+      return next(new Error('A scheduled rule needs a schedule frequency'));
+    }
+  }
+  if (this.type === 'income_percentage' && !(this.percentage > 0)) {
+    return next(new Error('An income_percentage rule needs a positive percentage'));
+  }
+  next();
+});
+
+goalFundingRuleSchema.index({ user_id: 1, type: 1, active: 1 });
+goalFundingRuleSchema.index({ goal_id: 1 });
+
+module.exports = mongoose.model('GoalFundingRule', goalFundingRuleSchema);
\ No newline at end of file
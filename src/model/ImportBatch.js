@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+/**
+ * @fileoverview Import Batch Model Schema
+ * 
+ * Holds the parsed rows of an uploaded bank statement between the preview
+ * and commit steps. Uncommitted previews expire automatically.
+ */
+
+// How long an uncommitted preview is kept
+const PREVIEW_TTL_MS = 24 * 60 * 60 * 1000;
+
+const importRowSchema = new mongoose.Schema({
+  line: Number,
+  created_at: Date,
+  deskripsi: String,
+  nominal: Number,
+  tipe: {
+    type: String,
+    enum: ['income', 'expense']
+  },
+  category: String,
+  tags: [String],
+  // Parse problem; rows with an error cannot be committed
+  error: String,
+  // Existing transaction (or earlier row in this file) this row likely duplicates
+  duplicate_of: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  duplicate_of_line: Number,
+  // Set once the row has been committed
+  transaction_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }
+}, { _id: false });
+
+/**
+ * Import Batch Schema
+ * @typedef {Object} ImportBatch
+ * @property {ObjectId} user_id - Reference to the account importing the statement
+ * @property {ObjectId} wallet_id - Wallet the rows will be posted to
+ * @property {String} format - 'csv', 'ofx' or 'qif'
+ * @property {String} status - 'preview' or 'committed'
+ * @property {Array} rows - Parsed rows with duplicate flags
+ * @property {Date} expires_at - When an uncommitted preview is removed
+ * @property {Date} committed_at - When the batch was committed
+ * @property {Date} created_at - When the statement was uploaded
+ */
+const importBatchSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  wallet_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'ofx', 'qif'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['preview', 'committed'],
+    default: 'preview'
+  },
+  rows: {
+    type: [importRowSchema],
+    default: []
+  },
+  expires_at: {
+    type: Date,
+    default: () => new Date(Date.now() + PREVIEW_TTL_MS)
+  },
+  committed_at: {
+    type: Date
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Remove previews that were never committed
+importBatchSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ImportBatch', importBatchSchema);
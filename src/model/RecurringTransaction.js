@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { FREQUENCIES } = require('../utils/schedule');
+
+/**
+ * @fileoverview Recurring Transaction Model Schema
+ * 
+ * A template for income or expense that repeats on a schedule, such as
+ * salary, rent or subscriptions. The recurring runner posts each due
+ * occurrence as a normal Transaction linked back to this document.
+ */
+
+/**
+ * Recurring Transaction Schema
+ * @typedef {Object} RecurringTransaction
+ * @property {ObjectId} user_id - Reference to the account that owns this schedule
+ * @property {ObjectId} wallet_id - Wallet to post to, defaults to the user's default wallet
+ * @property {String} tipe - 'income' or 'expense'
+ * @property {String} deskripsi - Description copied to each posted transaction
+ * @property {Number} nominal - Amount of each occurrence
+ * @property {String} category - Category copied to each posted transaction
+ * @property {Array<String>} tags - Tags copied to each posted transaction
+ * @property {Object} schedule - { frequency, interval, day_of_month }
+ * @property {Date} start_date - First possible occurrence
+ * @property {Date} end_date - Optional last possible occurrence
+ * @property {Date} last_occurrence - Most recent occurrence that has been posted
+ * @property {Boolean} active - Paused schedules are skipped by the runner
+ * @property {Date} created_at - When the schedule was created
+ */
+const recurringTransactionSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  wallet_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet'
+  },
+  tipe: {
+    type: String,
+    enum: ['income', 'expense'],
+    required: true
+  },
+  deskripsi: {
+    type: String,
+    required: true
+  },
+  nominal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  category: {
+    type: String,
+    default: 'lainnya'
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+  schedule: {
+    frequency: {
+      type: String,
+      enum: FREQUENCIES,
+      required: true
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    // Only used by monthly schedules; defaults to the start date's day
+    day_of_month: {
+      type: Number,
+      min: 1,
+      max: 31
+    }
+  },
+  start_date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  end_date: {
+    type: Date
+  },
+  last_occurrence: {
+    type: Date
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+recurringTransactionSchema.index({ active: 1, user_id: 1 });
+
+module.exports = mongoose.model('RecurringTransaction', recurringTransactionSchema);
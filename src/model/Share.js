@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+/**
+ * @fileoverview Share Model Schema
+ * 
+ * An invitation from the owner of a goal, category or budget to another
+ * account. Once accepted, the invited account can see the record and, for
+ * goals with the contributor role, allocate funds to it.
+ */
+
+/**
+ * Share Schema
+ * @typedef {Object} Share
+ * @property {String} resource_type - 'goal', 'category' or 'budget'
+ * @property {ObjectId} resource_id - The shared record
+ * @property {ObjectId} owner_id - Account that owns the record and sent the invitation
+ * @property {ObjectId} user_id - Invited account
+ * @property {String} role - 'viewer' or 'contributor'
+ * @property {String} status - 'pending', 'accepted' or 'declined'
+ * @property {Date} responded_at - When the invitation was accepted or declined
+ * @property {Date} created_at - When the invitation was sent
+ */
+const shareSchema = new mongoose.Schema({
+  resource_type: {
+    type: String,
+    enum: ['goal', 'category', 'budget'],
+    required: true
+  },
+  resource_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  owner_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['viewer', 'contributor'],
+    default: 'viewer'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined'],
+    default: 'pending'
+  },
+  responded_at: {
+    type: Date
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A record is shared with each account at most once
+shareSchema.index({ resource_type: 1, resource_id: 1, user_id: 1 }, { unique: true });
+shareSchema.index({ user_id: 1, resource_type: 1, status: 1 });
+shareSchema.index({ owner_id: 1 });
+
+module.exports = mongoose.model('Share', shareSchema);
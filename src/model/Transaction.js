@@ -1,4 +1,29 @@
 const mongoose = require('mongoose');
+const { currencyField } = require('../utils/currency');
+const softDelete = require('../utils/softDelete');
+
+// One line of a split transaction: the share of the amount that goes to one category
+const splitLineSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Category document for the line, set by the pre-save hook below
+  category_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Split amounts cannot be negative']
+  },
+  note: {
+    type: String,
+    default: ''
+  }
+}, { _id: false });
 
 const transactionSchema = new mongoose.Schema({
   id_akun: {
@@ -6,11 +31,34 @@ const transactionSchema = new mongoose.Schema({
     ref: 'Account',
     required: true
   },
+  wallet_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet'
+  },
   tipe: {
     type: String,
-    enum: ['income', 'expense'],
+    enum: ['income', 'expense', 'transfer'],
     required: true
   },
+  // Source and destination of a 'transfer'; each side is a wallet or a goal
+  transfer: {
+    from_wallet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Wallet'
+    },
+    to_wallet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Wallet'
+    },
+    from_goal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Goal'
+    },
+    to_goal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Goal'
+    }
+  },
   deskripsi: {
     type: String,
     required: true
@@ -19,6 +67,8 @@ const transactionSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Always the currency of the wallet (or wallets) the transaction moves money in
+  currency: currencyField(),
   category: {
     type: String,
     default: 'lainnya'
@@ -27,10 +77,122 @@ const transactionSchema = new mongoose.Schema({
     type: [String],
     default: []
   },
+  // Category documents for the tags, kept in sync by the pre-save hook below.
+  // Tags stay as the readable names; balances and summaries use these IDs.
+  category_ids: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+    default: []
+  },
+  // Split lines, which must add up to nominal. When present, the tags are
+  // the line categories and each category is credited only with its lines.
+  splits: {
+    type: [splitLineSchema],
+    default: []
+  },
+  // Set when the transaction was posted by a recurring schedule
+  recurring_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringTransaction'
+  },
+  occurrence_date: {
+    type: Date
+  },
   created_at: {
     type: Date,
     default: Date.now
   }
 });
 
+// Deleted transactions go to the trash (deleted_at) with their balance effects reversed
+transactionSchema.plugin(softDelete);
+
+// Per-account listing sorted by date
+transactionSchema.index({ id_akun: 1, created_at: -1 });
+transactionSchema.index({ category_ids: 1 });
+
+// A recurring schedule posts each occurrence at most once
+transactionSchema.index(
+  { recurring_id: 1, occurrence_date: 1 },
+  { unique: true, partialFilterExpression: { recurring_id: { $exists: true } } }
+);
+
+// Split lines must cover the whole amount; transfers cannot be split
+transactionSchema.pre('validate', function(next) {
+  if (this.splits.length === 0) return next();
+  
+  if (this.tipe === 'transfer') {
+    return next(new Error('Transfers cannot be split'));
+  }
+  const total = this.splits.reduce((sum, line) => sum + line.amount, 0);
+  if (Math.round(total * 100) !== Math.round(this.nominal * 100)) {
+    return next(new Error(`Split amounts add up to ${total}, not to the nominal of ${this.nominal}`));
+  }
+  next();
+});
+
+// A transfer needs exactly one source and one destination
+transactionSchema.pre('validate', function(next) {
+  if (this.tipe !== 'transfer') return next();
+  
+  const transfer = this.transfer || {};
+  const sources = [transfer.from_wallet, transfer.from_goal].filter(Boolean).length;
+  const destinations = [transfer.to_wallet, transfer.to_goal].filter(Boolean).length;
+  
+  if (sources !== 1 || destinations !== 1) {
+    return next(new Error('A transfer needs exactly one source and one destination'));
+  }
+  if (transfer.from_wallet && transfer.to_wallet && transfer.from_wallet.equals(transfer.to_wallet)) {
+    return next(new Error('Cannot transfer to the same wallet'));
+  }
+  next();
+});
+
+// Resolve tags to Category documents (creating missing ones) whenever the
+// tags, splits or type change, so every tagged transaction references its
+// categories and every split line its category
+transactionSchema.pre('save', async function() {
+  if (this.tipe === 'transfer') {
+    this.category_ids = [];
+    return;
+  }
+  
+  // The categories of a split transaction are those of its lines
+  if (this.splits.length > 0) {
+    const lineNames = [...new Set(this.splits.map(line => line.category))];
+    if (lineNames.join('\n') !== this.tags.join('\n')) this.tags = lineNames;
+  }
+  
+  const needsResolve = this.isNew
+    || this.isModified('tags')
+    || this.isModified('splits')
+    || this.isModified('tipe')
+    || this.category_ids.length === 0;
+  if (!needsResolve) return;
+  
+  const Category = mongoose.model('Category');
+  const session = this.$session();
+  const names = [];
+  const ids = [];
+  
+  for (const tag of this.tags) {
+    if (!tag.trim() || names.includes(tag)) continue;
+    
+    let category = await Category.findOne({ user_id: this.id_akun, name: tag, type: this.tipe })
+      .session(session);
+    if (!category) {
+      category = new Category({ user_id: this.id_akun, name: tag, type: this.tipe });
+      await category.save({ session });
+    }
+    
+    names.push(tag);
+    ids.push(category._id);
+  }
+  
+  this.tags = names;
+  this.category_ids = ids;
+  for (const line of this.splits) {
+    line.category_id = ids[names.indexOf(line.category)];
+  }
+});
+
 module.exports = mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
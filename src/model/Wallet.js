@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { currencyField } = require('../utils/currency');
+
+/**
+ * @fileoverview Wallet Model Schema
+ * 
+ * A wallet is a place where a user keeps money, such as cash, a bank account
+ * or an e-wallet. Every transaction belongs to one wallet, and the account
+ * balance is the sum of the balances of its wallets, converted into the
+ * account's base currency.
+ */
+
+/**
+ * Wallet Schema
+ * @typedef {Object} Wallet
+ * @property {ObjectId} user_id - Reference to the account that owns this wallet
+ * @property {String} name - Display name, unique per user
+ * @property {String} type - Kind of wallet: 'cash', 'bank', 'e-wallet'
+ * @property {String} currency - Currency the wallet holds, fixed when it is created
+ * @property {Number} balance - Current balance in the wallet's currency, changed only through transactions
+ * @property {Number} opening_balance - Balance carried over from before the ledger
+ *   (set by the wallet migration); reconciliation adds transactions on top of it
+ * @property {Boolean} is_default - Wallet used when a transaction does not name one
+ * @property {Date} created_at - When the wallet was created
+ */
+const walletSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['cash', 'bank', 'e-wallet'],
+    default: 'cash'
+  },
+  currency: currencyField(),
+  balance: {
+    type: Number,
+    default: 0
+  },
+  opening_balance: {
+    type: Number,
+    default: 0
+  },
+  is_default: {
+    type: Boolean,
+    default: false
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Wallet names are unique per user
+walletSchema.index({ user_id: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Wallet', walletSchema);
@@ -1,16 +1,25 @@
 const express = require('express');
 const accountController = require('../controller/accountController');
+const { requireAdmin, requireSelf } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
-// Route for all accounts
-router.get('/', accountController.getAllAccounts);
-router.post('/', accountController.createAccount);
+// Callers may only access their own account
+router.param('id', requireSelf);
+
+// Route for all accounts (admin only)
+router.get('/', requireAdmin, accountController.getAllAccounts);
+router.post('/', requireAdmin, accountController.createAccount);
 
 // Routes for specific account by ID
 router.get('/:id', accountController.getAccountById);
 router.put('/:id', accountController.updateAccount);
 router.delete('/:id', accountController.deleteAccount);
+router.post('/:id/cancel-deletion', accountController.cancelAccountDeletion);
+
+// Credential changes (require the current password)
+router.put('/:id/email', accountController.changeEmail);
+router.put('/:id/password', accountController.changePassword);
 
 // Get account balance
 router.get('/:id/balance', accountController.getAccountBalance);
@@ -0,0 +1,25 @@
+const express = require('express');
+const adminController = require('../controller/adminController');
+const { requireAdmin } = require('../middleware/authMiddleware');
+
+/**
+ * @fileoverview Admin Routes
+ * 
+ * This file defines maintenance endpoints for admins.
+ * All routes are prefixed with '/api/admin' in the main application.
+ */
+
+const router = express.Router();
+
+// Every admin route requires the admin role
+router.use(requireAdmin);
+
+// Balance drift between stored balances and the transaction ledger
+router.get('/reconciliation', adminController.getReconciliationReport);
+router.post('/reconciliation/fix', adminController.fixBalances);
+
+// Exchange rates used to convert amounts into each account's base currency
+router.get('/exchange-rates', adminController.getExchangeRates);
+router.post('/exchange-rates', adminController.importExchangeRates);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const auditController = require('../controller/auditController');
+
+/**
+ * @fileoverview Audit Routes
+ * 
+ * This file defines the API endpoints for the audit log and undo.
+ * All routes are prefixed with '/api/audit' in the main application.
+ * Entries are limited to the caller's own records and own changes in the
+ * controller.
+ */
+
+const router = express.Router();
+
+router.get('/', auditController.getAuditLog);
+router.get('/:id', auditController.getAuditEntry);
+router.post('/:id/undo', auditController.undoAuditEntry);
+
+module.exports = router;
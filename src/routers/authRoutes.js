@@ -0,0 +1,16 @@
+const express = require('express');
+const authController = require('../controller/authController');
+
+/**
+ * @fileoverview Auth Routes
+ * 
+ * Public endpoints for registration and login.
+ * All routes are prefixed with '/api/auth' in the main application.
+ */
+
+const router = express.Router();
+
+router.post('/register', authController.register);
+router.post('/login', authController.login);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const budgetController = require('../controller/budgetController');
+const Budget = require('../model/Budget');
+const { requireSelf, requireSharedAccess, requireAccess } = require('../middleware/authMiddleware');
+
+/**
+ * @fileoverview Budget Routes
+ * 
+ * This file defines the API endpoints for category budgets.
+ * All routes are prefixed with '/api/budgets' in the main application.
+ */
+
+const router = express.Router();
+
+// Only serve the authenticated user's own budgets; budgets shared with
+// them can be viewed but not changed
+router.param('userId', requireSelf);
+router.param('id', requireSharedAccess(Budget, 'user_id', 'budget'));
+
+/**
+ * User-specific budget routes
+ * Base: /api/budgets/user/:userId
+ */
+router.get('/user/:userId', budgetController.getUserBudgets);
+router.post('/user/:userId', budgetController.createBudget);
+
+// Spent, remaining and percent used for the current and past periods
+router.get('/user/:userId/status', budgetController.getUserBudgetStatus);
+
+/**
+ * Individual budget routes
+ * Base: /api/budgets/:id
+ */
+router.get('/:id', budgetController.getBudgetById);
+router.get('/:id/status', budgetController.getBudgetStatus);
+router.put('/:id', requireAccess('owner'), budgetController.updateBudget);
+router.delete('/:id', requireAccess('owner'), budgetController.deleteBudget);
+
+module.exports = router;
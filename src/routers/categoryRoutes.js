@@ -1,18 +1,27 @@
 const express = require('express');
 const categoryController = require('../controller/categoryController');
+const Category = require('../model/Category');
+const { requireSelf, requireSharedAccess, requireAccess } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
+// Only serve the authenticated user's own categories; categories shared
+// with them can be viewed but not changed
+router.param('userId', requireSelf);
+router.param('id', requireSharedAccess(Category, 'user_id', 'category'));
+
 // Routes for user categories
 router.get('/user/:userId', categoryController.getUserCategories);
 router.get('/user/:userId/summary', categoryController.getCategorySummary);
+router.get('/user/:userId/tree', categoryController.getCategoryTree);
 router.post('/user/:userId', categoryController.createCategory);
 router.post('/user/:userId/generate', categoryController.generateCategoriesFromTags);
 router.get('/user/:userId/transactions', categoryController.getCategorizedTransactions);
 
 // Routes for specific categories by ID
 router.get('/:id', categoryController.getCategoryById);
-router.put('/:id', categoryController.updateCategory);
-router.delete('/:id', categoryController.deleteCategory);
+router.put('/:id', requireAccess('owner'), categoryController.updateCategory);
+router.delete('/:id', requireAccess('owner'), categoryController.deleteCategory);
+router.post('/:id/merge', requireAccess('owner'), categoryController.mergeCategory);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,20 @@
+const express = require('express');
+const exportController = require('../controller/exportController');
+const { requireSelf } = require('../middleware/authMiddleware');
+
+/**
+ * @fileoverview Export Routes
+ * 
+ * This file defines the API endpoints for data export.
+ * All routes are prefixed with '/api/export' in the main application.
+ */
+
+const router = express.Router();
+
+// Only export the authenticated user's own data
+router.param('userId', requireSelf);
+
+// Download transactions, categories and goals as CSV or a JSON backup
+router.get('/user/:userId', exportController.exportUserData);
+
+module.exports = router;
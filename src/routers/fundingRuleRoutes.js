@@ -0,0 +1,34 @@
+const express = require('express');
+const fundingRuleController = require('../controller/fundingRuleController');
+const GoalFundingRule = require('../model/GoalFundingRule');
+const { requireSelf, requireOwnership } = require('../middleware/authMiddleware');
+
+/**
+ * @fileoverview Goal Funding Rule Routes
+ * 
+ * This file defines the API endpoints for automatic goal funding rules.
+ * All routes are prefixed with '/api/funding-rules' in the main application.
+ */
+
+const router = express.Router();
+
+// Only serve the authenticated user's own rules
+router.param('userId', requireSelf);
+router.param('id', requireOwnership(GoalFundingRule, 'user_id'));
+
+/**
+ * User-specific rule routes
+ * Base: /api/funding-rules/user/:userId
+ */
+router.get('/user/:userId', fundingRuleController.getUserFundingRules);
+router.post('/user/:userId', fundingRuleController.createFundingRule);
+
+/**
+ * Individual rule routes
+ * Base: /api/funding-rules/:id
+ */
+router.get('/:id', fundingRuleController.getFundingRuleById);
+router.put('/:id', fundingRuleController.updateFundingRule);
+router.delete('/:id', fundingRuleController.deleteFundingRule);
+
+module.exports = router;
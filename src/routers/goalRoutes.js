@@ -1,5 +1,7 @@
 const express = require('express');
 const goalController = require('../controller/goalController');
+const Goal = require('../model/Goal');
+const { requireSelf, requireSharedAccess, requireAccess } = require('../middleware/authMiddleware');
 
 /**
  * @fileoverview Goal Routes
@@ -10,6 +12,11 @@ const goalController = require('../controller/goalController');
 
 const router = express.Router();
 
+// Only serve the authenticated user's own goals and goals shared with them;
+// changing a goal or taking money out of it is left to its owner
+router.param('userId', requireSelf);
+router.param('id', requireSharedAccess(Goal, 'user_id', 'goal'));
+
 /**
  * User-specific goal routes
  * Base: /api/goals/user/:userId
@@ -23,6 +30,12 @@ router.post('/user/:userId', goalController.createGoal);
 // Get goals summary for a user
 router.get('/user/:userId/summary', goalController.getGoalsSummary);
 
+// List goal templates with suggested targets
+router.get('/user/:userId/templates', goalController.getGoalTemplates);
+
+// Create a goal from a template
+router.post('/user/:userId/templates/:template', goalController.createGoalFromTemplate);
+
 /**
  * Individual goal routes
  * Base: /api/goals/:id
@@ -31,19 +44,25 @@ router.get('/user/:userId/summary', goalController.getGoalsSummary);
 router.get('/:id', goalController.getGoalById);
 
 // Update an existing goal
-router.put('/:id', goalController.updateGoal);
+router.put('/:id', requireAccess('owner'), goalController.updateGoal);
 
 // Delete a goal
-router.delete('/:id', goalController.deleteGoal);
+router.delete('/:id', requireAccess('owner'), goalController.deleteGoal);
 
 /**
  * Goal fund management routes
  * Base: /api/goals/:id/allocate|withdraw
  */
 // Add funds to a goal
-router.post('/:id/allocate', goalController.allocateFunds);
+router.post('/:id/allocate', requireAccess('owner', 'contributor'), goalController.allocateFunds);
 
 // Withdraw funds from a goal
-router.post('/:id/withdraw', goalController.withdrawFunds);
+router.post('/:id/withdraw', requireAccess('owner'), goalController.withdrawFunds);
+
+// List a goal's allocations and withdrawals
+router.get('/:id/history', goalController.getGoalHistory);
+
+// List a goal's members and their contributions
+router.get('/:id/members', goalController.getGoalMembers);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,30 @@
+const express = require('express');
+const importController = require('../controller/importController');
+const ImportBatch = require('../model/ImportBatch');
+const { requireSelf, requireOwnership } = require('../middleware/authMiddleware');
+
+/**
+ * @fileoverview Import Routes
+ * 
+ * This file defines the API endpoints for bank statement imports.
+ * All routes are prefixed with '/api/import' in the main application.
+ */
+
+const router = express.Router();
+
+// Only serve the authenticated user's own imports
+router.param('userId', requireSelf);
+router.param('id', requireOwnership(ImportBatch, 'user_id'));
+
+// Upload a CSV, OFX or QIF statement and get a preview
+router.post('/user/:userId/preview', importController.previewImport);
+
+/**
+ * Individual import routes
+ * Base: /api/import/:id
+ */
+router.get('/:id', importController.getImport);
+router.post('/:id/commit', importController.commitImport);
+router.delete('/:id', importController.deleteImport);
+
+module.exports = router;
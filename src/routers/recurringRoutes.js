@@ -0,0 +1,34 @@
+const express = require('express');
+const recurringController = require('../controller/recurringController');
+const RecurringTransaction = require('../model/RecurringTransaction');
+const { requireSelf, requireOwnership } = require('../middleware/authMiddleware');
+
+/**
+ * @fileoverview Recurring Transaction Routes
+ * 
+ * This file defines the API endpoints for recurring schedules.
+ * All routes are prefixed with '/api/recurring' in the main application.
+ */
+
+const router = express.Router();
+
+// Only serve the authenticated user's own schedules
+router.param('userId', requireSelf);
+router.param('id', requireOwnership(RecurringTransaction, 'user_id'));
+
+/**
+ * User-specific schedule routes
+ * Base: /api/recurring/user/:userId
+ */
+router.get('/user/:userId', recurringController.getUserRecurring);
+router.post('/user/:userId', recurringController.createRecurring);
+
+/**
+ * Individual schedule routes
+ * Base: /api/recurring/:id
+ */
+router.get('/:id', recurringController.getRecurringById);
+router.put('/:id', recurringController.updateRecurring);
+router.delete('/:id', recurringController.deleteRecurring);
+
+module.exports = router;
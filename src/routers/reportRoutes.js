@@ -0,0 +1,23 @@
+const express = require('express');
+const reportController = require('../controller/reportController');
+const { requireSelf } = require('../middleware/authMiddleware');
+
+/**
+ * @fileoverview Report Routes
+ * 
+ * This file defines the API endpoints for time-based financial reports.
+ * All routes are prefixed with '/api/reports' in the main application.
+ */
+
+const router = express.Router();
+
+// Only serve the authenticated user's own reports
+router.param('userId', requireSelf);
+
+// Income, expense, net and savings rate per period
+router.get('/user/:userId/cashflow', reportController.getCashflowReport);
+
+// Running balance per period
+router.get('/user/:userId/balance-history', reportController.getBalanceHistoryReport);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const ruleController = require('../controller/ruleController');
+const CategorizationRule = require('../model/CategorizationRule');
+const { requireSelf, requireOwnership } = require('../middleware/authMiddleware');
+
+/**
+ * @fileoverview Categorization Rule Routes
+ * 
+ * This file defines the API endpoints for auto-categorization rules.
+ * All routes are prefixed with '/api/rules' in the main application.
+ */
+
+const router = express.Router();
+
+// Only serve the authenticated user's own rules
+router.param('userId', requireSelf);
+router.param('id', requireOwnership(CategorizationRule, 'user_id'));
+
+/**
+ * User-specific rule routes
+ * Base: /api/rules/user/:userId
+ */
+router.get('/user/:userId', ruleController.getUserRules);
+router.post('/user/:userId', ruleController.createRule);
+
+// Preview an unsaved rule against existing transactions
+router.post('/user/:userId/dry-run', ruleController.dryRunDraft);
+
+// Re-apply every active rule and recompute category balances
+router.post('/user/:userId/reapply', ruleController.reapplyUserRules);
+
+/**
+ * Individual rule routes
+ * Base: /api/rules/:id
+ */
+router.get('/:id', ruleController.getRuleById);
+router.get('/:id/dry-run', ruleController.dryRunRule);
+router.put('/:id', ruleController.updateRule);
+router.delete('/:id', ruleController.deleteRule);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const shareController = require('../controller/shareController');
+const { requireSelf } = require('../middleware/authMiddleware');
+
+/**
+ * @fileoverview Share Routes
+ * 
+ * This file defines the API endpoints for sharing goals, categories and
+ * budgets with other accounts.
+ * All routes are prefixed with '/api/shares' in the main application.
+ */
+
+const router = express.Router();
+
+// Only serve the authenticated user's own invitations; individual shares
+// are checked in the controller since both the owner and the invited
+// account may act on them
+router.param('userId', requireSelf);
+
+/**
+ * User-specific share routes
+ * Base: /api/shares/user/:userId
+ */
+router.get('/user/:userId', shareController.getUserShares);
+router.post('/user/:userId', shareController.createShare);
+
+/**
+ * Individual share routes
+ * Base: /api/shares/:id
+ */
+router.put('/:id', shareController.updateShare);
+router.delete('/:id', shareController.deleteShare);
+router.post('/:id/accept', shareController.acceptShare);
+router.post('/:id/decline', shareController.declineShare);
+
+module.exports = router;
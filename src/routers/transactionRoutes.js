@@ -1,12 +1,24 @@
 const express = require('express');
 const transactionController = require('../controller/TransactionController');
+const attachmentController = require('../controller/attachmentController');
+const Transaction = require('../model/Transaction');
+const { requireAdmin, requireSelf, requireOwnership } = require('../middleware/authMiddleware');
+const { acceptFileUpload } = require('../middleware/uploadMiddleware');
+const { ATTACHMENT_TYPES, MAX_ATTACHMENT_BYTES } = require('../services/attachmentService');
 
 const router = express.Router();
 
-// Route for all transactions
-router.get('/', transactionController.getAllTransactions);
+// Only serve the authenticated user's own transactions
+router.param('accountId', requireSelf);
+router.param('id', requireOwnership(Transaction, 'id_akun'));
+
+// Route for all transactions (admin only)
+router.get('/', requireAdmin, transactionController.getAllTransactions);
 router.post('/', transactionController.createTransaction);
 
+// Move money between wallets
+router.post('/transfer', transactionController.createTransfer);
+
 // Route for getting transactions by account ID - MOVED BEFORE :id route
 router.get('/account/:accountId', transactionController.getTransactionsByAccount);
 
@@ -15,4 +27,14 @@ router.get('/:id', transactionController.getTransactionById);
 router.put('/:id', transactionController.updateTransaction);
 router.delete('/:id', transactionController.deleteTransaction);
 
+// Receipts and other files attached to a transaction
+router.get('/:id/attachments', attachmentController.getAttachments);
+router.post(
+  '/:id/attachments',
+  acceptFileUpload({ types: Object.keys(ATTACHMENT_TYPES), limit: MAX_ATTACHMENT_BYTES }),
+  attachmentController.uploadAttachment
+);
+router.get('/:id/attachments/:attachmentId', attachmentController.downloadAttachment);
+router.delete('/:id/attachments/:attachmentId', attachmentController.deleteAttachment);
+
 module.exports = router;
\ No newline at end of file
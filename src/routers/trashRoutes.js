@@ -0,0 +1,22 @@
+const express = require('express');
+const trashController = require('../controller/trashController');
+const { requireSelf } = require('../middleware/authMiddleware');
+
+/**
+ * @fileoverview Trash Routes
+ * 
+ * This file defines the API endpoints for listing and restoring deleted
+ * transactions, goals and categories.
+ * All routes are prefixed with '/api/trash' in the main application.
+ */
+
+const router = express.Router();
+
+// Only serve the authenticated user's own trash; restores are limited to
+// the caller's records in the controller
+router.param('userId', requireSelf);
+
+router.get('/user/:userId', trashController.getUserTrash);
+router.post('/:type/:id/restore', trashController.restoreItem);
+
+module.exports = router;
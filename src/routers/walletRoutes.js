@@ -0,0 +1,37 @@
+const express = require('express');
+const walletController = require('../controller/walletController');
+const Wallet = require('../model/Wallet');
+const { requireSelf, requireOwnership } = require('../middleware/authMiddleware');
+
+/**
+ * @fileoverview Wallet Routes
+ * 
+ * This file defines the API endpoints for wallet management.
+ * All routes are prefixed with '/api/wallets' in the main application.
+ */
+
+const router = express.Router();
+
+// Only serve the authenticated user's own wallets
+router.param('userId', requireSelf);
+router.param('id', requireOwnership(Wallet, 'user_id'));
+
+/**
+ * User-specific wallet routes
+ * Base: /api/wallets/user/:userId
+ */
+// Get all wallets for a user
+router.get('/user/:userId', walletController.getUserWallets);
+
+// Create a new wallet for a user
+router.post('/user/:userId', walletController.createWallet);
+
+/**
+ * Individual wallet routes
+ * Base: /api/wallets/:id
+ */
+router.get('/:id', walletController.getWalletById);
+router.put('/:id', walletController.updateWallet);
+router.delete('/:id', walletController.deleteWallet);
+
+module.exports = router;
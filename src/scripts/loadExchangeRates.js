@@ -0,0 +1,46 @@
+require('dotenv').config({ path: require('path').join(__dirname, '../../.env') });
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { parseRates, importRates } = require('../services/currencyService');
+
+/**
+ * @fileoverview Exchange Rate Loader
+ * 
+ * Loads exchange rates from a CSV or JSON file into the local rate table.
+ * The format follows the file extension; CSV files need from, to, date and
+ * rate columns. Rates already stored for the same pair and day are replaced.
+ * 
+ * Usage: npm run load-exchange-rates -- <file>
+ */
+
+async function loadExchangeRates(file) {
+  if (!file) {
+    console.error('Usage: npm run load-exchange-rates -- <file>');
+    process.exitCode = 1;
+    return;
+  }
+  
+  try {
+    const format = path.extname(file).slice(1).toLowerCase();
+    const entries = parseRates(fs.readFileSync(file, 'utf8'), format);
+    
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGOTOKEN, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true
+    });
+    console.log('Connected to MongoDB');
+    
+    const result = await importRates(entries, 'file');
+    console.log(`Loaded ${entries.length} rates: ${result.inserted} added, ${result.updated} updated`);
+  } catch (error) {
+    console.error('Error loading exchange rates:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  }
+}
+
+loadExchangeRates(process.argv[2]);
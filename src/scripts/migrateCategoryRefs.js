@@ -0,0 +1,71 @@
+require('dotenv').config({ path: require('path').join(__dirname, '../../.env') });
+const mongoose = require('mongoose');
+const Account = require('../model/Account');
+const Category = require('../model/Category');
+const Transaction = require('../model/Transaction');
+const { recalculateCategoryBalances } = require('../services/ledgerService');
+
+/**
+ * @fileoverview Category Reference Migration Script
+ * 
+ * Links existing transactions to their Category documents. Every tagged
+ * income or expense transaction without category_ids is re-saved so its tags
+ * are resolved (creating missing categories), then each user's category
+ * balances are recomputed from the linked transactions.
+ * Also brings the category indexes in line with the schema, replacing the
+ * unique name index that covered trashed categories.
+ * Safe to run more than once.
+ */
+
+async function migrateCategoryRefs() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGOTOKEN, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true
+    });
+    console.log('Connected to MongoDB');
+    
+    const dropped = await Category.syncIndexes();
+    if (dropped.length > 0) {
+      console.log(`Replaced category indexes: ${dropped.join(', ')}`);
+    }
+    
+    const accounts = await Account.find();
+    console.log(`Found ${accounts.length} accounts`);
+    
+    let transactionsLinked = 0;
+    
+    for (const account of accounts) {
+      const cursor = Transaction.find({
+        id_akun: account._id,
+        tipe: { $in: ['income', 'expense'] },
+        'tags.0': { $exists: true },
+        'category_ids.0': { $exists: false }
+      }).cursor();
+      
+      let linked = 0;
+      for await (const transaction of cursor) {
+        transaction.markModified('tags');
+        await transaction.save();
+        linked++;
+      }
+      transactionsLinked += linked;
+      
+      const changes = await recalculateCategoryBalances(account._id);
+      
+      if (linked > 0 || changes.length > 0) {
+        console.log(`${account.username}: linked ${linked} transactions, corrected ${changes.length} category balances`);
+      }
+    }
+    
+    console.log(`Migration complete: ${transactionsLinked} transactions linked`);
+  } catch (error) {
+    console.error('Error migrating category references:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  }
+}
+
+migrateCategoryRefs();
@@ -0,0 +1,83 @@
+require('dotenv').config({ path: require('path').join(__dirname, '../../.env') });
+const mongoose = require('mongoose');
+const Account = require('../model/Account');
+const Wallet = require('../model/Wallet');
+const Transaction = require('../model/Transaction');
+const { DEFAULT_WALLET_NAME, balanceDelta } = require('../services/ledgerService');
+
+/**
+ * @fileoverview Wallet Migration Script
+ * 
+ * Moves existing data to the multi-wallet model. Every account without a
+ * wallet gets a default cash wallet holding its current balance, and every
+ * transaction without a wallet is assigned to its account's default wallet.
+ * Any part of the balance not explained by transactions (e.g. an initial
+ * balance set at sign-up) is kept as the wallet's opening_balance.
+ * Safe to run more than once.
+ */
+
+async function migrateWallets() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGOTOKEN, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true
+    });
+    console.log('Connected to MongoDB');
+    
+    const accounts = await Account.find();
+    console.log(`Found ${accounts.length} accounts`);
+    
+    let walletsCreated = 0;
+    let transactionsUpdated = 0;
+    
+    for (const account of accounts) {
+      let wallet = await Wallet.findOne({ user_id: account._id, is_default: true });
+      
+      if (!wallet) {
+        const walletCount = await Wallet.countDocuments({ user_id: account._id });
+        
+        if (walletCount === 0) {
+          const transactions = await Transaction.find({ id_akun: account._id }).select('tipe nominal transfer');
+          const ledgerTotal = transactions.reduce((sum, tx) => sum + balanceDelta(tx), 0);
+          
+          // The existing account balance becomes the default wallet balance
+          wallet = new Wallet({
+            user_id: account._id,
+            name: DEFAULT_WALLET_NAME,
+            type: 'cash',
+            balance: account.balance,
+            opening_balance: account.balance - ledgerTotal,
+            is_default: true
+          });
+          await wallet.save();
+          walletsCreated++;
+          console.log(`Created default wallet for ${account.username}`);
+        } else {
+          wallet = await Wallet.findOne({ user_id: account._id }).sort({ created_at: 1 });
+          wallet.is_default = true;
+          await wallet.save();
+        }
+      }
+      
+      const result = await Transaction.updateMany(
+        { id_akun: account._id, wallet_id: { $exists: false } },
+        { $set: { wallet_id: wallet._id } }
+      );
+      transactionsUpdated += result.modifiedCount;
+      
+      if (result.modifiedCount > 0) {
+        console.log(`Assigned ${result.modifiedCount} transactions to ${account.username}'s default wallet`);
+      }
+    }
+    
+    console.log(`Migration complete: ${walletsCreated} wallets created, ${transactionsUpdated} transactions updated`);
+  } catch (error) {
+    console.error('Error migrating wallets:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  }
+}
+
+migrateWallets();
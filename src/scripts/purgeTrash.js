@@ -0,0 +1,35 @@
+require('dotenv').config({ path: require('path').join(__dirname, '../../.env') });
+const mongoose = require('mongoose');
+const { TRASH_RETENTION_DAYS, purgeTrash } = require('../services/trashService');
+
+/**
+ * @fileoverview Trash Purge Runner
+ * 
+ * Permanently removes transactions, goals and categories that have been in
+ * the trash for longer than TRASH_RETENTION_DAYS (30 by default), together
+ * with their attachments, contributions, funding rules and shares. Safe to
+ * run as often as needed, e.g. from the same daily cron job as the
+ * recurring runner.
+ */
+
+async function runPurge() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGOTOKEN, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true
+    });
+    console.log('Connected to MongoDB');
+    
+    const summary = await purgeTrash();
+    
+    console.log(`Purge complete (retention ${TRASH_RETENTION_DAYS} days): ${summary.transactions} transactions, ${summary.attachments} attachments, ${summary.goals} goals and ${summary.categories} categories removed`);
+  } catch (error) {
+    console.error('Error purging the trash:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  }
+}
+
+runPurge();
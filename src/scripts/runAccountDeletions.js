@@ -0,0 +1,44 @@
+require('dotenv').config({ path: require('path').join(__dirname, '../../.env') });
+const mongoose = require('mongoose');
+const { runDueAccountDeletions } = require('../services/accountDeletionService');
+
+/**
+ * @fileoverview Account Deletion Runner
+ * 
+ * Deletes the accounts whose deletion grace period is over, together with
+ * every document that references them, and prints what was removed. Safe
+ * to run as often as needed, e.g. from the same daily cron job as the
+ * recurring runner.
+ */
+
+async function runAccountDeletions() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGOTOKEN, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true
+    });
+    console.log('Connected to MongoDB');
+    
+    const summary = await runDueAccountDeletions();
+    
+    for (const result of summary.results) {
+      if (result.error) {
+        console.error(`Account ${result.account_id} failed: ${result.error}`);
+        continue;
+      }
+      const removed = Object.entries(result.removed).map(([name, count]) => `${count} ${name}`).join(', ');
+      const anonymized = Object.entries(result.anonymized).map(([name, count]) => `${count} ${name}`).join(', ');
+      console.log(`Account ${result.account_id} (${result.username}) deleted: removed ${removed}; anonymized ${anonymized}`);
+    }
+    
+    console.log(`Run complete: ${summary.accounts} accounts due, ${summary.deleted} deleted, ${summary.failed} failed`);
+  } catch (error) {
+    console.error('Error running account deletions:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  }
+}
+
+runAccountDeletions();
@@ -0,0 +1,40 @@
+require('dotenv').config({ path: require('path').join(__dirname, '../../.env') });
+const mongoose = require('mongoose');
+const { runDueFundingRules } = require('../services/goalFundingService');
+
+/**
+ * @fileoverview Goal Funding Runner
+ * 
+ * Allocates the fixed amounts of scheduled goal funding rules for every due
+ * occurrence since the last run. Safe to run as often as needed, e.g. from
+ * the same daily cron job as the recurring runner.
+ */
+
+async function runGoalFunding() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGOTOKEN, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true
+    });
+    console.log('Connected to MongoDB');
+    
+    const summary = await runDueFundingRules();
+    
+    for (const result of summary.results) {
+      console.log(`Rule ${result.rule_id}: ${result.allocated} allocated, ${result.skipped} skipped`);
+      for (const error of result.errors) {
+        console.error(`  Failed at ${error.occurrence_date.toISOString()}: ${error.message}`);
+      }
+    }
+    
+    console.log(`Run complete: ${summary.rules} rules checked, ${summary.allocated} allocations made, ${summary.failed} rules failed`);
+  } catch (error) {
+    console.error('Error running goal funding rules:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  }
+}
+
+runGoalFunding();
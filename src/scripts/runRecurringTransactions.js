@@ -0,0 +1,40 @@
+require('dotenv').config({ path: require('path').join(__dirname, '../../.env') });
+const mongoose = require('mongoose');
+const { runDueRecurring } = require('../services/recurringService');
+
+/**
+ * @fileoverview Recurring Transactions Runner
+ * 
+ * Posts every due occurrence of active recurring schedules, catching up on
+ * any periods missed since the last run. Safe to run as often as needed,
+ * e.g. from a daily cron job.
+ */
+
+async function runRecurringTransactions() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGOTOKEN, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true
+    });
+    console.log('Connected to MongoDB');
+    
+    const summary = await runDueRecurring();
+    
+    for (const result of summary.results) {
+      console.log(`${result.deskripsi}: ${result.posted} posted, ${result.skipped} skipped`);
+      for (const error of result.errors) {
+        console.error(`  Failed at ${error.occurrence_date.toISOString()}: ${error.message}`);
+      }
+    }
+    
+    console.log(`Run complete: ${summary.schedules} schedules checked, ${summary.posted} transactions posted, ${summary.failed} schedules failed`);
+  } catch (error) {
+    console.error('Error running recurring transactions:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  }
+}
+
+runRecurringTransactions();
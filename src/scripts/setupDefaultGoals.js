@@ -2,13 +2,15 @@ require('dotenv').config({ path: '../../.env' });
 const mongoose = require('mongoose');
 const Account = require('../model/Account');
 const Goal = require('../model/Goal');
+const { buildGoalFromTemplate } = require('../services/goalTemplateService');
 
 /**
  * @fileoverview Default Goals Setup Script
  * 
  * This script creates default financial goals for existing accounts
  * that don't have any goals yet. It sets up an emergency fund goal
- * for each user based on their current balance.
+ * for each user from the emergency fund template: six times their average
+ * monthly expenses, or a balance-based estimate for short histories.
  */
 
 async function setupDefaultGoals() {
@@ -33,17 +35,8 @@ async function setupDefaultGoals() {
       const existingGoals = await Goal.countDocuments({ user_id: account._id });
       
       if (existingGoals === 0) {
-        // Create an emergency fund goal based on account balance
-        // Target is either 6 months of estimated expenses (3x balance) or minimum 10,000,000
-        const suggestedTarget = Math.max(account.balance * 3, 10000000);
-        
-        const goal = new Goal({
-          user_id: account._id,
-          title: 'Dana Darurat',
-          description: 'Dana darurat untuk kebutuhan mendesak, disarankan sebesar 6x pengeluaran bulanan',
-          target_amount: suggestedTarget,
-          saved_amount: 0
-        });
+        // Create an emergency fund goal sized from the account's spending
+        const goal = await buildGoalFromTemplate(account, 'emergency_fund');
         
         await goal.save();
         created++;
@@ -0,0 +1,48 @@
+require('dotenv').config({ path: require('path').join(__dirname, '../../.env') });
+const mongoose = require('mongoose');
+const { reconcileAll } = require('../services/reconciliationService');
+
+/**
+ * @fileoverview Account Balance Rebuild Script
+ * 
+ * Recomputes every account, wallet and category balance from the
+ * transaction ledger and writes the corrected values.
+ * Pass --dry-run to only report drift.
+ * 
+ * Usage: npm run update-balances [-- --dry-run]
+ */
+
+async function updateAccountBalances() {
+  const dryRun = process.argv.includes('--dry-run');
+  
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGOTOKEN, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true
+    });
+    console.log('Connected to MongoDB');
+    
+    const summary = await reconcileAll({ fix: !dryRun });
+    
+    for (const report of summary.results) {
+      console.log(`${report.username}: account ${report.account.stored} -> ${report.account.expected}`);
+      for (const wallet of report.wallets) {
+        console.log(`  wallet ${wallet.name}: ${wallet.stored} -> ${wallet.expected}`);
+      }
+      for (const category of report.categories) {
+        console.log(`  category ${category.name} (${category.type}): ${category.stored} -> ${category.expected}`);
+      }
+    }
+    
+    const action = dryRun ? 'need fixing' : 'fixed';
+    console.log(`Reconciliation complete: ${summary.checked} accounts checked, ${summary.drifted} ${action}`);
+  } catch (error) {
+    console.error('Error updating balances:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  }
+}
+
+updateAccountBalances();
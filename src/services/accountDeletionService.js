@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Account = require('../model/Account');
+const Attachment = require('../model/Attachment');
+const Goal = require('../model/Goal');
+const GoalContribution = require('../model/GoalContribution');
+const { removeAttachmentFiles } = require('./attachmentService');
+const { recordChange } = require('./auditService');
+
+/**
+ * @fileoverview Account Deletion Service
+ * 
+ * Deleting an account is scheduled ACCOUNT_DELETION_GRACE_DAYS ahead (14 by
+ * default; 0 deletes right away). The account keeps working until then and
+ * the deletion can be cancelled. When it is carried out, every document
+ * that references the account is removed or anonymized in one session,
+ * together with the account itself.
+ * 
+ * Dependent documents are found through the schemas: every field with
+ * ref: 'Account' in any model, so collections added later are covered
+ * without changes here. Documents are removed unless ANONYMIZED_FIELDS
+ * lists the field, in which case only the reference is cleared because the
+ * document belongs to someone else.
+ * 
+ * An account cannot be deleted while members of its shared goals still have
+ * money in them, since that money would disappear with the goals. The
+ * members have to withdraw it (or the owner has to empty the goals) first.
+ */
+
+const ACCOUNT_DELETION_GRACE_DAYS = process.env.ACCOUNT_DELETION_GRACE_DAYS === undefined
+  ? 14
+  : Number(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+
+// References kept as null instead of removing the document, per model
+const ANONYMIZED_FIELDS = {
+  // Contributions a member made to another user's shared goal stay in its history
+  GoalContribution: ['member_id'],
+  // Changes the account made to other users' records stay in their log
+  AuditLog: ['actor_id'],
+  // The admin trail of impersonated requests is kept
+  AdminAction: ['admin_id', 'user_id']
+};
+
+/**
+ * Raised when deleting the account would take other users' money with it; controllers answer 409
+ */
+class AccountDeletionBlockedError extends Error {}
+
+// Load every model so collections that are not required elsewhere are covered too
+const MODEL_DIR = path.join(__dirname, '../model');
+for (const file of fs.readdirSync(MODEL_DIR)) {
+  if (file.endsWith('.js')) require(path.join(MODEL_DIR, file));
+}
+
+/**
+ * List the fields of every model that reference an account
+ * 
+ * @returns {Array<Object>} { Model, field, anonymize } entries
+ */
+function accountReferences() {
+  const references = [];
+  for (const name of mongoose.modelNames()) {
+    if (name === 'Account') continue;
+    const Model = mongoose.model(name);
+    
+    Model.schema.eachPath((field, schemaType) => {
+      const ref = schemaType.options.ref || (schemaType.caster && schemaType.caster.options.ref);
+      if (ref !== 'Account') return;
+      const anonymize = (ANONYMIZED_FIELDS[name] || []).includes(field);
+      references.push({ Model, field, anonymize });
+    });
+  }
+  return references;
+}
+
+/**
+ * List the funded goals of an account that hold money put in by other members
+ * 
+ * @param {Account} account - Account document
+ * @param {ClientSession} [session] - Active mongoose session
+ * @returns {Promise<Array<Goal>>} Goals with a saved amount and a positive net
+ *   contribution from at least one other member
+ */
+async function goalsWithMemberFunds(account, session) {
+  const funded = await GoalContribution.aggregate([
+    { $match: { user_id: account._id, member_id: { $nin: [account._id, null] } } },
+    {
+      $group: {
+        _id: { goal_id: '$goal_id', member_id: '$member_id' },
+        net: { $sum: { $cond: [{ $eq: ['$type', 'allocate'] }, '$amount', { $multiply: ['$amount', -1] }] } }
+      }
+    },
+    { $match: { net: { $gt: 0 } } }
+  ]).session(session || null);
+  if (funded.length === 0) return [];
+  
+  return Goal.find({ _id: { $in: funded.map(row => row._id.goal_id) }, saved_amount: { $gt: 0 } })
+    .setOptions({ withDeleted: true })
+    .session(session || null);
+}
+
+/**
+ * Refuse to delete an account whose shared goals hold other members' money
+ * 
+ * @param {Account} account - Account document
+ * @param {ClientSession} [session] - Active mongoose session
+ * @throws {AccountDeletionBlockedError} When such a goal exists
+ */
+async function assertDeletable(account, session) {
+  const goals = await goalsWithMemberFunds(account, session);
+  if (goals.length > 0) {
+    const titles = goals.map(goal => `"${goal.title}"`).join(', ');
+    throw new AccountDeletionBlockedError(
+      `Members still have funds in the shared goals ${titles}; they have to be withdrawn before the account can be deleted`
+    );
+  }
+}
+
+/**
+ * Schedule the deletion of an account after the grace period
+ * 
+ * Scheduling again keeps the original date.
+ * 
+ * @param {Account} account - Account document
+ * @returns {Promise<Account>} The account with deletion_scheduled_for set
+ * @throws {AccountDeletionBlockedError} When shared goals hold other members' money
+ */
+async function scheduleAccountDeletion(account) {
+  await assertDeletable(account);
+  if (!account.deletion_scheduled_for) {
+    account.deletion_requested_at = new Date();
+    account.deletion_scheduled_for = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    await account.save();
+  }
+  return account;
+}
+
+/**
+ * Cancel a pending deletion
+ * 
+ * @param {Account} account - Account document
+ * @returns {Promise<Account>}
+ */
+async function cancelAccountDeletion(account) {
+  account.deletion_requested_at = null;
+  account.deletion_scheduled_for = null;
+  await account.save();
+  return account;
+}
+
+/**
+ * Delete an account and everything that references it
+ * 
+ * Runs in one session, so either everything is removed or nothing is.
+ * Documents are written through the driver rather than the models so no
+ * model middleware (the soft delete filter, the append-only audit log)
+ * gets in the way. Stored attachment files are removed after the commit.
+ * Members may have funded a shared goal during the grace period, so this is
+ * checked again. The deletion is logged last, so the audit log entry is not
+ * removed with the account's other entries.
+ * 
+ * @param {Account} account - Account document
+ * @param {Object} [options]
+ * @param {Object|null} [options.actor=null] - req.user of the deleting request, null for the runner
+ * @returns {Promise<Object>} { account_id, username, removed, anonymized }, where
+ *   removed and anonymized count documents per collection
+ * @throws {AccountDeletionBlockedError} When shared goals hold other members' money
+ */
+async function deleteAccountData(account, { actor = null } = {}) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+    await assertDeletable(account, session);
+    
+    const attachments = await Attachment.find({ user_id: account._id }).session(session);
+    const removed = {};
+    const anonymized = {};
+    
+    for (const { Model, field, anonymize } of accountReferences()) {
+      const collection = Model.collection;
+      const filter = { [field]: account._id };
+      const result = anonymize
+        ? await collection.updateMany(filter, { $set: { [field]: null } }, { session })
+        : await collection.deleteMany(filter, { session });
+      const count = anonymize ? result.modifiedCount : result.deletedCount;
+      
+      const totals = anonymize ? anonymized : removed;
+      totals[collection.collectionName] = (totals[collection.collectionName] || 0) + count;
+    }
+    
+    await Account.deleteOne({ _id: account._id }, { session });
+    await recordChange(actor, 'delete', 'account', { before: account }, session);
+    
+    await session.commitTransaction();
+    session.endSession();
+    
+    await removeAttachmentFiles(attachments);
+    return { account_id: account._id, username: account.username, removed, anonymized };
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+}
+
+/**
+ * Carry out every deletion whose grace period is over
+ * 
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - Delete accounts scheduled up to this date
+ * @returns {Promise<Object>} { accounts, deleted, failed, results } with one
+ *   summary (or { account_id, error }) per account
+ */
+async function runDueAccountDeletions({ now = new Date() } = {}) {
+  const accounts = await Account.find({ deletion_scheduled_for: { $ne: null, $lte: now } });
+  const summary = { accounts: accounts.length, deleted: 0, failed: 0, results: [] };
+  
+  for (const account of accounts) {
+    try {
+      summary.results.push(await deleteAccountData(account));
+      summary.deleted++;
+    } catch (error) {
+      summary.results.push({ account_id: account._id, error: error.message });
+      summary.failed++;
+    }
+  }
+  
+  return summary;
+}
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  AccountDeletionBlockedError,
+  accountReferences,
+  goalsWithMemberFunds,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  deleteAccountData,
+  runDueAccountDeletions
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const path = require('path');
+const Attachment = require('../model/Attachment');
+const { getStorage } = require('./attachmentStorage');
+
+/**
+ * @fileoverview Attachment Service
+ * 
+ * Stores, reads and removes files attached to transactions. Uploads are
+ * limited to ATTACHMENT_MAX_BYTES (default 10 MB) and to image and PDF
+ * types, and the content must look like the type it was sent as.
+ * 
+ * Storage is not part of MongoDB sessions: content is saved before its
+ * document and removed after its document is gone, so a failure leaves at
+ * most an unreferenced file, never a document without content.
+ */
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const MAX_ATTACHMENT_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES) || DEFAULT_MAX_BYTES;
+
+// Allowed content types with their file extension and leading bytes
+const ATTACHMENT_TYPES = {
+  'image/jpeg': { extension: '.jpg', matches: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  'image/png': { extension: '.png', matches: b => b.subarray(0, 8).equals(Buffer.from('89504e470d0a1a0a', 'hex')) },
+  'image/webp': {
+    extension: '.webp',
+    matches: b => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP'
+  },
+  'application/pdf': { extension: '.pdf', matches: b => b.toString('latin1', 0, 5) === '%PDF-' }
+};
+
+/**
+ * Raised for uploads that are empty or do not match their type; controllers answer 400
+ */
+class InvalidAttachmentError extends Error {}
+
+// Keep a printable base name, falling back to a generic one
+function cleanFilename(filename, extension) {
+  const name = path.basename(String(filename || ''))
+    .replace(/[\u0000-\u001f\u007f"\\/]/g, '')
+    .trim()
+    .slice(0, 200);
+  return name || `attachment${extension}`;
+}
+
+/**
+ * Store a file and attach it to a transaction
+ * 
+ * @param {Transaction} transaction - Transaction document
+ * @param {Object} file
+ * @param {Buffer} file.buffer - File content
+ * @param {string} file.mimeType - Content type, one of ATTACHMENT_TYPES
+ * @param {string} [file.filename] - Original file name
+ * @returns {Promise<Attachment>} The saved attachment
+ */
+async function storeAttachment(transaction, { buffer, mimeType, filename }) {
+  const type = ATTACHMENT_TYPES[mimeType];
+  if (!type) {
+    throw new InvalidAttachmentError(`Unsupported file type: ${mimeType}`);
+  }
+  if (!buffer || buffer.length === 0) {
+    throw new InvalidAttachmentError('The file is empty');
+  }
+  if (buffer.length > MAX_ATTACHMENT_BYTES) {
+    throw new InvalidAttachmentError(`Files can be at most ${MAX_ATTACHMENT_BYTES} bytes`);
+  }
+  if (!type.matches(buffer)) {
+    throw new InvalidAttachmentError(`The file content is not ${mimeType}`);
+  }
+  
+  const storage = getStorage();
+  const key = `${transaction.id_akun}/${transaction._id}/${crypto.randomUUID()}${type.extension}`;
+  await storage.save(key, buffer);
+  
+  try {
+    const attachment = new Attachment({
+      transaction_id: transaction._id,
+      user_id: transaction.id_akun,
+      filename: cleanFilename(filename, type.extension),
+      mime_type: mimeType,
+      size: buffer.length,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+      storage: storage.name,
+      key
+    });
+    return await attachment.save();
+  } catch (error) {
+    await storage.remove(key);
+    throw error;
+  }
+}
+
+/**
+ * Open an attachment's content for reading
+ * 
+ * @param {Attachment} attachment - Attachment document
+ * @returns {Promise<Readable>} Stream of the file content
+ */
+async function openAttachment(attachment) {
+  return getStorage(attachment.storage).read(attachment.key);
+}
+
+/**
+ * Read an attachment's whole content
+ * 
+ * @param {Attachment} attachment - Attachment document
+ * @returns {Promise<Buffer>} File content
+ */
+async function readAttachment(attachment) {
+  const chunks = [];
+  for await (const chunk of await openAttachment(attachment)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Remove the stored content of attachments whose documents are gone
+ * 
+ * Failures are logged rather than thrown, since the documents are already
+ * deleted and the request that deleted them has succeeded.
+ * 
+ * @param {Array<Attachment>} attachments - Deleted attachment documents
+ */
+async function removeAttachmentFiles(attachments) {
+  for (const attachment of attachments) {
+    try {
+      await getStorage(attachment.storage).remove(attachment.key);
+    } catch (error) {
+      console.error(`Failed to remove attachment file ${attachment.key}:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  MAX_ATTACHMENT_BYTES,
+  ATTACHMENT_TYPES,
+  InvalidAttachmentError,
+  storeAttachment,
+  openAttachment,
+  readAttachment,
+  removeAttachmentFiles
+};
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @fileoverview Attachment Storage Adapters
+ * 
+ * Attachment content is kept behind a small adapter interface so it can live
+ * on local disk or in another backend such as an object store:
+ * 
+ *   save(key, buffer)  stores new content under a key
+ *   read(key)          resolves to a readable stream of the content
+ *   remove(key)        deletes the content; a missing key is not an error
+ * 
+ * ATTACHMENT_STORAGE selects the adapter for new uploads (default 'local').
+ * Each attachment records the adapter it was saved with, so files stay
+ * readable after switching. Other adapters are added with registerStorage.
+ */
+
+const DEFAULT_STORAGE = 'local';
+const DEFAULT_LOCAL_DIR = path.join(__dirname, '../../uploads');
+
+/**
+ * Storage adapter that keeps files in a directory on local disk
+ * 
+ * @param {string} [root] - Base directory; defaults to ATTACHMENT_DIR or ./uploads
+ * @returns {Object} Storage adapter
+ */
+function createLocalStorage(root = process.env.ATTACHMENT_DIR || DEFAULT_LOCAL_DIR) {
+  const base = path.resolve(root);
+  
+  // Keys are generated by the attachment service; this keeps a bad key inside the root
+  const fileFor = key => {
+    const file = path.resolve(base, key);
+    if (!file.startsWith(base + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return file;
+  };
+  
+  return {
+    name: 'local',
+    async save(key, buffer) {
+      const file = fileFor(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer, { flag: 'wx' });
+    },
+    async read(key) {
+      const file = fileFor(key);
+      await fs.promises.access(file);
+      return fs.createReadStream(file);
+    },
+    async remove(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    }
+  };
+}
+
+const factories = new Map([['local', createLocalStorage]]);
+const adapters = new Map();
+
+/**
+ * Make a storage adapter available under a name
+ * 
+ * @param {string} name - Adapter name, as used in ATTACHMENT_STORAGE
+ * @param {Function} factory - Called once, without arguments, to create the adapter
+ */
+function registerStorage(name, factory) {
+  factories.set(name, factory);
+  adapters.delete(name);
+}
+
+/**
+ * Get a storage adapter, creating it on first use
+ * 
+ * @param {string} [name] - Adapter name; defaults to ATTACHMENT_STORAGE or 'local'
+ * @returns {Object} Storage adapter with a name, save, read and remove
+ */
+function getStorage(name = process.env.ATTACHMENT_STORAGE || DEFAULT_STORAGE) {
+  if (!adapters.has(name)) {
+    const factory = factories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown attachment storage: ${name}`);
+    }
+    adapters.set(name, { ...factory(), name });
+  }
+  return adapters.get(name);
+}
+
+module.exports = {
+  createLocalStorage,
+  registerStorage,
+  getStorage
+};
@@ -0,0 +1,298 @@
+const mongoose = require('mongoose');
+const Account = require('../model/Account');
+const AuditLog = require('../model/AuditLog');
+const Category = require('../model/Category');
+const Goal = require('../model/Goal');
+const GoalContribution = require('../model/GoalContribution');
+const Transaction = require('../model/Transaction');
+const { applyTransaction } = require('./ledgerService');
+const { renameCategoryReferences, removeCategory } = require('./categoryService');
+const {
+  findTrashed,
+  trashTransaction,
+  restoreTransaction,
+  trashGoal,
+  restoreGoal
+} = require('./trashService');
+
+/**
+ * @fileoverview Audit Service
+ * 
+ * Writes the audit log and undoes logged changes. Changes are recorded in
+ * the session of the mutation they describe, so an entry exists exactly
+ * when its change was committed.
+ * 
+ * An undo restores the record and its balance side effects in one session
+ * and is itself logged. Only the latest change of a record can be undone,
+ * so later changes have to be undone first.
+ */
+
+/**
+ * Raised for changes that cannot be undone; controllers answer 400
+ */
+class UndoNotSupportedError extends Error {}
+
+/**
+ * Raised when the record no longer matches the logged change; controllers answer 409
+ */
+class UndoConflictError extends Error {}
+
+// Field holding the owning account of each entity type; accounts own themselves
+const OWNER_FIELDS = {
+  transaction: 'id_akun',
+  goal: 'user_id',
+  category: 'user_id',
+  account: '_id'
+};
+
+// Plain copy of a record for the log, never including the password hash
+function snapshot(doc) {
+  if (!doc) return null;
+  const data = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : { ...doc };
+  delete data.password;
+  delete data.__v;
+  return data;
+}
+
+/**
+ * Add an entry to the audit log
+ * 
+ * @param {Object|null} actor - req.user of the request making the change, or null for the system
+ * @param {string} action - 'create', 'update', 'delete', 'restore', 'allocate', 'withdraw' or 'undo'
+ * @param {string} entityType - 'transaction', 'goal', 'category' or 'account'
+ * @param {Object} change
+ * @param {Object} [change.before] - Record before the change, omitted for creates
+ * @param {Object} [change.after] - Record after the change, omitted for deletes
+ * @param {Object} [change.details] - Extra facts needed to undo the change
+ * @param {ObjectId} [change.undoOf] - Entry undone by this change
+ * @param {ClientSession} [session] - Session of the change
+ * @returns {Promise<AuditLog>} The new entry
+ */
+async function recordChange(actor, action, entityType, { before = null, after = null, details, undoOf } = {}, session) {
+  const record = snapshot(after || before);
+  
+  const entry = new AuditLog({
+    user_id: record[OWNER_FIELDS[entityType]],
+    actor_id: actor ? (actor.actor ? actor.actor.id : actor.id) : undefined,
+    action,
+    entity_type: entityType,
+    entity_id: record._id,
+    before: snapshot(before),
+    after: snapshot(after),
+    details,
+    undo_of: undoOf
+  });
+  await entry.save({ session });
+  return entry;
+}
+
+// Load the current record of an entry, which has to still exist
+async function loadCurrent(Model, entry, session) {
+  const doc = await Model.findById(entry.entity_id).session(session);
+  if (!doc) {
+    throw new UndoConflictError(`The ${entry.entity_type} no longer exists`);
+  }
+  return doc;
+}
+
+// Load the trashed record of an entry, which has to still be in the trash
+async function loadTrashed(entry, session) {
+  const doc = await findTrashed(entry.entity_type, entry.entity_id, entry.user_id, session);
+  if (!doc) {
+    throw new UndoConflictError(`The ${entry.entity_type} is no longer in the trash`);
+  }
+  return doc;
+}
+
+// Set every field the change modified back to its logged value; derived
+// fields are left to the code that maintains them
+function restoreFields(doc, entry, derived = []) {
+  const before = entry.before || {};
+  const after = entry.after || {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  
+  for (const field of fields) {
+    if (field === '_id' || derived.includes(field)) continue;
+    if (JSON.stringify(before[field]) === JSON.stringify(after[field])) continue;
+    doc.set(field, before[field]);
+  }
+}
+
+// Take back a goal allocation or withdrawal, with its transfer if it had one
+async function undoContribution(entry, session) {
+  const { contribution_id, transaction_id, amount } = entry.details || {};
+  const goal = await loadCurrent(Goal, entry, session);
+  const before = snapshot(goal);
+  
+  if (transaction_id) {
+    const transaction = await Transaction.findById(transaction_id).session(session);
+    if (!transaction) {
+      throw new UndoConflictError('The transfer of this contribution no longer exists');
+    }
+    await trashTransaction(transaction, session);
+  } else {
+    goal.saved_amount += entry.action === 'allocate' ? -amount : amount;
+    await goal.save({ session });
+  }
+  await GoalContribution.deleteOne({ _id: contribution_id }, { session });
+  
+  const after = await Goal.findById(goal._id).session(session);
+  return { before, after };
+}
+
+// Take back a creation or restore by moving the record to the trash
+async function trashCurrent(Model, trash, entry, session) {
+  const doc = await loadCurrent(Model, entry, session);
+  const before = snapshot(doc);
+  await trash(doc, session);
+  return { before, after: null };
+}
+
+// Take back a deletion by restoring the record from the trash
+async function restoreTrashed(restore, entry, session) {
+  const doc = await loadTrashed(entry, session);
+  await restore(doc, session);
+  return { before: null, after: doc };
+}
+
+// Take back a category creation or restore; a category in use has to be
+// deleted with its transactions reassigned or untagged instead
+async function trashUnusedCategory(entry, session) {
+  const category = await loadCurrent(Category, entry, session);
+  const used = await Transaction.exists({ category_ids: category._id })
+    .setOptions({ withDeleted: true })
+    .session(session)
+    || await Category.exists({ parent_id: category._id }).session(session);
+  if (used) {
+    throw new UndoConflictError('The category is in use; delete it with reassign_to or mode=untag instead');
+  }
+  
+  const before = snapshot(category);
+  await removeCategory(category, null, session);
+  return { before, after: null };
+}
+
+// Undo handlers per entity type and action; each returns { before, after }
+// snapshots of the undo itself
+const UNDO_HANDLERS = {
+  transaction: {
+    create: (entry, session) => trashCurrent(Transaction, trashTransaction, entry, session),
+    restore: (entry, session) => trashCurrent(Transaction, trashTransaction, entry, session),
+    async update(entry, session) {
+      const transaction = await loadCurrent(Transaction, entry, session);
+      const before = snapshot(transaction);
+      
+      await applyTransaction(transaction, session, true);
+      restoreFields(transaction, entry, ['category_ids']);
+      await transaction.save({ session });
+      await applyTransaction(transaction, session);
+      return { before, after: transaction };
+    },
+    delete: (entry, session) => restoreTrashed(restoreTransaction, entry, session)
+  },
+  goal: {
+    create: (entry, session) => trashCurrent(Goal, trashGoal, entry, session),
+    restore: (entry, session) => trashCurrent(Goal, trashGoal, entry, session),
+    async update(entry, session) {
+      const goal = await loadCurrent(Goal, entry, session);
+      const before = snapshot(goal);
+      restoreFields(goal, entry);
+      await goal.save({ session });
+      return { before, after: goal };
+    },
+    delete: (entry, session) => restoreTrashed(restoreGoal, entry, session),
+    allocate: undoContribution,
+    withdraw: undoContribution
+  },
+  category: {
+    create: trashUnusedCategory,
+    restore: trashUnusedCategory,
+    async update(entry, session) {
+      const category = await loadCurrent(Category, entry, session);
+      const before = snapshot(category);
+      const currentName = category.name;
+      
+      restoreFields(category, entry, ['balance']);
+      await category.save({ session });
+      if (category.name !== currentName) {
+        await renameCategoryReferences(category, currentName, session);
+      }
+      return { before, after: category };
+    }
+  },
+  account: {
+    async update(entry, session) {
+      const account = await loadCurrent(Account, entry, session);
+      const before = snapshot(account);
+      restoreFields(account, entry, ['balance']);
+      await account.save({ session });
+      return { before, after: account };
+    }
+  }
+};
+
+// Only the latest change of a record can be undone
+async function ensureLatestChange(entry, session) {
+  const later = await AuditLog.find({
+    entity_type: entry.entity_type,
+    entity_id: entry.entity_id,
+    _id: { $gt: entry._id },
+    action: { $ne: 'undo' }
+  }).select('_id').session(session);
+  if (later.length === 0) return;
+  
+  const undone = await AuditLog.countDocuments({ undo_of: { $in: later.map(e => e._id) } }).session(session);
+  if (undone < later.length) {
+    throw new UndoConflictError(`The ${entry.entity_type} has changed since; undo the later changes first`);
+  }
+}
+
+/**
+ * Revert one logged change, including its balance side effects
+ * 
+ * @param {AuditLog} entry - Entry to undo
+ * @param {Object} actor - req.user of the request asking for the undo
+ * @returns {Promise<AuditLog>} The entry recording the undo
+ * @throws {UndoNotSupportedError} For undo entries and changes without an undo handler
+ * @throws {UndoConflictError} When the change was already undone or the record has moved on
+ */
+async function undoChange(entry, actor) {
+  if (entry.action === 'undo') {
+    throw new UndoNotSupportedError('An undo cannot be undone');
+  }
+  const handler = (UNDO_HANDLERS[entry.entity_type] || {})[entry.action];
+  if (!handler) {
+    throw new UndoNotSupportedError(`Undoing a ${entry.entity_type} ${entry.action} is not supported`);
+  }
+  
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+    if (await AuditLog.exists({ undo_of: entry._id }).session(session)) {
+      throw new UndoConflictError('This change has already been undone');
+    }
+    await ensureLatestChange(entry, session);
+    
+    const { before, after } = await handler(entry, session);
+    const undo = await recordChange(actor, 'undo', entry.entity_type, { before, after, undoOf: entry._id }, session);
+    
+    await session.commitTransaction();
+    session.endSession();
+    return undo;
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.undo_of) {
+      throw new UndoConflictError('This change has already been undone');
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  UndoNotSupportedError,
+  UndoConflictError,
+  recordChange,
+  undoChange
+};
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const Transaction = require('../model/Transaction');
+const Account = require('../model/Account');
+const Category = require('../model/Category');
+const { createConverter, conversionGroupKey } = require('./currencyService');
+const { CATEGORY_SHARES } = require('./ledgerService');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+const { periodStart, addPeriods } = require('../utils/period');
+
+/**
+ * @fileoverview Budget Service
+ * 
+ * Computes spent, remaining and percent used per budget period from the
+ * expense transactions whose category or tags match the budget category.
+ * A transaction tagged with the category counts with its share for that
+ * category (see ledgerService.categoryShares), one whose category field
+ * alone matches counts in full.
+ * Budget amounts are in the account's base currency; expenses in other
+ * currencies are converted at the rate of their date.
+ */
+
+// Percent used at which a period is reported as 'warning'
+const WARNING_THRESHOLD = 80;
+
+const DATE_TRUNC_UNITS = {
+  monthly: { unit: 'month' },
+  weekly: { unit: 'week', startOfWeek: 'monday' }
+};
+
+function statusFor(percentUsed) {
+  if (percentUsed >= 100) return 'over';
+  if (percentUsed >= WARNING_THRESHOLD) return 'warning';
+  return 'ok';
+}
+
+/**
+ * Total expense per period for a budget's category
+ * 
+ * @param {Budget} budget - Budget document
+ * @param {Date} from - Start of the first period (inclusive)
+ * @param {Date} to - End of the last period (exclusive)
+ * @returns {Promise<Map<number, number>>} Period start time -> amount spent
+ * @throws {MissingRateError} When an expense's currency has no rate for its date
+ */
+async function spendingByPeriod(budget, from, to) {
+  const account = await Account.findById(budget.user_id).select('currency');
+  const converter = createConverter(account ? account.currency : DEFAULT_CURRENCY);
+  const category = await Category.findOne({ user_id: budget.user_id, name: budget.category, type: 'expense' })
+    .select('_id');
+  const categoryId = category ? category._id : null;
+  
+  const rows = await Transaction.aggregate([
+    {
+      $match: {
+        id_akun: new mongoose.Types.ObjectId(budget.user_id),
+        tipe: 'expense',
+        created_at: { $gte: from, $lt: to },
+        $or: [{ category: budget.category }, { tags: budget.category }]
+      }
+    },
+    {
+      $project: {
+        created_at: 1,
+        currency: 1,
+        nominal: 1,
+        // Transactions saved before category_ids existed have no shares
+        shares: categoryId
+          ? { $filter: { input: CATEGORY_SHARES, as: 'share', cond: { $eq: ['$$share.category_id', categoryId] } } }
+          : { $literal: [] }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          start: { $dateTrunc: { date: '$created_at', timezone: 'UTC', ...DATE_TRUNC_UNITS[budget.period] } },
+          ...conversionGroupKey(converter.target)
+        },
+        spent: {
+          $sum: {
+            $cond: [
+              { $gt: [{ $size: '$shares' }, 0] },
+              { $sum: '$shares.amount' },
+              '$nominal'
+            ]
+          }
+        }
+      }
+    }
+  ]);
+  
+  const spending = new Map();
+  for (const row of rows) {
+    const key = row._id.start.getTime();
+    const spent = await converter.convert(row.spent, row._id.currency, row._id.day);
+    spending.set(key, (spending.get(key) || 0) + spent);
+  }
+  return spending;
+}
+
+/**
+ * Status of a budget for the current period and a number of past periods
+ * 
+ * With rollover enabled, unused budget is carried forward from every period
+ * since the budget started, so the whole chain is computed even when only
+ * the most recent periods are returned.
+ * 
+ * @param {Budget} budget - Budget document
+ * @param {Object} [options]
+ * @param {number} [options.history=3] - Number of past periods to include
+ * @param {Date} [options.now=new Date()] - Reference date for the current period
+ * @returns {Promise<Object>} Budget details with a `current` period and `periods` (oldest first)
+ */
+async function getBudgetStatus(budget, { history = 3, now = new Date() } = {}) {
+  const currentStart = periodStart(now, budget.period);
+  const budgetStart = periodStart(budget.start_date || budget.created_at, budget.period);
+  const firstShown = addPeriods(currentStart, budget.period, -history);
+  
+  // Rollover needs every period since the budget began
+  let from = budget.rollover ? budgetStart : firstShown;
+  if (from < budgetStart) from = budgetStart;
+  if (from > currentStart) from = currentStart;
+  
+  const to = addPeriods(currentStart, budget.period, 1);
+  const spending = await spendingByPeriod(budget, from, to);
+  
+  const periods = [];
+  let carried = 0;
+  
+  for (let start = from; start < to; start = addPeriods(start, budget.period, 1)) {
+    const end = addPeriods(start, budget.period, 1);
+    const available = budget.amount + carried;
+    const spent = spending.get(start.getTime()) || 0;
+    const remaining = available - spent;
+    const percentUsed = available > 0 ? Math.round((spent / available) * 100) : (spent > 0 ? 100 : 0);
+    
+    if (start >= firstShown) {
+      periods.push({
+        start,
+        end,
+        budget: available,
+        carried_over: carried,
+        spent,
+        remaining,
+        percent_used: percentUsed,
+        status: statusFor(percentUsed)
+      });
+    }
+    
+    carried = budget.rollover ? Math.max(remaining, 0) : 0;
+  }
+  
+  return {
+    _id: budget._id,
+    category: budget.category,
+    period: budget.period,
+    amount: budget.amount,
+    rollover: budget.rollover,
+    current: periods[periods.length - 1],
+    periods
+  };
+}
+
+module.exports = {
+  WARNING_THRESHOLD,
+  getBudgetStatus
+};
@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const CategorizationRule = require('../model/CategorizationRule');
+const Transaction = require('../model/Transaction');
+const { recalculateCategoryBalances } = require('./ledgerService');
+const { recordChange } = require('./auditService');
+
+/**
+ * @fileoverview Categorization Service
+ * 
+ * Applies a user's categorization rules to transaction data. Rules run in
+ * ascending priority; the first matching rule with a category decides the
+ * category, and tags from every matching rule are added.
+ * 
+ * By default a rule only sets the category when the transaction has none
+ * or the default 'lainnya', so a category the user chose is never
+ * overwritten. Re-applying rules can opt into overriding categories.
+ */
+
+const DEFAULT_CATEGORY = 'lainnya';
+
+// Longest part of a description a rule's regex is run against, so a slow
+// regex still finishes quickly
+const MAX_REGEX_SUBJECT_LENGTH = 500;
+
+// Compiled description_regex per rule object, so a run over many
+// transactions compiles each rule's regex once
+const compiledRegexes = new WeakMap();
+
+function descriptionRegex(rule, source) {
+  let compiled = compiledRegexes.get(rule);
+  if (!compiled || compiled.source !== source) {
+    compiled = { source, regex: new RegExp(source, 'i') };
+    compiledRegexes.set(rule, compiled);
+  }
+  return compiled.regex;
+}
+
+/**
+ * Check whether a rule's conditions all match a transaction
+ * 
+ * @param {Object} rule - Rule document or plain object with `conditions`
+ * @param {Object} transaction - { deskripsi, nominal, tipe }
+ * @returns {boolean} True if every given condition matches
+ */
+function ruleMatches(rule, transaction) {
+  const conditions = rule.conditions || {};
+  const description = String(transaction.deskripsi || '');
+  
+  if (conditions.tipe && conditions.tipe !== transaction.tipe) return false;
+  if (conditions.min_amount !== undefined && conditions.min_amount !== null
+    && transaction.nominal < conditions.min_amount) return false;
+  if (conditions.max_amount !== undefined && conditions.max_amount !== null
+    && transaction.nominal > conditions.max_amount) return false;
+  if (conditions.description_contains
+    && !description.toLowerCase().includes(conditions.description_contains.toLowerCase())) return false;
+  if (conditions.description_regex
+    && !descriptionRegex(rule, conditions.description_regex)
+      .test(description.slice(0, MAX_REGEX_SUBJECT_LENGTH))) return false;
+  
+  return true;
+}
+
+/**
+ * Compute the category and tags a transaction gets from a list of rules
+ * 
+ * @param {Array<Object>} rules - Rules sorted by priority
+ * @param {Object} transaction - { deskripsi, nominal, tipe, category, tags }
+ * @param {Object} [options]
+ * @param {boolean} [options.overrideCategory=false] - Replace a category the user chose
+ * @returns {Object} { category, tags, matched } where matched lists the rule IDs that applied
+ */
+function applyRules(rules, transaction, { overrideCategory = false } = {}) {
+  const tags = [...(transaction.tags || [])];
+  let category = transaction.category || DEFAULT_CATEGORY;
+  let categoryLocked = !overrideCategory && category !== DEFAULT_CATEGORY;
+  const matched = [];
+  
+  for (const rule of rules) {
+    if (rule.active === false || !ruleMatches(rule, transaction)) continue;
+    matched.push(rule._id);
+    
+    const actions = rule.actions || {};
+    if (actions.category && !categoryLocked) {
+      category = actions.category;
+      categoryLocked = true;
+    }
+    for (const tag of actions.add_tags || []) {
+      if (!tags.includes(tag)) tags.push(tag);
+    }
+  }
+  
+  return { category, tags, matched };
+}
+
+/**
+ * Load a user's active rules in priority order
+ * 
+ * @param {ObjectId|string} userId - Account ID
+ * @param {ClientSession} [session] - Active mongoose session
+ * @returns {Promise<Array<CategorizationRule>>} Rules
+ */
+function loadRules(userId, session) {
+  return CategorizationRule.find({ user_id: userId, active: true })
+    .sort({ priority: 1, created_at: 1 })
+    .session(session || null);
+}
+
+/**
+ * Apply a user's rules to new transaction data before it is posted
+ * 
+ * @param {ObjectId|string} userId - Account ID
+ * @param {Object} data - Transaction fields; category and tags are filled in
+ * @param {ClientSession} [session] - Active mongoose session
+ * @returns {Promise<Object>} The data with category and tags from the rules
+ */
+async function categorize(userId, data, session) {
+  const rules = await loadRules(userId, session);
+  if (rules.length === 0) return data;
+  
+  const { category, tags } = applyRules(rules, data);
+  return { ...data, category, tags };
+}
+
+function sameTags(a, b) {
+  return a.length === b.length && a.every((tag, i) => tag === b[i]);
+}
+
+/**
+ * List the existing transactions whose category or tags a set of rules would change
+ * 
+ * @param {ObjectId|string} userId - Account ID
+ * @param {Array<Object>} rules - Rules to evaluate, in priority order
+ * @param {Object} [options] - Passed to applyRules
+ * @param {ClientSession} [session] - Active mongoose session
+ * @returns {Promise<Array<Object>>} { _id, deskripsi, nominal, tipe, created_at, before, after }
+ */
+async function previewChanges(userId, rules, options = {}, session) {
+  const transactions = await Transaction.find({
+    id_akun: userId,
+    tipe: { $in: ['income', 'expense'] }
+  }).sort({ created_at: -1 }).session(session || null);
+  
+  const changes = [];
+  for (const tx of transactions) {
+    const currentTags = [...(tx.tags || [])];
+    const result = applyRules(rules, tx, options);
+    
+    if (result.category !== tx.category || !sameTags(result.tags, currentTags)) {
+      changes.push({
+        _id: tx._id,
+        deskripsi: tx.deskripsi,
+        nominal: tx.nominal,
+        tipe: tx.tipe,
+        created_at: tx.created_at,
+        before: { category: tx.category, tags: currentTags },
+        after: { category: result.category, tags: result.tags }
+      });
+    }
+  }
+  
+  return changes;
+}
+
+/**
+ * Re-apply all of a user's rules to their existing transactions
+ * 
+ * Runs in one session: updates every affected transaction, logging each
+ * update under the actor, then recomputes the user's category balances from
+ * the ledger.
+ * 
+ * @param {ObjectId|string} userId - Account ID
+ * @param {Object} [options] - Passed to applyRules
+ * @param {Object|null} [actor] - req.user of the request re-applying the rules
+ * @returns {Promise<Object>} { updated, categories } with the category balance changes
+ */
+async function reapplyRules(userId, options = {}, actor = null) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+    const rules = await loadRules(userId, session);
+    const changes = await previewChanges(userId, rules, options, session);
+    
+    // Saved through the document so the tags are re-linked to their categories
+    for (const change of changes) {
+      const transaction = await Transaction.findById(change._id).session(session);
+      const before = transaction.toObject();
+      transaction.set({ category: change.after.category, tags: change.after.tags });
+      await transaction.save({ session });
+      await recordChange(actor, 'update', 'transaction', { before, after: transaction }, session);
+    }
+    
+    const categories = await recalculateCategoryBalances(userId, session);
+    
+    await session.commitTransaction();
+    session.endSession();
+    
+    return { updated: changes.length, transactions: changes, categories };
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+}
+
+module.exports = {
+  ruleMatches,
+  applyRules,
+  loadRules,
+  categorize,
+  previewChanges,
+  reapplyRules
+};
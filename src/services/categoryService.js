@@ -0,0 +1,339 @@
+const mongoose = require('mongoose');
+const Account = require('../model/Account');
+const Budget = require('../model/Budget');
+const CategorizationRule = require('../model/CategorizationRule');
+const Category = require('../model/Category');
+const Share = require('../model/Share');
+const Transaction = require('../model/Transaction');
+const { recalculateCategoryBalances, CATEGORY_SHARES } = require('./ledgerService');
+const { createConverter, conversionGroupKey } = require('./currencyService');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+
+/**
+ * @fileoverview Category Service
+ * 
+ * Category hierarchy helpers and the bookkeeping that keeps references to a
+ * category consistent. Transactions reference categories by ID
+ * (category_ids) and keep the names in tags for display, so a rename has to
+ * rewrite the names everywhere they are stored.
+ * 
+ * These rewrites are not logged one by one: they run in the session of the
+ * category update or delete, whose audit entry covers them. Undoing a
+ * rename rewrites the names back; transactions moved out by a delete stay
+ * where they are (see trashService.restoreCategory).
+ */
+
+/**
+ * Point budgets, rules and the transaction category field at a new name
+ * 
+ * Budgets are expense-only, and rules restricted to the other type never
+ * produce this category, so both are left alone for the other type. A budget
+ * whose period the new name already has a budget for is removed instead.
+ * 
+ * @param {ObjectId} userId - Account ID
+ * @param {string} type - 'income' or 'expense'
+ * @param {string} oldName - Name being replaced
+ * @param {string} newName - Replacement name
+ * @param {ClientSession} session - Active mongoose session
+ */
+async function rewriteNameReferences(userId, type, oldName, newName, session) {
+  await Transaction.updateMany(
+    { id_akun: userId, tipe: type, category: oldName },
+    { $set: { category: newName } },
+    { session }
+  );
+  
+  if (type === 'expense') {
+    const budgets = await Budget.find({ user_id: userId, category: oldName }).session(session);
+    for (const budget of budgets) {
+      const taken = await Budget.exists({ user_id: userId, category: newName, period: budget.period })
+        .session(session);
+      if (taken) {
+        await budget.deleteOne({ session });
+        await Share.deleteMany({ resource_type: 'budget', resource_id: budget._id }, { session });
+      } else {
+        budget.category = newName;
+        await budget.save({ session });
+      }
+    }
+  }
+  
+  const ruleFilter = {
+    user_id: userId,
+    'conditions.tipe': { $in: [type, null] }
+  };
+  await CategorizationRule.updateMany(
+    { ...ruleFilter, 'actions.category': oldName },
+    { $set: { 'actions.category': newName } },
+    { session }
+  );
+  // Saved per rule so add_tags does not end up with newName twice
+  const rules = await CategorizationRule.find({ ...ruleFilter, 'actions.add_tags': oldName }).session(session);
+  for (const rule of rules) {
+    rule.actions.add_tags = [...new Set(rule.actions.add_tags.map(tag => (tag === oldName ? newName : tag)))];
+    await rule.save({ session });
+  }
+}
+
+/**
+ * Rewrite every stored reference to a category's old name
+ * 
+ * Updates the tags and split lines of the transactions linked to the
+ * category, the transaction category field, budgets and categorization rules.
+ * 
+ * @param {Category} category - Category document, already saved with its new name
+ * @param {string} oldName - Name before the rename
+ * @param {ClientSession} session - Active mongoose session
+ */
+async function renameCategoryReferences(category, oldName, session) {
+  await Transaction.updateMany(
+    { category_ids: category._id },
+    { $set: { 'tags.$[tag]': category.name } },
+    { arrayFilters: [{ tag: oldName }], session }
+  );
+  await Transaction.updateMany(
+    { 'splits.category_id': category._id },
+    { $set: { 'splits.$[line].category': category.name } },
+    { arrayFilters: [{ 'line.category_id': category._id }], session }
+  );
+  await rewriteNameReferences(category.user_id, category.type, oldName, category.name, session);
+}
+
+/**
+ * Move a category to the trash, moving its transactions into another
+ * category or untagging them
+ * 
+ * Runs inside the caller's session. Transactions are saved through the
+ * document so their category_ids are re-linked, then the user's category
+ * balances are recomputed, which gives the target its merged balance.
+ * With a target, budgets and rules follow it; when untagging they are left
+ * as they are and transactions categorized as the removed name fall back
+ * to 'lainnya'.
+ * 
+ * @param {Category} category - Category to delete
+ * @param {Category|null} target - Category that takes over the transactions, or null to untag
+ * @param {ClientSession} session - Active mongoose session
+ * @param {Object} [options]
+ * @param {boolean} [options.adoptChildren=false] - Move sub-categories under the
+ *   target instead of the removed category's parent
+ * @returns {Promise<Object>} { transactions } with the number of transactions changed
+ */
+async function removeCategory(category, target, session, { adoptChildren = false } = {}) {
+  const replacement = target ? target.name : null;
+  
+  // Transactions saved before category_ids existed are matched by tag name.
+  // Trashed transactions move along so they can be restored as they are.
+  const transactions = await Transaction.find({
+    $or: [
+      { category_ids: category._id },
+      { id_akun: category.user_id, tipe: category.type, tags: category.name, 'category_ids.0': { $exists: false } }
+    ]
+  }).setOptions({ withDeleted: true }).session(session);
+  
+  for (const transaction of transactions) {
+    const tags = transaction.tags.filter(tag => tag !== category.name);
+    if (replacement && !tags.includes(replacement)) tags.push(replacement);
+    transaction.tags = tags;
+    // Split lines keep their amounts and move to the replacement; the
+    // caller makes sure there is one when lines use the category
+    for (const line of transaction.splits) {
+      if (line.category === category.name) line.category = replacement;
+    }
+    if (transaction.category === category.name) {
+      transaction.category = replacement || 'lainnya';
+    }
+    await transaction.save({ session });
+  }
+  
+  if (target) {
+    await rewriteNameReferences(category.user_id, category.type, category.name, target.name, session);
+  } else {
+    await Transaction.updateMany(
+      { id_akun: category.user_id, tipe: category.type, category: category.name },
+      { $set: { category: 'lainnya' } },
+      { session }
+    );
+  }
+  
+  await Category.updateMany(
+    { parent_id: category._id, _id: { $ne: target ? target._id : null } },
+    { $set: { parent_id: adoptChildren ? target._id : category.parent_id } },
+    { session }
+  );
+  if (target && target.parent_id && target.parent_id.equals(category._id)) {
+    target.parent_id = category.parent_id;
+    await target.save({ session });
+  }
+  
+  // The category goes to the trash; its shares are removed when it is purged
+  category.deleted_at = new Date();
+  await category.save({ session });
+  await recalculateCategoryBalances(category.user_id, session);
+  
+  return { transactions: transactions.length };
+}
+
+/**
+ * Map each category ID to itself and its ancestors
+ * 
+ * @param {Array<Category>} categories - All categories of a user
+ * @returns {Map<string, Array<string>>} Category ID -> [own ID, parent ID, ...]
+ */
+function ancestorChains(categories) {
+  const parents = new Map(categories.map(c => [String(c._id), c.parent_id ? String(c.parent_id) : null]));
+  const chains = new Map();
+  
+  for (const id of parents.keys()) {
+    const chain = [];
+    let current = id;
+    // The model rejects cycles; the length check guards against bad legacy data
+    while (current && parents.has(current) && chain.length <= parents.size) {
+      chain.push(current);
+      current = parents.get(current);
+    }
+    chains.set(id, chain);
+  }
+  return chains;
+}
+
+/**
+ * Nest a flat category list under their parents
+ * 
+ * @param {Array<Object>} categories - Plain category objects
+ * @returns {Array<Object>} Root categories, each with a children array
+ */
+function buildCategoryTree(categories) {
+  const nodes = new Map(categories.map(c => [String(c._id), { ...c, children: [] }]));
+  const roots = [];
+  
+  for (const node of nodes.values()) {
+    const parent = node.parent_id && nodes.get(String(node.parent_id));
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+  return roots;
+}
+
+/**
+ * Transaction counts and totals per category, rolled up to parents
+ * 
+ * count and total cover transactions linked directly to a category;
+ * rollup_count and rollup_total also include its sub-categories, counting
+ * each transaction once even when it is linked to a parent and its child.
+ * Each category adds only its share of a transaction (see
+ * ledgerService.categoryShares), so a parent sums the shares of its subtree.
+ * Totals are in the account's base currency, converting each transaction
+ * at the rate of its date.
+ * 
+ * @param {ObjectId|string} userId - Account ID
+ * @returns {Promise<Array<Object>>} One entry per category with transactions
+ *   in its subtree, as { _id, name, type, parent_id, balance, currency, count,
+ *   total, rollup_count, rollup_total }
+ * @throws {MissingRateError} When a transaction's currency has no rate for its date
+ */
+async function getCategorySummary(userId) {
+  const categories = await Category.find({ user_id: userId }).lean();
+  const account = await Account.findById(userId).select('currency');
+  const converter = createConverter(account ? account.currency : DEFAULT_CURRENCY);
+  
+  // One row per category of each group of transactions sharing the whole
+  // category_ids array, so each transaction can be attributed once per
+  // ancestor below
+  const rows = await Transaction.aggregate([
+    {
+      $match: {
+        id_akun: new mongoose.Types.ObjectId(userId),
+        // Transfers only move money and are not income or expense
+        tipe: { $in: ['income', 'expense'] },
+        'category_ids.0': { $exists: true }
+      }
+    },
+    {
+      $project: {
+        category_ids: 1,
+        currency: 1,
+        created_at: 1,
+        shares: CATEGORY_SHARES
+      }
+    },
+    { $unwind: '$shares' },
+    // A split transaction can have several lines in the same category
+    {
+      $group: {
+        _id: { transaction: '$_id', category_id: '$shares.category_id' },
+        amount: { $sum: '$shares.amount' },
+        ids: { $first: '$category_ids' },
+        currency: { $first: '$currency' },
+        created_at: { $first: '$created_at' }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          ids: '$ids',
+          category_id: '$_id.category_id',
+          ...conversionGroupKey(converter.target)
+        },
+        count: { $sum: 1 },
+        total: { $sum: '$amount' }
+      }
+    }
+  ]);
+  
+  // Regroup the rows into their transaction groups, converting each total
+  const groups = new Map();
+  for (const row of rows) {
+    const { category_id, ...key } = row._id;
+    const groupKey = JSON.stringify(key);
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { count: row.count, totals: new Map() });
+    }
+    const total = await converter.convert(row.total, key.currency, key.day);
+    groups.get(groupKey).totals.set(String(category_id), total);
+  }
+  
+  const chains = ancestorChains(categories);
+  const stats = new Map(categories.map(c => [
+    String(c._id),
+    { count: 0, total: 0, rollup_count: 0, rollup_total: 0 }
+  ]));
+  
+  for (const group of groups.values()) {
+    const rolledUp = new Map();
+    for (const [id, total] of group.totals) {
+      if (!stats.has(id)) continue;
+      stats.get(id).count += group.count;
+      stats.get(id).total += total;
+      for (const ancestorId of chains.get(id)) {
+        rolledUp.set(ancestorId, (rolledUp.get(ancestorId) || 0) + total);
+      }
+    }
+    for (const [id, total] of rolledUp) {
+      stats.get(id).rollup_count += group.count;
+      stats.get(id).rollup_total += total;
+    }
+  }
+  
+  return categories
+    .filter(c => stats.get(String(c._id)).rollup_count > 0)
+    .map(c => ({
+      _id: c._id,
+      name: c.name,
+      type: c.type,
+      parent_id: c.parent_id || null,
+      balance: c.balance,
+      currency: converter.target,
+      ...stats.get(String(c._id))
+    }));
+}
+
+module.exports = {
+  renameCategoryReferences,
+  removeCategory,
+  ancestorChains,
+  buildCategoryTree,
+  getCategorySummary
+};
@@ -0,0 +1,187 @@
+const ExchangeRate = require('../model/ExchangeRate');
+const { DEFAULT_CURRENCY, normalizeCurrency } = require('../utils/currency');
+const { parseCsv } = require('../utils/csv');
+
+/**
+ * @fileoverview Currency Service
+ * 
+ * Converts amounts between currencies with the local exchange-rate table and
+ * loads rates into it. An amount is converted with the latest rate dated on
+ * or before the amount's date; a pair without a direct rate uses the inverse
+ * of the opposite pair.
+ */
+
+/**
+ * Raised when no exchange rate covers a conversion; controllers answer 422
+ */
+class MissingRateError extends Error {}
+
+/**
+ * Raised for malformed rate files or entries; controllers answer 400
+ */
+class InvalidRateError extends Error {}
+
+// Rates of a pair as [{ date, rate }] sorted by date, with inverted opposite-pair rates
+async function loadPair(from, to, session) {
+  const rows = await ExchangeRate.find({
+    $or: [{ from, to }, { from: to, to: from }]
+  }).sort({ date: 1 }).lean().session(session || null);
+  
+  // A direct rate wins over an inverted one on the same day
+  const byDay = new Map();
+  for (const row of rows) {
+    const key = row.date.getTime();
+    const direct = row.from === from;
+    if (!direct && byDay.has(key)) continue;
+    byDay.set(key, { date: row.date, rate: direct ? row.rate : 1 / row.rate });
+  }
+  return [...byDay.values()].sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Create a converter into one target currency
+ * 
+ * Rates are loaded once per currency and cached, so a converter can be used
+ * for many amounts in one request.
+ * 
+ * @param {string} target - Currency to convert into
+ * @param {ClientSession} [session] - Active mongoose session
+ * @returns {Object} { target, convert(amount, currency, date) } where convert
+ *   resolves to the converted amount and throws MissingRateError without a rate
+ */
+function createConverter(target, session) {
+  const pairs = new Map();
+  
+  async function convert(amount, currency, date = new Date()) {
+    const from = currency || DEFAULT_CURRENCY;
+    if (from === target || !amount) return amount;
+    
+    if (!pairs.has(from)) pairs.set(from, loadPair(from, target, session));
+    const rates = await pairs.get(from);
+    
+    // Latest rate dated on or before the date
+    let low = 0;
+    let high = rates.length - 1;
+    let found = null;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (rates[mid].date <= date) {
+        found = rates[mid];
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    
+    if (!found) {
+      const day = date.toISOString().slice(0, 10);
+      throw new MissingRateError(`No exchange rate from ${from} to ${target} on or before ${day}`);
+    }
+    return Math.round(amount * found.rate * 100) / 100;
+  }
+  
+  return { target, convert };
+}
+
+/**
+ * Aggregation $group _id fields that split amounts for conversion
+ * 
+ * Groups by currency and, for currencies other than the base, also by UTC
+ * day, so each group can be converted with the rate of its day. Documents
+ * without a currency are in DEFAULT_CURRENCY.
+ * 
+ * @param {string} base - Currency the groups will be converted into
+ * @param {string} [dateField='$created_at'] - Date of each amount
+ * @returns {Object} { currency, day } expressions; day is null for the base currency
+ */
+function conversionGroupKey(base, dateField = '$created_at') {
+  const currency = { $ifNull: ['$currency', DEFAULT_CURRENCY] };
+  return {
+    currency,
+    day: { $cond: [{ $eq: [currency, base] }, null, { $dateTrunc: { date: dateField, unit: 'day' } }] }
+  };
+}
+
+// Check one rate entry and bring it into the stored shape
+function normalizeRate(entry, index) {
+  const from = normalizeCurrency(entry.from);
+  const to = normalizeCurrency(entry.to);
+  const date = new Date(entry.date);
+  const rate = Number(entry.rate);
+  
+  if (!from || !to) throw new InvalidRateError(`Rate ${index + 1}: invalid currency code`);
+  if (from === to) throw new InvalidRateError(`Rate ${index + 1}: from and to are the same currency`);
+  if (isNaN(date.getTime())) throw new InvalidRateError(`Rate ${index + 1}: invalid date`);
+  if (!(rate > 0)) throw new InvalidRateError(`Rate ${index + 1}: rate must be a positive number`);
+  
+  // Rates apply per day
+  date.setUTCHours(0, 0, 0, 0);
+  return { from, to, date, rate };
+}
+
+/**
+ * Parse a rate file
+ * 
+ * CSV files need a header row with from, to, date and rate columns; JSON
+ * files hold an array of { from, to, date, rate } objects.
+ * 
+ * @param {string} content - File content
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Array<Object>} Rate entries, not yet validated
+ */
+function parseRates(content, format) {
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new InvalidRateError(`Invalid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(data)) throw new InvalidRateError('Expected an array of rates');
+    return data;
+  }
+  
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(content);
+    const columns = (header || []).map(name => name.trim().toLowerCase());
+    for (const column of ['from', 'to', 'date', 'rate']) {
+      if (!columns.includes(column)) throw new InvalidRateError(`Missing column: ${column}`);
+    }
+    return rows.map(row => Object.fromEntries(columns.map((column, i) => [column, row[i]])));
+  }
+  
+  throw new InvalidRateError(`Unknown format: ${format}`);
+}
+
+/**
+ * Validate rates and store them, replacing existing rates for the same pair and day
+ * 
+ * Nothing is stored when any entry is invalid.
+ * 
+ * @param {Array<Object>} entries - { from, to, date, rate } objects
+ * @param {string} [source='api'] - 'api' or 'file'
+ * @returns {Promise<Object>} { inserted, updated }
+ */
+async function importRates(entries, source = 'api') {
+  const rates = entries.map(normalizeRate);
+  if (rates.length === 0) return { inserted: 0, updated: 0 };
+  
+  const result = await ExchangeRate.bulkWrite(rates.map(rate => ({
+    updateOne: {
+      filter: { from: rate.from, to: rate.to, date: rate.date },
+      update: { $set: { rate: rate.rate, source }, $setOnInsert: { created_at: new Date() } },
+      upsert: true
+    }
+  })));
+  
+  return { inserted: result.upsertedCount, updated: result.modifiedCount };
+}
+
+module.exports = {
+  MissingRateError,
+  InvalidRateError,
+  createConverter,
+  conversionGroupKey,
+  parseRates,
+  importRates
+};
@@ -0,0 +1,204 @@
+const { once } = require('events');
+const Account = require('../model/Account');
+const Attachment = require('../model/Attachment');
+const Wallet = require('../model/Wallet');
+const Transaction = require('../model/Transaction');
+const Category = require('../model/Category');
+const Goal = require('../model/Goal');
+const GoalContribution = require('../model/GoalContribution');
+const GoalFundingRule = require('../model/GoalFundingRule');
+const Share = require('../model/Share');
+const Budget = require('../model/Budget');
+const RecurringTransaction = require('../model/RecurringTransaction');
+const { toCsvRow } = require('../utils/csv');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+const { readAttachment } = require('./attachmentService');
+
+/**
+ * @fileoverview Export Service
+ * 
+ * Streams a user's data as CSV (one dataset per file, for spreadsheets) or
+ * as a versioned JSON backup containing everything needed to restore the
+ * data into another account. Documents keep their original _id values so
+ * references between them (e.g. a transaction's wallet_id) can be remapped
+ * on restore.
+ */
+
+const BACKUP_FORMAT = 'financial-tracker-backup';
+const BACKUP_VERSION = 1;
+
+const CSV_DATASETS = {
+  transactions: {
+    columns: ['created_at', 'deskripsi', 'nominal', 'currency', 'tipe', 'category', 'tags', 'wallet'],
+    row: (tx, context) => [
+      tx.created_at,
+      tx.deskripsi,
+      tx.nominal,
+      tx.currency || DEFAULT_CURRENCY,
+      tx.tipe,
+      tx.category,
+      tx.tags,
+      context.walletNames.get(String(tx.wallet_id)) || ''
+    ]
+  },
+  categories: {
+    columns: ['name', 'type', 'balance', 'created_at'],
+    row: category => [category.name, category.type, category.balance, category.created_at]
+  },
+  goals: {
+    columns: ['title', 'description', 'target_amount', 'saved_amount', 'currency', 'target_date', 'status', 'created_at'],
+    row: goal => [
+      goal.title,
+      goal.description,
+      goal.target_amount,
+      goal.saved_amount,
+      goal.currency || DEFAULT_CURRENCY,
+      goal.target_date,
+      goal.status,
+      goal.created_at
+    ]
+  }
+};
+
+// Write a chunk, waiting for the client to catch up when the buffer is full
+async function write(stream, chunk) {
+  if (!stream.write(chunk)) {
+    await once(stream, 'drain');
+  }
+}
+
+function transactionFilter(userId, range) {
+  const filter = { id_akun: userId };
+  if (range) filter.created_at = range;
+  return filter;
+}
+
+function cursorFor(dataset, userId, range) {
+  if (dataset === 'transactions') {
+    return Transaction.find(transactionFilter(userId, range)).sort({ created_at: 1 }).lean().cursor();
+  }
+  if (dataset === 'categories') {
+    return Category.find({ user_id: userId }).sort({ name: 1 }).lean().cursor();
+  }
+  return Goal.find({ user_id: userId }).sort({ created_at: 1 }).lean().cursor();
+}
+
+/**
+ * Stream one dataset as CSV
+ * 
+ * @param {Writable} stream - Destination, typically the response
+ * @param {ObjectId|string} userId - Account ID
+ * @param {Object} options
+ * @param {string} options.dataset - 'transactions', 'categories' or 'goals'
+ * @param {Object} [options.range] - created_at filter for transactions
+ */
+async function streamCsv(stream, userId, { dataset, range }) {
+  const spec = CSV_DATASETS[dataset];
+  const wallets = await Wallet.find({ user_id: userId }).lean();
+  const context = { walletNames: new Map(wallets.map(w => [String(w._id), w.name])) };
+  
+  await write(stream, toCsvRow(spec.columns));
+  for await (const doc of cursorFor(dataset, userId, range)) {
+    await write(stream, toCsvRow(spec.row(doc, context)));
+  }
+}
+
+// Stream a JSON array of documents from a cursor
+async function streamArray(stream, key, cursor, first = false) {
+  await write(stream, `${first ? '' : ','}\n  ${JSON.stringify(key)}: [`);
+  let count = 0;
+  for await (const doc of cursor) {
+    await write(stream, `${count === 0 ? '' : ','}\n    ${JSON.stringify(doc)}`);
+    count++;
+  }
+  await write(stream, count === 0 ? ']' : '\n  ]');
+  return count;
+}
+
+// Attachments of the exported transactions, with their content as base64 when asked for
+async function* attachmentDocs(userId, range, includeContent) {
+  let transactionIds = await Attachment.distinct('transaction_id', { user_id: userId });
+  if (range) {
+    transactionIds = await Transaction.distinct('_id', { _id: { $in: transactionIds }, created_at: range });
+  }
+  
+  const cursor = Attachment.find({ transaction_id: { $in: transactionIds } })
+    .sort({ created_at: 1 })
+    .lean()
+    .cursor();
+  for await (const attachment of cursor) {
+    // Where the file is stored means nothing outside this server
+    const { storage, key, ...exported } = attachment;
+    if (includeContent) {
+      exported.content = (await readAttachment(attachment)).toString('base64');
+    }
+    yield exported;
+  }
+}
+
+/**
+ * Stream a complete, versioned JSON backup
+ * 
+ * Attachment metadata is always included; the files themselves only with
+ * includeAttachments, since they can make the backup much larger.
+ * 
+ * @param {Writable} stream - Destination, typically the response
+ * @param {ObjectId|string} userId - Account ID
+ * @param {Object} [options]
+ * @param {Object} [options.range] - created_at filter for transactions
+ * @param {boolean} [options.includeAttachments=false] - Embed attachment files as base64 `content`
+ */
+async function streamJsonBackup(stream, userId, { range, includeAttachments = false } = {}) {
+  const account = await Account.findById(userId).lean();
+  
+  const header = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exported_at: new Date(),
+    range: range || null,
+    account: {
+      _id: account._id,
+      username: account.username,
+      email: account.email,
+      balance: account.balance,
+      currency: account.currency || DEFAULT_CURRENCY
+    }
+  };
+  
+  // Write the header fields, leaving the object open for the datasets
+  const headerJson = JSON.stringify(header, null, 2);
+  await write(stream, headerJson.slice(0, headerJson.lastIndexOf('}')).trimEnd() + ',');
+  
+  await streamArray(stream, 'wallets', Wallet.find({ user_id: userId }).lean().cursor(), true);
+  await streamArray(stream, 'categories', Category.find({ user_id: userId }).lean().cursor());
+  await streamArray(stream, 'goals', Goal.find({ user_id: userId }).lean().cursor());
+  await streamArray(
+    stream,
+    'goal_contributions',
+    GoalContribution.find({ user_id: userId }).sort({ created_at: 1 }).lean().cursor()
+  );
+  await streamArray(stream, 'goal_funding_rules', GoalFundingRule.find({ user_id: userId }).lean().cursor());
+  await streamArray(
+    stream,
+    'shares',
+    Share.find({ $or: [{ owner_id: userId }, { user_id: userId }] }).lean().cursor()
+  );
+  await streamArray(stream, 'budgets', Budget.find({ user_id: userId }).lean().cursor());
+  await streamArray(stream, 'recurring_transactions', RecurringTransaction.find({ user_id: userId }).lean().cursor());
+  await streamArray(
+    stream,
+    'transactions',
+    Transaction.find(transactionFilter(userId, range)).sort({ created_at: 1 }).lean().cursor()
+  );
+  await streamArray(stream, 'attachments', attachmentDocs(userId, range, includeAttachments));
+  
+  await write(stream, '\n}\n');
+}
+
+module.exports = {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  CSV_DATASETS,
+  streamCsv,
+  streamJsonBackup
+};
@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+const Account = require('../model/Account');
+const Goal = require('../model/Goal');
+const GoalFundingRule = require('../model/GoalFundingRule');
+const GoalContribution = require('../model/GoalContribution');
+const { resolveWallet } = require('./ledgerService');
+const { moveGoalFunds } = require('./goalService');
+const { recordChange } = require('./auditService');
+const { occurrencesBetween } = require('../utils/schedule');
+
+/**
+ * @fileoverview Goal Funding Service
+ * 
+ * Runs goal funding rules. Income and round-up rules are applied to each new
+ * transaction inside the session that posts it; scheduled rules are run by
+ * the goal funding runner, which handles each occurrence in its own session
+ * like the recurring runner does. Every allocation goes through
+ * moveGoalFunds, so it is a transfer out of a wallet, and is logged as an
+ * allocation that can be undone like a manual one: under the user whose
+ * transaction triggered it, or as the system (no actor) for scheduled rules.
+ * 
+ * An allocation is skipped (not reduced) when the wallet or account balance
+ * cannot cover it, and is capped at what the goal still needs. Rules of a
+ * paused or completed goal are skipped; scheduled occurrences that fall in
+ * such a period are marked as handled and not caught up later.
+ */
+
+// Goal statuses that stop automatic funding
+const INACTIVE_GOAL_STATUSES = ['paused', 'completed'];
+
+// Rule type that reacts to each transaction type
+const TRANSACTION_RULE_TYPES = {
+  income: 'income_percentage',
+  expense: 'round_up'
+};
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Amount a rule wants to allocate
+ * 
+ * @param {GoalFundingRule} rule - Funding rule
+ * @param {Transaction} [transaction] - Transaction that triggered the rule
+ * @returns {number} Amount before capping; 0 when there is nothing to allocate
+ */
+function ruleAmount(rule, transaction) {
+  switch (rule.type) {
+    case 'income_percentage':
+      return roundAmount(transaction.nominal * rule.percentage / 100);
+    case 'round_up': {
+      const roundTo = rule.round_to || 1000;
+      return roundAmount(Math.ceil(transaction.nominal / roundTo) * roundTo - transaction.nominal);
+    }
+    default:
+      return rule.amount;
+  }
+}
+
+/**
+ * Allocate a rule's amount to its goal inside the caller's session
+ * 
+ * @param {GoalFundingRule} rule - Funding rule
+ * @param {number} amount - Amount the rule wants to allocate
+ * @param {ClientSession} session - Active mongoose session
+ * @param {Object} [options]
+ * @param {ObjectId} [options.walletId] - Wallet to use when the rule names none
+ * @param {Transaction} [options.sourceTransaction] - Transaction that triggered the rule
+ * @param {Date} [options.occurrenceDate] - Scheduled occurrence being handled
+ * @param {Object|null} [options.actor] - req.user to log the allocation under, null for the system
+ * @returns {Promise<Object>} { status: 'allocated', amount, contribution_id } or
+ *   { status: 'skipped', reason }
+ */
+async function applyRule(rule, amount, session, { walletId, sourceTransaction, occurrenceDate, actor = null } = {}) {
+  const goal = await Goal.findById(rule.goal_id).session(session);
+  if (!goal) {
+    return { status: 'skipped', reason: 'Goal not found' };
+  }
+  if (INACTIVE_GOAL_STATUSES.includes(goal.status)) {
+    return { status: 'skipped', reason: `Goal is ${goal.status}` };
+  }
+  
+  // Never put aside more than the goal still needs
+  const capped = roundAmount(Math.min(amount, Math.max(goal.target_amount - goal.saved_amount, 0)));
+  if (!(capped > 0)) {
+    return { status: 'skipped', reason: 'Nothing to allocate' };
+  }
+  
+  const wallet = await resolveWallet(rule.user_id, rule.wallet_id || walletId, session);
+  if (!wallet) {
+    return { status: 'skipped', reason: 'Wallet not found' };
+  }
+  if (wallet.currency !== goal.currency) {
+    return { status: 'skipped', reason: 'Wallet and goal currencies differ' };
+  }
+  
+  // The account balance is in the base currency, so it is only comparable in that currency
+  const account = await Account.findById(rule.user_id).select('balance currency').session(session);
+  const accountShort = account && account.currency === wallet.currency && account.balance < capped;
+  if (!account || wallet.balance < capped || accountShort) {
+    return { status: 'skipped', reason: 'Insufficient balance' };
+  }
+  
+  const before = goal.toObject();
+  const { contribution, transaction } = await moveGoalFunds(goal, 'allocate', capped, session, {
+    note: sourceTransaction ? sourceTransaction.deskripsi : '',
+    wallet,
+    rule,
+    sourceTransaction,
+    occurrenceDate
+  });
+  await recordChange(actor, 'allocate', 'goal', {
+    before,
+    after: await Goal.findById(goal._id).session(session),
+    details: { amount: capped, contribution_id: contribution._id, transaction_id: transaction._id }
+  }, session);
+  
+  return { status: 'allocated', amount: capped, contribution_id: contribution._id };
+}
+
+/**
+ * Apply the income percentage or round-up rules triggered by a new transaction
+ * 
+ * Runs in the session that posted the transaction, after its balance
+ * effects, so the allocations see the updated wallet balance.
+ * 
+ * @param {Transaction} transaction - Newly posted income or expense
+ * @param {ClientSession} session - Active mongoose session
+ * @param {Object|null} [actor] - req.user of the request that posted the transaction
+ * @returns {Promise<Array<Object>>} One result per rule as { rule_id, goal_id, status, ... }
+ */
+async function fundFromTransaction(transaction, session, actor = null) {
+  const type = TRANSACTION_RULE_TYPES[transaction.tipe];
+  if (!type) return [];
+  
+  const rules = await GoalFundingRule.find({ user_id: transaction.id_akun, type, active: true })
+    .sort({ created_at: 1 })
+    .session(session);
+  const results = [];
+  
+  for (const rule of rules) {
+    const amount = ruleAmount(rule, transaction);
+    if (!(amount > 0)) continue;
+    
+    const result = await applyRule(rule, amount, session, {
+      walletId: transaction.wallet_id,
+      sourceTransaction: transaction,
+      actor
+    });
+    results.push({ rule_id: rule._id, goal_id: rule.goal_id, ...result });
+  }
+  
+  return results;
+}
+
+/**
+ * Handle every due occurrence of a single scheduled rule
+ * 
+ * @param {GoalFundingRule} rule - Scheduled rule document
+ * @param {Date} now - Handle occurrences up to this date
+ * @returns {Promise<Object>} { allocated, skipped, errors }
+ */
+async function runScheduledRule(rule, now) {
+  const result = { allocated: 0, skipped: 0, errors: [] };
+  
+  const due = occurrencesBetween(rule.schedule, rule.start_date, rule.end_date, rule.last_occurrence, now);
+  
+  for (const occurrenceDate of due) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    
+    try {
+      const existing = await GoalContribution.exists({
+        rule_id: rule._id,
+        occurrence_date: occurrenceDate
+      }).session(session);
+      
+      const outcome = existing
+        ? { status: 'skipped' }
+        : await applyRule(rule, rule.amount, session, { occurrenceDate });
+      if (outcome.status === 'allocated') {
+        result.allocated++;
+      } else {
+        result.skipped++;
+      }
+      
+      await GoalFundingRule.updateOne(
+        { _id: rule._id },
+        { last_occurrence: occurrenceDate },
+        { session }
+      );
+      
+      await session.commitTransaction();
+      session.endSession();
+      rule.last_occurrence = occurrenceDate;
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+      
+      // Duplicate key: another runner handled this occurrence first
+      if (error.code === 11000) {
+        result.skipped++;
+        continue;
+      }
+      
+      result.errors.push({ occurrence_date: occurrenceDate, message: error.message });
+      break;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Handle due occurrences for all active scheduled rules
+ * 
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - Handle occurrences up to this date
+ * @param {ObjectId|string} [options.userId] - Only run rules for this user
+ * @returns {Promise<Object>} Totals plus per-rule results
+ */
+async function runDueFundingRules({ now = new Date(), userId } = {}) {
+  const filter = { type: 'scheduled', active: true, start_date: { $lte: now } };
+  if (userId) filter.user_id = userId;
+  
+  const rules = await GoalFundingRule.find(filter);
+  const summary = { rules: rules.length, allocated: 0, skipped: 0, failed: 0, results: [] };
+  
+  for (const rule of rules) {
+    const result = await runScheduledRule(rule, now);
+    summary.allocated += result.allocated;
+    summary.skipped += result.skipped;
+    if (result.errors.length > 0) summary.failed++;
+    
+    if (result.allocated > 0 || result.errors.length > 0) {
+      summary.results.push({ rule_id: rule._id, goal_id: rule.goal_id, ...result });
+    }
+  }
+  
+  return summary;
+}
+
+module.exports = {
+  ruleAmount,
+  fundFromTransaction,
+  runScheduledRule,
+  runDueFundingRules
+};
@@ -0,0 +1,157 @@
+const GoalContribution = require('../model/GoalContribution');
+const Transaction = require('../model/Transaction');
+const { applyTransaction } = require('./ledgerService');
+
+/**
+ * @fileoverview Goal Service
+ * 
+ * Moves money into and out of goals and keeps the contribution log that the
+ * goal history and projections are built from.
+ */
+
+const AVG_DAYS_PER_MONTH = 365.25 / 12;
+const MS_PER_MONTH = AVG_DAYS_PER_MONTH * 24 * 60 * 60 * 1000;
+
+/**
+ * Allocate funds to or withdraw funds from a goal and log the contribution
+ * 
+ * With a wallet the money moves through a transfer transaction between the
+ * wallet and the goal, posted to the wallet owner's account; without one
+ * only the goal's saved amount changes.
+ * 
+ * @param {Goal} goal - Goal document loaded in the session
+ * @param {string} type - 'allocate' or 'withdraw'
+ * @param {number} amount - Positive amount
+ * @param {ClientSession} session - Active mongoose session
+ * @param {Object} [options]
+ * @param {string} [options.note] - Note stored with the contribution
+ * @param {Wallet} [options.wallet] - Wallet on the other side of a transfer
+ * @param {ObjectId|string} [options.memberId] - Account making the contribution, defaults to the goal owner
+ * @param {GoalFundingRule} [options.rule] - Funding rule making an automatic allocation
+ * @param {Transaction} [options.sourceTransaction] - Transaction that triggered the rule
+ * @param {Date} [options.occurrenceDate] - Scheduled occurrence handled by the rule
+ * @returns {Promise<Object>} { contribution, transaction } where transaction may be null
+ */
+async function moveGoalFunds(goal, type, amount, session, {
+  note = '',
+  wallet = null,
+  memberId = null,
+  rule = null,
+  sourceTransaction = null,
+  occurrenceDate = null
+} = {}) {
+  const allocate = type === 'allocate';
+  let transaction = null;
+  
+  if (wallet) {
+    if (wallet.currency !== goal.currency) {
+      throw new Error(`The wallet currency (${wallet.currency}) must match the goal currency (${goal.currency})`);
+    }
+    
+    let label = allocate ? 'Goal allocation' : 'Goal withdrawal';
+    if (rule) label = 'Goal auto-allocation';
+    transaction = new Transaction({
+      id_akun: wallet.user_id,
+      tipe: 'transfer',
+      transfer: allocate
+        ? { from_wallet: wallet._id, to_goal: goal._id }
+        : { from_goal: goal._id, to_wallet: wallet._id },
+      deskripsi: `${label}: ${goal.title}` + (note ? ` - ${note}` : ''),
+      nominal: amount,
+      currency: wallet.currency,
+      category: 'savings',
+      created_at: occurrenceDate || new Date()
+    });
+    
+    await transaction.save({ session });
+    
+    // Update wallet, account and goal balances
+    await applyTransaction(transaction, session);
+  } else {
+    goal.saved_amount += allocate ? amount : -amount;
+    await goal.save({ session });
+  }
+  
+  const contribution = new GoalContribution({
+    goal_id: goal._id,
+    user_id: goal.user_id,
+    member_id: memberId || goal.user_id,
+    type,
+    amount,
+    note,
+    transaction_id: transaction ? transaction._id : undefined,
+    rule_id: rule ? rule._id : undefined,
+    source_transaction_id: sourceTransaction ? sourceTransaction._id : undefined,
+    occurrence_date: occurrenceDate || undefined,
+    created_at: occurrenceDate || undefined
+  });
+  await contribution.save({ session });
+  
+  return { contribution, transaction };
+}
+
+/**
+ * Net contribution per goal, with the date of the first one
+ * 
+ * @param {Array<ObjectId>} goalIds - Goals to total
+ * @returns {Promise<Map<string, Object>>} Goal ID -> { net, first }
+ */
+async function contributionTotals(goalIds) {
+  const rows = await GoalContribution.aggregate([
+    { $match: { goal_id: { $in: goalIds } } },
+    {
+      $group: {
+        _id: '$goal_id',
+        net: { $sum: { $cond: [{ $eq: ['$type', 'allocate'] }, '$amount', { $multiply: ['$amount', -1] }] } },
+        first: { $min: '$created_at' }
+      }
+    }
+  ]);
+  return new Map(rows.map(row => [String(row._id), { net: row.net, first: row.first }]));
+}
+
+/**
+ * Average monthly contribution and projected completion of a goal
+ * 
+ * The average is the net contribution since the first logged contribution,
+ * spread over at least one month. The projection assumes that pace
+ * continues; a reached goal or one without positive progress has no
+ * projected date.
+ * 
+ * @param {Goal} goal - Goal document
+ * @param {Object} [totals] - { net, first } from contributionTotals
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Object} { average_monthly_contribution, projected_completion_date, on_track }
+ *   where on_track is null when the goal has no target_date
+ */
+function projectGoal(goal, totals, now = new Date()) {
+  const remaining = Math.max(goal.target_amount - goal.saved_amount, 0);
+  
+  let average = 0;
+  if (totals) {
+    const months = Math.max((now - totals.first) / MS_PER_MONTH, 1);
+    average = Math.round((totals.net / months) * 100) / 100;
+  }
+  
+  let projected = null;
+  if (remaining > 0 && average > 0) {
+    projected = new Date(now.getTime() + (remaining / average) * MS_PER_MONTH);
+  }
+  
+  let onTrack = null;
+  if (goal.target_date) {
+    onTrack = remaining === 0 || (projected !== null && projected <= goal.target_date);
+  }
+  
+  return {
+    average_monthly_contribution: average,
+    projected_completion_date: projected,
+    on_track: onTrack
+  };
+}
+
+module.exports = {
+  moveGoalFunds,
+  contributionTotals,
+  projectGoal
+};
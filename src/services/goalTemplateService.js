@@ -0,0 +1,225 @@
+const mongoose = require('mongoose');
+const Account = require('../model/Account');
+const Goal = require('../model/Goal');
+const Transaction = require('../model/Transaction');
+const { createConverter, conversionGroupKey } = require('./currencyService');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+const { periodStart, addPeriods } = require('../utils/period');
+
+/**
+ * @fileoverview Goal Template Service
+ * 
+ * Catalogue of common savings goals that a user can start from. Templates
+ * carry a default title, description, target and horizon; the emergency fund
+ * target is instead computed from the user's own spending.
+ */
+
+// Emergency fund target in months of expenses
+const EMERGENCY_FUND_MONTHS = 6;
+
+// Complete months of expense history needed before the average is trusted
+const MIN_HISTORY_MONTHS = 3;
+
+// Fallback emergency fund: a multiple of the balance, but at least this amount
+const FALLBACK_BALANCE_MULTIPLIER = 3;
+const FALLBACK_MIN_TARGET = 10000000;
+
+/**
+ * Available goal templates, keyed by template ID
+ * 
+ * target_amount is null when the target is computed per user; months is the
+ * default time to the target_date, or null for no target date.
+ */
+const GOAL_TEMPLATES = {
+  emergency_fund: {
+    title: 'Dana Darurat',
+    description: 'Dana darurat untuk kebutuhan mendesak, disarankan sebesar 6x pengeluaran bulanan',
+    target_amount: null,
+    months: null
+  },
+  vacation: {
+    title: 'Liburan',
+    description: 'Tabungan untuk perjalanan liburan',
+    target_amount: 15000000,
+    months: 12
+  },
+  vehicle: {
+    title: 'Kendaraan',
+    description: 'Uang muka atau pembelian kendaraan',
+    target_amount: 50000000,
+    months: 36
+  },
+  education: {
+    title: 'Pendidikan',
+    description: 'Biaya pendidikan untuk diri sendiri atau anak',
+    target_amount: 100000000,
+    months: 60
+  }
+};
+
+/**
+ * Average monthly expenses over the last complete months
+ * 
+ * Uses up to EMERGENCY_FUND_MONTHS complete calendar months (UTC), starting
+ * no earlier than the month of the user's first expense. The average is in
+ * the account's base currency; expenses in other currencies are converted at
+ * the rate of their date.
+ * 
+ * @param {ObjectId|string} userId - Account ID
+ * @param {Date} [now=new Date()] - Reference time; its month is not counted
+ * @returns {Promise<Object>} { average, months } where months is the number of
+ *   complete months the average covers
+ * @throws {MissingRateError} When an expense's currency has no rate for its date
+ */
+async function averageMonthlyExpenses(userId, now = new Date()) {
+  const currentMonth = periodStart(now, 'monthly');
+  
+  const first = await Transaction.findOne({ id_akun: userId, tipe: 'expense' })
+    .sort({ created_at: 1 })
+    .select('created_at');
+  if (!first || first.created_at >= currentMonth) {
+    return { average: 0, months: 0 };
+  }
+  
+  let from = addPeriods(currentMonth, 'monthly', -EMERGENCY_FUND_MONTHS);
+  const firstMonth = periodStart(first.created_at, 'monthly');
+  if (firstMonth > from) from = firstMonth;
+  
+  const months = (currentMonth.getUTCFullYear() - from.getUTCFullYear()) * 12
+    + currentMonth.getUTCMonth() - from.getUTCMonth();
+  
+  const account = await Account.findById(userId).select('currency');
+  const converter = createConverter(account ? account.currency : DEFAULT_CURRENCY);
+  
+  const rows = await Transaction.aggregate([
+    {
+      $match: {
+        id_akun: new mongoose.Types.ObjectId(userId),
+        tipe: 'expense',
+        created_at: { $gte: from, $lt: currentMonth }
+      }
+    },
+    { $group: { _id: conversionGroupKey(converter.target), total: { $sum: '$nominal' } } }
+  ]);
+  
+  let total = 0;
+  for (const row of rows) {
+    total += await converter.convert(row.total, row._id.currency, row._id.day);
+  }
+  return { average: Math.round(total / months), months };
+}
+
+/**
+ * Suggested emergency fund target for an account
+ * 
+ * Six times the average monthly expenses once there are at least
+ * MIN_HISTORY_MONTHS complete months of history; before that, three times
+ * the balance with a minimum of 10,000,000.
+ * 
+ * @param {Account} account - Account document
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<Object>} { target_amount, basis: 'expenses'|'balance',
+ *   average_monthly_expenses, history_months }
+ * @throws {MissingRateError} When an expense's currency has no rate for its date
+ */
+async function suggestEmergencyFund(account, now = new Date()) {
+  const { average, months } = await averageMonthlyExpenses(account._id, now);
+  
+  if (months >= MIN_HISTORY_MONTHS && average > 0) {
+    return {
+      target_amount: average * EMERGENCY_FUND_MONTHS,
+      basis: 'expenses',
+      average_monthly_expenses: average,
+      history_months: months
+    };
+  }
+  
+  return {
+    target_amount: Math.max(account.balance * FALLBACK_BALANCE_MULTIPLIER, FALLBACK_MIN_TARGET),
+    basis: 'balance',
+    average_monthly_expenses: average,
+    history_months: months
+  };
+}
+
+// Default target date, a number of months from now
+function addMonths(date, months) {
+  const result = new Date(date.getTime());
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+}
+
+/**
+ * Resolve a template's target and target date for an account
+ * 
+ * @param {Account} account - Account document
+ * @param {string} key - Template ID
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<Object|null>} Template with key, target_amount, target_date
+ *   and, for the emergency fund, the suggestion details; null for unknown keys
+ */
+async function resolveTemplate(account, key, now = new Date()) {
+  if (!Object.prototype.hasOwnProperty.call(GOAL_TEMPLATES, key)) return null;
+  
+  const { months, ...template } = GOAL_TEMPLATES[key];
+  const resolved = {
+    key,
+    ...template,
+    target_date: months ? addMonths(now, months) : null
+  };
+  
+  if (key === 'emergency_fund') {
+    const suggestion = await suggestEmergencyFund(account, now);
+    resolved.target_amount = suggestion.target_amount;
+    resolved.suggestion = suggestion;
+  }
+  
+  return resolved;
+}
+
+/**
+ * List every template resolved for an account
+ * 
+ * @param {Account} account - Account document
+ * @returns {Promise<Array<Object>>} Resolved templates
+ */
+async function listTemplates(account) {
+  const templates = [];
+  for (const key of Object.keys(GOAL_TEMPLATES)) {
+    templates.push(await resolveTemplate(account, key));
+  }
+  return templates;
+}
+
+/**
+ * Build an unsaved goal from a template
+ * 
+ * @param {Account} account - Account that will own the goal
+ * @param {string} key - Template ID
+ * @param {Object} [overrides] - title, description, target_amount and/or target_date
+ * @returns {Promise<Goal|null>} New goal document, or null for unknown keys
+ */
+async function buildGoalFromTemplate(account, key, overrides = {}) {
+  const template = await resolveTemplate(account, key);
+  if (!template) return null;
+  
+  return new Goal({
+    user_id: account._id,
+    template: key,
+    currency: account.currency,
+    title: overrides.title || template.title,
+    description: overrides.description !== undefined ? overrides.description : template.description,
+    target_amount: overrides.target_amount !== undefined ? overrides.target_amount : template.target_amount,
+    target_date: overrides.target_date !== undefined ? overrides.target_date : template.target_date || undefined,
+    saved_amount: 0
+  });
+}
+
+module.exports = {
+  GOAL_TEMPLATES,
+  averageMonthlyExpenses,
+  suggestEmergencyFund,
+  resolveTemplate,
+  listTemplates,
+  buildGoalFromTemplate
+};
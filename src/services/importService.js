@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const Transaction = require('../model/Transaction');
+const ImportBatch = require('../model/ImportBatch');
+const { postTransaction } = require('./ledgerService');
+const { recordChange } = require('./auditService');
+
+/**
+ * @fileoverview Import Service
+ * 
+ * Duplicate detection and committing for statement imports. A row is a
+ * likely duplicate when an existing transaction (or an earlier row in the
+ * same file) has the same day, amount and type and a matching description.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function normalizeDescription(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Descriptions match when equal or when one contains the other, since banks
+// often append reference numbers to what the user typed
+function descriptionsMatch(a, b) {
+  const left = normalizeDescription(a);
+  const right = normalizeDescription(b);
+  if (!left || !right) return false;
+  return left === right || left.includes(right) || right.includes(left);
+}
+
+function dayKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Flag rows that likely duplicate existing transactions or earlier rows
+ * 
+ * Sets `duplicate_of` (existing transaction ID) or `duplicate_of_line`
+ * (earlier row in the file) on each duplicate row.
+ * 
+ * @param {ObjectId|string} userId - Account ID
+ * @param {Array<Object>} rows - Parsed statement rows
+ * @returns {Promise<Array<Object>>} The same rows, annotated
+ */
+async function flagDuplicates(userId, rows) {
+  const valid = rows.filter(row => !row.error);
+  if (valid.length === 0) return rows;
+  
+  const times = valid.map(row => new Date(row.created_at).getTime());
+  const from = new Date(Math.min(...times));
+  const to = new Date(Math.max(...times) + DAY_MS);
+  
+  const existing = await Transaction.find({
+    id_akun: userId,
+    tipe: { $in: ['income', 'expense'] },
+    created_at: { $gte: from, $lt: to }
+  }).select('created_at nominal tipe deskripsi').lean();
+  
+  const candidates = new Map();
+  const addCandidate = (key, candidate) => {
+    if (!candidates.has(key)) candidates.set(key, []);
+    candidates.get(key).push(candidate);
+  };
+  
+  for (const tx of existing) {
+    addCandidate(`${dayKey(tx.created_at)}|${tx.nominal}|${tx.tipe}`, { id: tx._id, deskripsi: tx.deskripsi });
+  }
+  
+  for (const row of valid) {
+    const key = `${dayKey(row.created_at)}|${row.nominal}|${row.tipe}`;
+    const match = (candidates.get(key) || []).find(c => descriptionsMatch(c.deskripsi, row.deskripsi));
+    
+    if (match && match.id) row.duplicate_of = match.id;
+    else if (match) row.duplicate_of_line = match.line;
+    
+    addCandidate(key, { line: row.line, deskripsi: row.deskripsi });
+  }
+  
+  return rows;
+}
+
+/**
+ * Post the accepted rows of a preview batch in a single session
+ * 
+ * Rows are posted through ledgerService.postTransaction, so wallet,
+ * account and category balances change exactly as with createTransaction.
+ * Either every accepted row is committed or none are. Each posted
+ * transaction is logged as created by the actor.
+ * 
+ * @param {ImportBatch} batch - Batch in 'preview' status
+ * @param {Array<number>} [acceptLines] - Row line numbers to commit; defaults
+ *   to every row without an error or duplicate flag
+ * @param {Object|null} [actor] - req.user of the committing request
+ * @returns {Promise<Object>} { committed, skipped, batch }
+ */
+async function commitBatch(batch, acceptLines, actor = null) {
+  const accepted = new Set(
+    acceptLines || batch.rows
+      .filter(row => !row.error && !row.duplicate_of && !row.duplicate_of_line)
+      .map(row => row.line)
+  );
+  
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+    // Re-read inside the session so two concurrent commits cannot both succeed
+    const current = await ImportBatch.findOneAndUpdate(
+      { _id: batch._id, status: 'preview' },
+      { status: 'committed', committed_at: new Date(), $unset: { expires_at: 1 } },
+      { new: true, session }
+    );
+    if (!current) {
+      throw new Error('Import has already been committed');
+    }
+    
+    let committed = 0;
+    for (const row of current.rows) {
+      if (!accepted.has(row.line) || row.error) continue;
+      
+      const transaction = await postTransaction({
+        id_akun: current.user_id,
+        wallet_id: current.wallet_id,
+        tipe: row.tipe,
+        deskripsi: row.deskripsi,
+        nominal: row.nominal,
+        category: row.category,
+        tags: row.tags,
+        created_at: row.created_at
+      }, session);
+      await recordChange(actor, 'create', 'transaction', { after: transaction }, session);
+      
+      row.transaction_id = transaction._id;
+      committed++;
+    }
+    
+    await current.save({ session });
+    await session.commitTransaction();
+    session.endSession();
+    
+    return { committed, skipped: current.rows.length - committed, batch: current };
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+}
+
+module.exports = {
+  descriptionsMatch,
+  flagDuplicates,
+  commitBatch
+};
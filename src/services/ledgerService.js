@@ -0,0 +1,407 @@
+const mongoose = require('mongoose');
+const Account = require('../model/Account');
+const Category = require('../model/Category');
+const Goal = require('../model/Goal');
+const Wallet = require('../model/Wallet');
+const Transaction = require('../model/Transaction');
+const { createConverter } = require('./currencyService');
+
+/**
+ * @fileoverview Ledger Service
+ * 
+ * Shared balance bookkeeping for transactions. Every code path that creates,
+ * changes or removes a transaction goes through applyTransaction so wallet,
+ * account, category and goal balances move together inside the caller's session.
+ * 
+ * Transfers move money between wallets and goals. They never touch category
+ * balances and only change the account balance when money enters or leaves
+ * the account's wallets (i.e. to or from a goal).
+ * 
+ * An unsplit transaction credits its whole amount to each of its categories;
+ * a split transaction credits each category only with the amount of its lines.
+ * 
+ * Wallet and goal balances are kept in their own currency. The account
+ * balance is in the account's base currency; changes in other currencies
+ * are converted at the rate of the transaction's date.
+ */
+
+const DEFAULT_WALLET_NAME = 'Dompet Utama';
+
+/**
+ * Raised when a transaction would move money into or out of a goal that is
+ * in the trash; controllers answer 409
+ */
+class GoalInTrashError extends Error {}
+
+/**
+ * Signed effect of a transaction on the account balance
+ * 
+ * @param {Object} transaction - Transaction document or plain object
+ * @returns {number} Positive for income, negative for expense, and for
+ *   transfers the net amount entering the account's wallets
+ */
+function balanceDelta(transaction) {
+  if (transaction.tipe === 'income') return transaction.nominal;
+  if (transaction.tipe === 'expense') return -transaction.nominal;
+  if (transaction.tipe === 'transfer') {
+    const transfer = transaction.transfer || {};
+    let delta = 0;
+    if (transfer.to_wallet) delta += transaction.nominal;
+    if (transfer.from_wallet) delta -= transaction.nominal;
+    return delta;
+  }
+  return 0;
+}
+
+/**
+ * Amount a transaction credits to each of its categories
+ * 
+ * A split transaction credits each category with its lines. Otherwise the
+ * amount is spread evenly over the categories in whole cents, the first
+ * category taking the remainder, so the shares always add up to the nominal.
+ * 
+ * @param {Object} transaction - Transaction document or plain object
+ * @returns {Map<string, number>} Category ID -> amount
+ */
+function categoryShares(transaction) {
+  const shares = new Map();
+  if (transaction.splits && transaction.splits.length > 0) {
+    for (const line of transaction.splits) {
+      if (!line.category_id) continue;
+      const key = String(line.category_id);
+      shares.set(key, (shares.get(key) || 0) + line.amount);
+    }
+    return shares;
+  }
+  
+  const ids = transaction.category_ids || [];
+  if (ids.length === 1) {
+    shares.set(String(ids[0]), transaction.nominal);
+    return shares;
+  }
+  const cents = Math.round(transaction.nominal * 100);
+  const rest = Math.floor(cents / ids.length);
+  ids.forEach((id, index) => {
+    const amount = index === 0 ? cents - rest * (ids.length - 1) : rest;
+    shares.set(String(id), amount / 100);
+  });
+  return shares;
+}
+
+// categoryShares as an aggregation expression: [{ category_id, amount }].
+// Rounds as Math.round does (half up), so both give the same amounts.
+const CATEGORY_SHARES = {
+  $cond: [
+    { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] },
+    '$splits',
+    {
+      $let: {
+        vars: {
+          count: { $size: { $ifNull: ['$category_ids', []] } },
+          cents: { $floor: { $add: [{ $multiply: ['$nominal', 100] }, 0.5] } }
+        },
+        in: {
+          $let: {
+            vars: { rest: { $floor: { $divide: ['$$cents', '$$count'] } } },
+            in: {
+              $map: {
+                input: { $range: [0, '$$count'] },
+                as: 'index',
+                in: {
+                  category_id: { $arrayElemAt: ['$category_ids', '$$index'] },
+                  amount: {
+                    $switch: {
+                      branches: [
+                        { case: { $eq: ['$$count', 1] }, then: '$nominal' },
+                        {
+                          case: { $eq: ['$$index', 0] },
+                          then: { $divide: [{ $subtract: ['$$cents', { $multiply: ['$$rest', { $subtract: ['$$count', 1] }] }] }, 100] }
+                        }
+                      ],
+                      default: { $divide: ['$$rest', 100] }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  ]
+};
+
+/**
+ * Add (or with reverseAmount, subtract) a transaction's amount to the
+ * categories it references
+ * 
+ * Transactions saved before category_ids existed fall back to their tag
+ * names, creating missing categories on the way.
+ * 
+ * @param {Object} transaction - Transaction document
+ * @param {ClientSession} session - Active mongoose session
+ * @param {boolean} [reverseAmount=false] - Undo the effect instead of applying it
+ */
+async function updateCategoryBalances(transaction, session, reverseAmount = false) {
+  if (transaction.tipe === 'transfer') return;
+  
+  const multiplier = reverseAmount ? -1 : 1;
+  const amount = transaction.nominal * multiplier;
+  
+  if (transaction.category_ids && transaction.category_ids.length > 0) {
+    for (const [id, share] of categoryShares(transaction)) {
+      await Category.updateOne({ _id: id }, { $inc: { balance: share * multiplier } }, { session });
+    }
+    return;
+  }
+  
+  if (!transaction.tags || transaction.tags.length === 0) return;
+  
+  // Update each category associated with the tags
+  for (const tagName of transaction.tags) {
+    if (!tagName.trim()) continue;
+    
+    // Find or create the category
+    let category = await Category.findOne({
+      user_id: transaction.id_akun,
+      name: tagName,
+      type: transaction.tipe
+    }).session(session);
+    
+    if (category) {
+      // Update existing category
+      category.balance += amount;
+      await category.save({ session });
+    } else {
+      // Create new category
+      category = new Category({
+        user_id: transaction.id_akun,
+        name: tagName,
+        type: transaction.tipe,
+        balance: amount
+      });
+      await category.save({ session });
+    }
+  }
+}
+
+/**
+ * Get the wallet used when a transaction does not name one, creating it
+ * for accounts that have no wallets yet
+ * 
+ * A wallet created here takes over the account's current balance, with the
+ * part not explained by transactions as its opening_balance, the same way
+ * the wallet migration does (see scripts/migrateWallets).
+ * 
+ * @param {ObjectId|string} userId - Account ID
+ * @param {ClientSession} [session] - Active mongoose session
+ * @returns {Promise<Wallet>} The user's default wallet
+ */
+async function getDefaultWallet(userId, session) {
+  let wallet = await Wallet.findOne({ user_id: userId, is_default: true }).session(session || null);
+  if (wallet) return wallet;
+  
+  wallet = await Wallet.findOne({ user_id: userId }).sort({ created_at: 1 }).session(session || null);
+  if (wallet) return wallet;
+  
+  const account = await Account.findById(userId).select('balance currency').session(session || null);
+  const balance = account ? account.balance || 0 : 0;
+  const transactions = await Transaction.find({ id_akun: userId }).select('tipe nominal transfer')
+    .session(session || null);
+  const ledgerTotal = transactions.reduce((sum, tx) => sum + balanceDelta(tx), 0);
+  
+  wallet = new Wallet({
+    user_id: userId,
+    name: DEFAULT_WALLET_NAME,
+    type: 'cash',
+    currency: account ? account.currency : undefined,
+    balance,
+    opening_balance: balance - ledgerTotal,
+    is_default: true
+  });
+  await wallet.save({ session });
+  return wallet;
+}
+
+/**
+ * Resolve the wallet a transaction should post to
+ * 
+ * @param {ObjectId|string} userId - Account ID that must own the wallet
+ * @param {ObjectId|string} [walletId] - Requested wallet, or the default when omitted
+ * @param {ClientSession} [session] - Active mongoose session
+ * @returns {Promise<Wallet|null>} The wallet, or null if it does not belong to the user
+ */
+async function resolveWallet(userId, walletId, session) {
+  if (!walletId) {
+    return getDefaultWallet(userId, session);
+  }
+  return Wallet.findOne({ _id: walletId, user_id: userId }).session(session || null);
+}
+
+async function adjustWallet(walletId, amount, session) {
+  await Wallet.updateOne({ _id: walletId }, { $inc: { balance: amount } }, { session });
+}
+
+// Goals are saved through the document so the status hook and min: 0 run.
+// A goal in the trash has to be restored first, so its saved amount always
+// matches the transfers; a goal removed for good is skipped so the wallet
+// side of its transfers can still be reversed.
+async function adjustGoal(goalId, amount, session) {
+  const goal = await Goal.findById(goalId).setOptions({ withDeleted: true }).session(session);
+  if (!goal) return;
+  if (goal.deleted_at) {
+    throw new GoalInTrashError(`The goal "${goal.title}" is in the trash; restore the goal first`);
+  }
+  goal.saved_amount += amount;
+  await goal.save({ session });
+}
+
+/**
+ * Apply (or with reverse, undo) a transaction's effect on wallet, account,
+ * category and goal balances
+ * 
+ * @param {Object} transaction - Transaction document with wallet_id (or transfer) set
+ * @param {ClientSession} session - Active mongoose session
+ * @param {boolean} [reverse=false] - Undo the effect instead of applying it
+ */
+async function applyTransaction(transaction, session, reverse = false) {
+  const sign = reverse ? -1 : 1;
+  const delta = balanceDelta(transaction) * sign;
+  
+  if (transaction.tipe === 'transfer') {
+    const transfer = transaction.transfer || {};
+    const amount = transaction.nominal * sign;
+    
+    if (transfer.from_wallet) await adjustWallet(transfer.from_wallet, -amount, session);
+    if (transfer.from_goal) await adjustGoal(transfer.from_goal, -amount, session);
+    if (transfer.to_wallet) await adjustWallet(transfer.to_wallet, amount, session);
+    if (transfer.to_goal) await adjustGoal(transfer.to_goal, amount, session);
+  } else if (delta !== 0 && transaction.wallet_id) {
+    await adjustWallet(transaction.wallet_id, delta, session);
+  }
+  
+  if (delta !== 0) {
+    // The account balance is kept as the sum of its wallet balances, in the base currency
+    const account = await Account.findById(transaction.id_akun).select('currency').session(session);
+    const amount = account
+      ? await createConverter(account.currency, session).convert(delta, transaction.currency, transaction.created_at)
+      : delta;
+    await Account.updateOne(
+      { _id: transaction.id_akun },
+      { $inc: { balance: amount } },
+      { session }
+    );
+  }
+  
+  await updateCategoryBalances(transaction, session, reverse);
+}
+
+/**
+ * Recompute every category balance of a user from their transactions
+ * 
+ * Transactions are attributed through category_ids (split transactions
+ * through their lines); ones saved before category_ids existed are matched
+ * by tag name. Categories named by such
+ * tags that have no document yet are created; existing categories without
+ * transactions are set to zero.
+ * 
+ * @param {ObjectId|string} userId - Account ID
+ * @param {ClientSession} [session] - Active mongoose session
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only report the changes
+ * @returns {Promise<Array<Object>>} Changes as { name, type, before, after }
+ */
+async function recalculateCategoryBalances(userId, session, { dryRun = false } = {}) {
+  const match = { id_akun: new mongoose.Types.ObjectId(userId), tipe: { $in: ['income', 'expense'] } };
+  
+  const byId = await Transaction.aggregate([
+    { $match: { ...match, 'category_ids.0': { $exists: true } } },
+    { $project: { shares: CATEGORY_SHARES } },
+    { $unwind: '$shares' },
+    { $group: { _id: '$shares.category_id', total: { $sum: '$shares.amount' } } }
+  ]).session(session || null);
+  
+  const byName = await Transaction.aggregate([
+    { $match: { ...match, 'category_ids.0': { $exists: false } } },
+    { $unwind: '$tags' },
+    { $match: { tags: { $regex: '\\S' } } },
+    { $group: { _id: { name: '$tags', type: '$tipe' }, total: { $sum: '$nominal' } } }
+  ]).session(session || null);
+  
+  const idTotals = new Map(byId.map(t => [String(t._id), t.total]));
+  const expected = new Map(byName.map(t => [JSON.stringify([t._id.name, t._id.type]), t.total]));
+  const categories = await Category.find({ user_id: userId }).session(session || null);
+  const changes = [];
+  
+  for (const category of categories) {
+    const key = JSON.stringify([category.name, category.type]);
+    const total = (idTotals.get(String(category._id)) || 0) + (expected.get(key) || 0);
+    expected.delete(key);
+    
+    if (category.balance !== total) {
+      changes.push({ name: category.name, type: category.type, before: category.balance, after: total });
+      if (!dryRun) {
+        category.balance = total;
+        await category.save({ session });
+      }
+    }
+  }
+  
+  for (const [key, total] of expected) {
+    const [name, type] = JSON.parse(key);
+    if (!dryRun) {
+      await new Category({ user_id: userId, name, type, balance: total }).save({ session });
+    }
+    changes.push({ name, type, before: null, after: total });
+  }
+  
+  return changes;
+}
+
+/**
+ * Create an income or expense transaction and apply its balance effects
+ * 
+ * This is the single posting path shared by createTransaction and the
+ * background jobs, so they all update balances the same way.
+ * 
+ * @param {Object} data - Transaction fields; wallet_id defaults to the user's default wallet
+ *   and currency, when given, must be the wallet's currency
+ * @param {ClientSession} session - Active mongoose session
+ * @returns {Promise<Transaction>} The saved transaction
+ */
+async function postTransaction(data, session) {
+  const wallet = await resolveWallet(data.id_akun, data.wallet_id, session);
+  if (!wallet) {
+    throw new Error('Wallet not found');
+  }
+  if (data.currency && String(data.currency).toUpperCase() !== wallet.currency) {
+    throw new Error(`Currency must match the wallet currency (${wallet.currency})`);
+  }
+  
+  const transaction = new Transaction({
+    ...data,
+    wallet_id: wallet._id,
+    currency: wallet.currency,
+    category: data.category || 'lainnya',
+    tags: data.tags || [],
+    created_at: data.created_at || new Date()
+  });
+  
+  await transaction.save({ session });
+  await applyTransaction(transaction, session);
+  return transaction;
+}
+
+module.exports = {
+  DEFAULT_WALLET_NAME,
+  GoalInTrashError,
+  balanceDelta,
+  categoryShares,
+  CATEGORY_SHARES,
+  updateCategoryBalances,
+  getDefaultWallet,
+  resolveWallet,
+  applyTransaction,
+  recalculateCategoryBalances,
+  postTransaction
+};
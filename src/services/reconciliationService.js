@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const Account = require('../model/Account');
+const Wallet = require('../model/Wallet');
+const Transaction = require('../model/Transaction');
+const { recalculateCategoryBalances } = require('./ledgerService');
+const { createConverter } = require('./currencyService');
+
+/**
+ * @fileoverview Reconciliation Service
+ * 
+ * Rebuilds stored balances from the transaction ledger and reports drift:
+ * 
+ *   wallet balance   = opening_balance + its income - its expense +/- transfers
+ *   account balance  = sum of wallet balances (+ any legacy transactions
+ *                      that have no wallet yet), each amount converted into
+ *                      the base currency at the rate of its date
+ *   category balance = sum of income/expense transactions tagged with it
+ */
+
+// Differences smaller than this are floating point noise, not drift
+const EPSILON = 0.000001;
+
+function hasDrift(stored, expected) {
+  return Math.abs((stored || 0) - expected) > EPSILON;
+}
+
+/**
+ * Expected wallet balances from the ledger
+ * 
+ * @param {ObjectId|string} userId - Account ID
+ * @param {Object} converter - currencyService converter into the account's base currency
+ * @param {ClientSession} [session] - Active mongoose session
+ * @returns {Promise<Object>} { byWallet: Map<walletId, amount>, unassigned, accountDelta }
+ *   where accountDelta is the ledger's total account change in the base currency
+ */
+async function ledgerTotals(userId, converter, session) {
+  const byWallet = new Map();
+  let unassigned = 0;
+  let accountDelta = 0;
+  
+  const add = (walletId, amount) => {
+    const key = String(walletId);
+    byWallet.set(key, (byWallet.get(key) || 0) + amount);
+  };
+  
+  const cursor = Transaction.find({ id_akun: userId })
+    .select('tipe nominal currency wallet_id transfer created_at')
+    .lean()
+    .session(session || null)
+    .cursor();
+  
+  for await (const tx of cursor) {
+    let delta;
+    if (tx.tipe === 'transfer') {
+      const transfer = tx.transfer || {};
+      if (transfer.from_wallet) add(transfer.from_wallet, -tx.nominal);
+      if (transfer.to_wallet) add(transfer.to_wallet, tx.nominal);
+      delta = (transfer.to_wallet ? tx.nominal : 0) - (transfer.from_wallet ? tx.nominal : 0);
+    } else {
+      delta = tx.tipe === 'income' ? tx.nominal : -tx.nominal;
+      if (tx.wallet_id) add(tx.wallet_id, delta);
+      else unassigned += delta;
+    }
+    
+    accountDelta += await converter.convert(delta, tx.currency, tx.created_at);
+  }
+  
+  return { byWallet, unassigned, accountDelta };
+}
+
+/**
+ * Compare one user's stored balances to the ledger and optionally fix them
+ * 
+ * @param {ObjectId|string} userId - Account ID
+ * @param {Object} [options]
+ * @param {boolean} [options.fix=false] - Write the expected balances
+ * @returns {Promise<Object>} Drift report for the account, its wallets and categories
+ */
+async function reconcileUser(userId, { fix = false } = {}) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+    const account = await Account.findById(userId).session(session);
+    if (!account) {
+      throw new Error('Account not found');
+    }
+    
+    const wallets = await Wallet.find({ user_id: userId }).session(session);
+    const converter = createConverter(account.currency, session);
+    const { byWallet, unassigned, accountDelta } = await ledgerTotals(userId, converter, session);
+    
+    const walletReport = wallets.map(wallet => {
+      const expected = (wallet.opening_balance || 0) + (byWallet.get(String(wallet._id)) || 0);
+      return {
+        _id: wallet._id,
+        name: wallet.name,
+        stored: wallet.balance,
+        expected,
+        drift: wallet.balance - expected
+      };
+    });
+    
+    // Opening balances were carried over when the wallet was created
+    let accountExpected = accountDelta;
+    for (const wallet of wallets) {
+      accountExpected += await converter.convert(wallet.opening_balance || 0, wallet.currency, wallet.created_at);
+    }
+    const categoryChanges = await recalculateCategoryBalances(userId, session, { dryRun: !fix });
+    
+    if (fix) {
+      for (const entry of walletReport) {
+        if (hasDrift(entry.stored, entry.expected)) {
+          await Wallet.updateOne({ _id: entry._id }, { balance: entry.expected }, { session });
+        }
+      }
+      // Without wallets there is no opening balance to build on, so leave the
+      // account alone until `npm run migrate-wallets` has run for it
+      if (wallets.length > 0 && hasDrift(account.balance, accountExpected)) {
+        await Account.updateOne({ _id: account._id }, { balance: accountExpected }, { session });
+      }
+    }
+    
+    await session.commitTransaction();
+    session.endSession();
+    
+    const driftedWallets = walletReport.filter(w => hasDrift(w.stored, w.expected));
+    const accountDrifted = hasDrift(account.balance, accountExpected);
+    
+    return {
+      user_id: account._id,
+      username: account.username,
+      drifted: accountDrifted || driftedWallets.length > 0 || categoryChanges.length > 0,
+      fixed: fix,
+      needs_migration: wallets.length === 0,
+      account: {
+        stored: account.balance,
+        expected: accountExpected,
+        drift: account.balance - accountExpected
+      },
+      unassigned_transactions_total: unassigned,
+      wallets: driftedWallets,
+      categories: categoryChanges.map(change => ({
+        name: change.name,
+        type: change.type,
+        stored: change.before,
+        expected: change.after
+      }))
+    };
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+}
+
+/**
+ * Reconcile every account
+ * 
+ * @param {Object} [options]
+ * @param {boolean} [options.fix=false] - Write the expected balances
+ * @param {boolean} [options.onlyDrifted=true] - Leave accounts without drift out of the results
+ * @returns {Promise<Object>} { checked, drifted, results }
+ */
+async function reconcileAll({ fix = false, onlyDrifted = true } = {}) {
+  const accounts = await Account.find().select('_id');
+  const results = [];
+  let drifted = 0;
+  
+  for (const account of accounts) {
+    const report = await reconcileUser(account._id, { fix });
+    if (report.drifted) drifted++;
+    if (report.drifted || !onlyDrifted) results.push(report);
+  }
+  
+  return { checked: accounts.length, drifted, fixed: fix, results };
+}
+
+module.exports = {
+  reconcileUser,
+  reconcileAll
+};
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const RecurringTransaction = require('../model/RecurringTransaction');
+const Transaction = require('../model/Transaction');
+const { postTransaction } = require('./ledgerService');
+const { recordChange } = require('./auditService');
+const { occurrencesBetween } = require('../utils/schedule');
+
+/**
+ * @fileoverview Recurring Transaction Service
+ * 
+ * Posts due occurrences of recurring schedules. Each occurrence is posted in
+ * its own session together with the schedule's last_occurrence marker, and
+ * the Transaction (recurring_id, occurrence_date) unique index guarantees an
+ * occurrence is never posted twice, so the runner can be re-run or resumed
+ * at any time. Missed periods are caught up on the next run. Posted
+ * occurrences are logged as created by the system (no actor).
+ */
+
+/**
+ * Post every due occurrence of a single schedule
+ * 
+ * @param {RecurringTransaction} recurring - Schedule document
+ * @param {Date} now - Post occurrences up to this date
+ * @returns {Promise<Object>} { posted, skipped, errors }
+ */
+async function postDueOccurrences(recurring, now) {
+  const result = { posted: 0, skipped: 0, errors: [] };
+  
+  const due = occurrencesBetween(
+    recurring.schedule,
+    recurring.start_date,
+    recurring.end_date,
+    recurring.last_occurrence,
+    now
+  );
+  
+  for (const occurrenceDate of due) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    
+    try {
+      // A deleted occurrence stays deleted, so the trash counts as posted
+      const existing = await Transaction.exists({
+        recurring_id: recurring._id,
+        occurrence_date: occurrenceDate
+      }).setOptions({ withDeleted: true }).session(session);
+      
+      if (existing) {
+        result.skipped++;
+      } else {
+        const transaction = await postTransaction({
+          id_akun: recurring.user_id,
+          wallet_id: recurring.wallet_id,
+          tipe: recurring.tipe,
+          deskripsi: recurring.deskripsi,
+          nominal: recurring.nominal,
+          category: recurring.category,
+          tags: recurring.tags,
+          created_at: occurrenceDate,
+          recurring_id: recurring._id,
+          occurrence_date: occurrenceDate
+        }, session);
+        await recordChange(null, 'create', 'transaction', { after: transaction }, session);
+        result.posted++;
+      }
+      
+      await RecurringTransaction.updateOne(
+        { _id: recurring._id },
+        { last_occurrence: occurrenceDate },
+        { session }
+      );
+      
+      await session.commitTransaction();
+      session.endSession();
+      recurring.last_occurrence = occurrenceDate;
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+      
+      // Duplicate key: another runner posted this occurrence first
+      if (error.code === 11000) {
+        result.skipped++;
+        continue;
+      }
+      
+      // Stop at the first failure so later periods are not posted out of order
+      result.errors.push({ occurrence_date: occurrenceDate, message: error.message });
+      break;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Post due occurrences for all active schedules
+ * 
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - Post occurrences up to this date
+ * @param {ObjectId|string} [options.userId] - Only run schedules for this user
+ * @returns {Promise<Object>} Totals plus per-schedule results
+ */
+async function runDueRecurring({ now = new Date(), userId } = {}) {
+  const filter = { active: true, start_date: { $lte: now } };
+  if (userId) filter.user_id = userId;
+  
+  const schedules = await RecurringTransaction.find(filter);
+  const summary = { schedules: schedules.length, posted: 0, skipped: 0, failed: 0, results: [] };
+  
+  for (const recurring of schedules) {
+    const result = await postDueOccurrences(recurring, now);
+    summary.posted += result.posted;
+    summary.skipped += result.skipped;
+    if (result.errors.length > 0) summary.failed++;
+    
+    if (result.posted > 0 || result.errors.length > 0) {
+      summary.results.push({ recurring_id: recurring._id, deskripsi: recurring.deskripsi, ...result });
+    }
+  }
+  
+  return summary;
+}
+
+module.exports = {
+  postDueOccurrences,
+  runDueRecurring
+};
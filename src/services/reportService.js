@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const Transaction = require('../model/Transaction');
+const Account = require('../model/Account');
+const { createConverter, conversionGroupKey } = require('./currencyService');
+
+/**
+ * @fileoverview Report Service
+ * 
+ * Time-bucketed cash-flow and balance history aggregations. Buckets are
+ * computed in the requested IANA timezone; buckets without any transactions
+ * are omitted. Amounts are in the account's base currency, converting each
+ * transaction at the rate of its date.
+ */
+
+const INTERVALS = {
+  day: { unit: 'day', format: '%Y-%m-%d' },
+  week: { unit: 'week', startOfWeek: 'monday', format: '%G-W%V' },
+  month: { unit: 'month', format: '%Y-%m' },
+  year: { unit: 'year', format: '%Y' }
+};
+
+/**
+ * Check that a timezone name is known to the runtime
+ * 
+ * @param {string} timezone - IANA timezone such as 'Asia/Jakarta'
+ * @returns {boolean} True if valid
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Same rules as ledgerService.balanceDelta, as an aggregation expression
+const ACCOUNT_DELTA = {
+  $switch: {
+    branches: [
+      { case: { $eq: ['$tipe', 'income'] }, then: '$nominal' },
+      { case: { $eq: ['$tipe', 'expense'] }, then: { $multiply: ['$nominal', -1] } },
+      {
+        case: { $eq: ['$tipe', 'transfer'] },
+        then: {
+          $add: [
+            { $cond: [{ $ifNull: ['$transfer.to_wallet', false] }, '$nominal', 0] },
+            { $cond: [{ $ifNull: ['$transfer.from_wallet', false] }, { $multiply: ['$nominal', -1] }, 0] }
+          ]
+        }
+      }
+    ],
+    default: 0
+  }
+};
+
+function bucketStages(interval, timezone) {
+  const { format, ...trunc } = INTERVALS[interval];
+  return {
+    start: { $dateTrunc: { date: '$created_at', timezone, ...trunc } },
+    label: { $dateToString: { date: '$created_at', timezone, format } }
+  };
+}
+
+// Group _id splitting each bucket by currency and day for conversion
+function bucketGroupKey(bucket, base) {
+  return { start: bucket.start, ...conversionGroupKey(base) };
+}
+
+// Convert the amount fields of per-currency rows and merge them back into
+// one row per bucket, keeping the bucket order
+async function mergeBuckets(rows, converter, fields) {
+  const buckets = new Map();
+  for (const row of rows) {
+    const key = row._id.start.getTime();
+    if (!buckets.has(key)) {
+      const empty = Object.fromEntries(fields.map(field => [field, 0]));
+      buckets.set(key, { _id: row._id.start, period: row.period, count: 0, ...empty });
+    }
+    const bucket = buckets.get(key);
+    bucket.count += row.count || 0;
+    for (const field of fields) {
+      bucket[field] += await converter.convert(row[field], row._id.currency, row._id.day);
+    }
+  }
+  return [...buckets.values()];
+}
+
+/**
+ * Income, expense, net and savings rate per time bucket
+ * 
+ * Transfers only move money between the user's own wallets and goals, so
+ * they are left out.
+ * 
+ * @param {ObjectId|string} userId - Account ID
+ * @param {Object} options
+ * @param {Object} options.range - created_at filter, e.g. { $gte, $lte }
+ * @param {string} options.interval - 'day', 'week', 'month' or 'year'
+ * @param {string} options.timezone - IANA timezone for bucket boundaries
+ * @returns {Promise<Object>} { currency, buckets, totals }
+ * @throws {MissingRateError} When a transaction's currency has no rate for its date
+ */
+async function getCashflow(userId, { range, interval, timezone }) {
+  const bucket = bucketStages(interval, timezone);
+  const account = await Account.findById(userId).select('currency');
+  if (!account) {
+    throw new Error('Account not found');
+  }
+  const converter = createConverter(account.currency);
+  
+  const groups = await Transaction.aggregate([
+    {
+      $match: {
+        id_akun: new mongoose.Types.ObjectId(userId),
+        tipe: { $in: ['income', 'expense'] },
+        created_at: range
+      }
+    },
+    {
+      $group: {
+        _id: bucketGroupKey(bucket, converter.target),
+        period: { $first: bucket.label },
+        income: { $sum: { $cond: [{ $eq: ['$tipe', 'income'] }, '$nominal', 0] } },
+        expense: { $sum: { $cond: [{ $eq: ['$tipe', 'expense'] }, '$nominal', 0] } },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { '_id.start': 1 } }
+  ]);
+  const rows = await mergeBuckets(groups, converter, ['income', 'expense']);
+  
+  const withRates = row => {
+    const net = row.income - row.expense;
+    return {
+      income: row.income,
+      expense: row.expense,
+      net,
+      savings_rate: row.income > 0 ? Math.round((net / row.income) * 10000) / 100 : null
+    };
+  };
+  
+  const buckets = rows.map(row => ({
+    period: row.period,
+    start: row._id,
+    count: row.count,
+    ...withRates(row)
+  }));
+  
+  const totals = withRates({
+    income: buckets.reduce((sum, b) => sum + b.income, 0),
+    expense: buckets.reduce((sum, b) => sum + b.expense, 0)
+  });
+  
+  return { currency: converter.target, buckets, totals };
+}
+
+/**
+ * Account balance at the end of each time bucket
+ * 
+ * The series is anchored on the stored account balance, so it ends at the
+ * balance the user sees today: the opening balance is the current balance
+ * minus every change dated on or after the range start.
+ * 
+ * @param {ObjectId|string} userId - Account ID
+ * @param {Object} options - Same as getCashflow, plus from (the range start)
+ * @returns {Promise<Object>} { currency, opening_balance, closing_balance, points }
+ * @throws {MissingRateError} When a transaction's currency has no rate for its date
+ */
+async function getBalanceHistory(userId, { from, range, interval, timezone }) {
+  const account = await Account.findById(userId);
+  if (!account) {
+    throw new Error('Account not found');
+  }
+  
+  const accountId = new mongoose.Types.ObjectId(userId);
+  const bucket = bucketStages(interval, timezone);
+  const converter = createConverter(account.currency);
+  
+  const sinceFrom = await Transaction.aggregate([
+    { $match: { id_akun: accountId, created_at: { $gte: from } } },
+    { $group: { _id: conversionGroupKey(converter.target), delta: { $sum: ACCOUNT_DELTA } } }
+  ]);
+  
+  const groups = await Transaction.aggregate([
+    { $match: { id_akun: accountId, created_at: range } },
+    {
+      $group: {
+        _id: bucketGroupKey(bucket, converter.target),
+        period: { $first: bucket.label },
+        change: { $sum: ACCOUNT_DELTA }
+      }
+    },
+    { $sort: { '_id.start': 1 } }
+  ]);
+  const rows = await mergeBuckets(groups, converter, ['change']);
+  
+  let deltaSinceFrom = 0;
+  for (const group of sinceFrom) {
+    deltaSinceFrom += await converter.convert(group.delta, group._id.currency, group._id.day);
+  }
+  
+  const openingBalance = account.balance - deltaSinceFrom;
+  let running = openingBalance;
+  
+  const points = rows.map(row => {
+    running += row.change;
+    return {
+      period: row.period,
+      start: row._id,
+      change: row.change,
+      balance: running
+    };
+  });
+  
+  return {
+    currency: converter.target,
+    opening_balance: openingBalance,
+    closing_balance: running,
+    points
+  };
+}
+
+module.exports = {
+  INTERVALS,
+  isValidTimezone,
+  getCashflow,
+  getBalanceHistory
+};
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const Account = require('../model/Account');
+const Share = require('../model/Share');
+const Goal = require('../model/Goal');
+const Category = require('../model/Category');
+const Budget = require('../model/Budget');
+const GoalContribution = require('../model/GoalContribution');
+
+/**
+ * @fileoverview Share Service
+ * 
+ * Lookups for records shared between accounts. Only accepted invitations
+ * grant access; the owner of a record always has full access to it.
+ */
+
+// Models that can be shared, keyed by Share.resource_type
+const SHAREABLE = {
+  goal: Goal,
+  category: Category,
+  budget: Budget
+};
+
+/**
+ * Load a shareable record
+ * 
+ * @param {string} type - 'goal', 'category' or 'budget'
+ * @param {ObjectId|string} id - Record ID
+ * @returns {Promise<Document|null>} The record, or null if the type or record is unknown
+ */
+async function findShareable(type, id) {
+  const Model = SHAREABLE[type];
+  if (!Model || !mongoose.isValidObjectId(id)) return null;
+  return Model.findById(id);
+}
+
+/**
+ * IDs of the records of a type that have been shared with an account
+ * 
+ * @param {ObjectId|string} userId - Account ID
+ * @param {string} type - 'goal', 'category' or 'budget'
+ * @returns {Promise<Map<string, string>>} Record ID -> role
+ */
+async function sharedWith(userId, type) {
+  const shares = await Share.find({ user_id: userId, resource_type: type, status: 'accepted' })
+    .select('resource_id role');
+  return new Map(shares.map(share => [String(share.resource_id), share.role]));
+}
+
+/**
+ * Members of each goal with the amount each has contributed
+ * 
+ * The owner is listed first with role 'owner'. Contributions logged before
+ * members were recorded count toward the owner.
+ * 
+ * @param {Array<Goal>} goals - Goal documents
+ * @returns {Promise<Map<string, Array<Object>>>} Goal ID -> [{ user_id, username, role, contributed }]
+ */
+async function goalMembers(goals) {
+  const goalIds = goals.map(goal => goal._id);
+  
+  const [shares, rows] = await Promise.all([
+    Share.find({ resource_type: 'goal', resource_id: { $in: goalIds }, status: 'accepted' })
+      .populate('user_id', 'username'),
+    GoalContribution.aggregate([
+      { $match: { goal_id: { $in: goalIds } } },
+      {
+        $group: {
+          _id: { goal: '$goal_id', member: { $ifNull: ['$member_id', '$user_id'] } },
+          net: { $sum: { $cond: [{ $eq: ['$type', 'allocate'] }, '$amount', { $multiply: ['$amount', -1] }] } }
+        }
+      }
+    ])
+  ]);
+  
+  const contributed = new Map(rows.map(row => [`${row._id.goal}:${row._id.member}`, row.net]));
+  const owners = await Account.find({ _id: { $in: goals.map(goal => goal.user_id) } }).select('username');
+  const usernames = new Map(owners.map(owner => [String(owner._id), owner.username]));
+  
+  const members = new Map();
+  for (const goal of goals) {
+    const ownerId = String(goal.user_id);
+    members.set(String(goal._id), [{
+      user_id: goal.user_id,
+      username: usernames.get(ownerId) || null,
+      role: 'owner',
+      contributed: contributed.get(`${goal._id}:${ownerId}`) || 0
+    }]);
+  }
+  
+  for (const share of shares) {
+    // Skip shares whose invited account has been deleted
+    if (!share.user_id) continue;
+    members.get(String(share.resource_id)).push({
+      user_id: share.user_id._id,
+      username: share.user_id.username,
+      role: share.role,
+      contributed: contributed.get(`${share.resource_id}:${share.user_id._id}`) || 0
+    });
+  }
+  
+  return members;
+}
+
+module.exports = {
+  SHAREABLE,
+  findShareable,
+  sharedWith,
+  goalMembers
+};
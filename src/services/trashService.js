@@ -0,0 +1,256 @@
+const Attachment = require('../model/Attachment');
+const Category = require('../model/Category');
+const Goal = require('../model/Goal');
+const GoalContribution = require('../model/GoalContribution');
+const GoalFundingRule = require('../model/GoalFundingRule');
+const Share = require('../model/Share');
+const Transaction = require('../model/Transaction');
+const Wallet = require('../model/Wallet');
+const { applyTransaction, recalculateCategoryBalances } = require('./ledgerService');
+const { removeAttachmentFiles } = require('./attachmentService');
+
+/**
+ * @fileoverview Trash Service
+ * 
+ * Deleted transactions, goals and categories are kept in the trash (see
+ * utils/softDelete) for TRASH_RETENTION_DAYS before the purge job removes
+ * them for good. Moving a transaction to the trash reverses its balance
+ * effects and restoring it applies them again. Only empty goals can be
+ * moved to the trash, where they keep their history, funding rules and
+ * shares; transfers into or out of a trashed goal cannot be changed until
+ * it is restored (see ledgerService).
+ * 
+ * Accounts do not go to the trash. Deleting an account is scheduled after a
+ * grace period during which it can be cancelled (see accountDeletionService),
+ * which gives the same protection against deleting by mistake.
+ */
+
+// Days a record stays in the trash before it is purged
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+/**
+ * Raised when a trashed record cannot be restored as it was; controllers answer 409
+ */
+class RestoreConflictError extends Error {}
+
+/**
+ * Raised when a record cannot be moved to the trash as it is; controllers answer 409
+ */
+class TrashConflictError extends Error {}
+
+// Trashable models, keyed by the entity types of the audit log
+const TRASH_TYPES = {
+  transaction: { Model: Transaction, ownerField: 'id_akun', list: 'transactions' },
+  goal: { Model: Goal, ownerField: 'user_id', list: 'goals' },
+  category: { Model: Category, ownerField: 'user_id', list: 'categories' }
+};
+
+/**
+ * List the trashed records of a user, most recently deleted first
+ * 
+ * @param {ObjectId|string} userId - Account ID
+ * @param {Array<string>} [types] - Entity types to list, all by default
+ * @returns {Promise<Object>} { transactions, goals, categories } with a purge_at date on every record
+ */
+async function listTrash(userId, types = Object.keys(TRASH_TYPES)) {
+  const trash = {};
+  for (const type of types) {
+    const { Model, ownerField, list } = TRASH_TYPES[type];
+    const records = await Model.find({ [ownerField]: userId, deleted_at: { $ne: null } })
+      .sort({ deleted_at: -1 });
+    trash[list] = records.map(record => ({
+      ...record.toJSON(),
+      purge_at: new Date(record.deleted_at.getTime() + RETENTION_MS)
+    }));
+  }
+  return trash;
+}
+
+/**
+ * Load one trashed record of a user
+ * 
+ * @param {string} type - 'transaction', 'goal' or 'category'
+ * @param {ObjectId|string} id - Record ID
+ * @param {ObjectId|string} userId - Account that must own the record
+ * @param {ClientSession} [session] - Active mongoose session
+ * @returns {Promise<Document|null>}
+ */
+function findTrashed(type, id, userId, session) {
+  const { Model, ownerField } = TRASH_TYPES[type];
+  return Model.findOne({ _id: id, [ownerField]: userId, deleted_at: { $ne: null } }).session(session || null);
+}
+
+/**
+ * Move a transaction to the trash, reversing its balance effects
+ * 
+ * Attachments stay with the transaction until it is purged.
+ * 
+ * @param {Transaction} transaction - Transaction document
+ * @param {ClientSession} session - Active mongoose session
+ */
+async function trashTransaction(transaction, session) {
+  await applyTransaction(transaction, session, true);
+  transaction.deleted_at = new Date();
+  await transaction.save({ session });
+}
+
+/**
+ * Bring a transaction back from the trash and apply its balance effects again
+ * 
+ * Its tags are linked to categories anew, since the categories may have
+ * been deleted or replaced while it was in the trash.
+ * 
+ * @param {Transaction} transaction - Trashed transaction document
+ * @param {ClientSession} session - Active mongoose session
+ * @throws {RestoreConflictError} When one of its wallets or goals is gone
+ */
+async function restoreTransaction(transaction, session) {
+  const transfer = transaction.transfer || {};
+  const walletIds = [transaction.wallet_id, transfer.from_wallet, transfer.to_wallet].filter(Boolean);
+  if (await Wallet.countDocuments({ _id: { $in: walletIds } }).session(session) < walletIds.length) {
+    throw new RestoreConflictError('A wallet of the transaction no longer exists');
+  }
+  const goalIds = [transfer.from_goal, transfer.to_goal].filter(Boolean);
+  if (await Goal.countDocuments({ _id: { $in: goalIds } }).session(session) < goalIds.length) {
+    throw new RestoreConflictError('The goal of the transfer is deleted; restore the goal first');
+  }
+  
+  transaction.deleted_at = null;
+  transaction.category_ids = [];
+  await transaction.save({ session });
+  await applyTransaction(transaction, session);
+}
+
+/**
+ * Move a goal to the trash
+ * 
+ * The goal has to be empty, so no money disappears with it.
+ * 
+ * @param {Goal} goal - Goal document
+ * @param {ClientSession} [session] - Active mongoose session
+ * @throws {TrashConflictError} When the goal still holds a saved amount
+ */
+async function trashGoal(goal, session) {
+  if (goal.saved_amount > 0) {
+    throw new TrashConflictError('The goal still holds funds; withdraw its saved amount before deleting it');
+  }
+  goal.deleted_at = new Date();
+  await goal.save({ session });
+}
+
+/**
+ * Bring a goal back from the trash with its history, rules and shares
+ * 
+ * @param {Goal} goal - Trashed goal document
+ * @param {ClientSession} [session] - Active mongoose session
+ */
+async function restoreGoal(goal, session) {
+  goal.deleted_at = null;
+  await goal.save({ session });
+}
+
+/**
+ * Bring a category back from the trash
+ * 
+ * The transactions moved out of the category when it was deleted stay
+ * where they are, so it comes back empty. It goes back under its parent
+ * if the parent still exists, and to the top level otherwise.
+ * 
+ * @param {Category} category - Trashed category document
+ * @param {ClientSession} session - Active mongoose session
+ * @throws {RestoreConflictError} When a category with the same name and type exists meanwhile
+ */
+async function restoreCategory(category, session) {
+  const taken = await Category.exists({
+    user_id: category.user_id,
+    name: category.name,
+    type: category.type
+  }).session(session);
+  if (taken) {
+    throw new RestoreConflictError(
+      `A ${category.type} category named "${category.name}" already exists; rename it first`
+    );
+  }
+  
+  if (category.parent_id && !(await Category.exists({ _id: category.parent_id }).session(session))) {
+    category.parent_id = null;
+  }
+  category.deleted_at = null;
+  await category.save({ session });
+  await recalculateCategoryBalances(category.user_id, session);
+}
+
+const RESTORERS = {
+  transaction: restoreTransaction,
+  goal: restoreGoal,
+  category: restoreCategory
+};
+
+/**
+ * Bring a trashed record back
+ * 
+ * @param {string} type - 'transaction', 'goal' or 'category'
+ * @param {Document} record - Trashed record
+ * @param {ClientSession} session - Active mongoose session
+ */
+async function restoreRecord(type, record, session) {
+  await RESTORERS[type](record, session);
+}
+
+/**
+ * Permanently remove records that have been in the trash for longer than
+ * the retention window, with the documents that belong to them
+ * 
+ * Safe to run as often as needed.
+ * 
+ * @param {Date} [cutoff] - Purge records trashed on or before this date;
+ *   defaults to TRASH_RETENTION_DAYS ago
+ * @returns {Promise<Object>} { transactions, attachments, goals, categories } counts
+ */
+async function purgeTrash(cutoff = new Date(Date.now() - RETENTION_MS)) {
+  const expired = { deleted_at: { $lte: cutoff } };
+  const ids = async (Model, filter = expired) =>
+    (await Model.find(filter).select('_id').lean()).map(record => record._id);
+  
+  const transactionIds = await ids(Transaction);
+  const attachments = await Attachment.find({ transaction_id: { $in: transactionIds } });
+  await Attachment.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+  await Transaction.deleteMany({ _id: { $in: transactionIds } });
+  await removeAttachmentFiles(attachments);
+  
+  // Goals trashed with funds before trashGoal required them to be empty
+  // are kept until their saved amount is withdrawn
+  const goalIds = await ids(Goal, { ...expired, saved_amount: { $lte: 0 } });
+  await GoalContribution.deleteMany({ goal_id: { $in: goalIds } });
+  await GoalFundingRule.deleteMany({ goal_id: { $in: goalIds } });
+  await Share.deleteMany({ resource_type: 'goal', resource_id: { $in: goalIds } });
+  await Goal.deleteMany({ _id: { $in: goalIds } });
+  
+  const categoryIds = await ids(Category);
+  await Share.deleteMany({ resource_type: 'category', resource_id: { $in: categoryIds } });
+  await Category.deleteMany({ _id: { $in: categoryIds } });
+  
+  return {
+    transactions: transactionIds.length,
+    attachments: attachments.length,
+    goals: goalIds.length,
+    categories: categoryIds.length
+  };
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  TRASH_TYPES,
+  RestoreConflictError,
+  TrashConflictError,
+  listTrash,
+  findTrashed,
+  trashTransaction,
+  restoreTransaction,
+  trashGoal,
+  restoreGoal,
+  restoreCategory,
+  restoreRecord,
+  purgeTrash
+};
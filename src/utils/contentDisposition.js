@@ -0,0 +1,26 @@
+/**
+ * @fileoverview Content-Disposition Helper
+ * 
+ * Header values may only hold ASCII, so a file name such as "kwitansi-é.pdf"
+ * cannot go into filename="..." as it is. The header carries an ASCII
+ * fallback for old clients plus the full name in filename* (RFC 6266).
+ */
+
+/**
+ * Content-Disposition header for downloading a file under a given name
+ * 
+ * @param {string} filename - File name, any characters
+ * @returns {string} Header value, e.g. attachment; filename="a_b.pdf"; filename*=UTF-8''a%C3%A9b.pdf
+ */
+function attachmentDisposition(filename) {
+  // Anything outside printable ASCII, and the characters that would end the quoted string
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  // encodeURIComponent leaves ' ( ) * as they are, which filename* does not allow
+  const encoded = encodeURIComponent(filename)
+    .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+module.exports = {
+  attachmentDisposition
+};
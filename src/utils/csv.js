@@ -0,0 +1,100 @@
+/**
+ * @fileoverview CSV Helpers
+ * 
+ * RFC 4180 style CSV formatting and parsing. Values containing commas,
+ * quotes or line breaks are quoted, with embedded quotes doubled.
+ */
+
+/**
+ * Format a single value as a CSV field
+ * 
+ * @param {*} value - Value to format; dates become ISO strings, arrays are joined with ';'
+ * @returns {string} Escaped field
+ */
+function escapeCsvField(value) {
+  if (value === null || value === undefined) return '';
+  
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (Array.isArray(value)) {
+    text = value.join(';');
+  } else {
+    text = String(value);
+  }
+  
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Format a row of values as a CSV line, including the trailing CRLF
+ * 
+ * @param {Array} values - Field values
+ * @returns {string} CSV line
+ */
+function toCsvRow(values) {
+  return values.map(escapeCsvField).join(',') + '\r\n';
+}
+
+/**
+ * Parse CSV text into rows of string fields
+ * 
+ * Handles quoted fields with embedded delimiters, doubled quotes and line
+ * breaks, CRLF or LF line endings, and a leading byte order mark. Blank
+ * lines are skipped.
+ * 
+ * @param {string} text - CSV content
+ * @param {string} [delimiter=','] - Field delimiter, e.g. ';' for many bank exports
+ * @returns {Array<Array<string>>} Parsed rows
+ */
+function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+  
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+  
+  for (; i < text.length; i++) {
+    const char = text[i];
+    
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+module.exports = {
+  escapeCsvField,
+  toCsvRow,
+  parseCsv
+};
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Currency Helpers
+ * 
+ * Currency codes are three-letter ISO 4217 codes in upper case. Records
+ * saved before currencies existed are in DEFAULT_CURRENCY.
+ */
+
+const DEFAULT_CURRENCY = 'IDR';
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+/**
+ * Schema definition for a currency code field
+ * 
+ * @param {Object} [options] - Extra schema options, e.g. { required: true }
+ * @returns {Object} Mongoose schema type definition
+ */
+function currencyField(options = {}) {
+  return {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [CURRENCY_CODE, 'Invalid currency code: {VALUE}'],
+    default: DEFAULT_CURRENCY,
+    ...options
+  };
+}
+
+/**
+ * Check and normalize a currency code
+ * 
+ * @param {string} code - Currency code in any case
+ * @returns {string|null} Upper-case code, or null if it is not a valid code
+ */
+function normalizeCurrency(code) {
+  if (typeof code !== 'string') return null;
+  const normalized = code.trim().toUpperCase();
+  return CURRENCY_CODE.test(normalized) ? normalized : null;
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  CURRENCY_CODE,
+  currencyField,
+  normalizeCurrency
+};
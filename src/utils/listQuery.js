@@ -0,0 +1,210 @@
+const mongoose = require('mongoose');
+
+/**
+ * @fileoverview List Query Helpers
+ * 
+ * Shared filtering, sorting and cursor pagination for list endpoints. Each
+ * endpoint describes which document fields the common query parameters map
+ * to, so the same parameters mean the same thing everywhere:
+ * 
+ *   from, to              Date range on the spec's dateField (inclusive)
+ *   <equals param>        Exact match, comma-separated for any of several values
+ *   tags, tags_mode       Tags to match, 'any' (default) or 'all' of them
+ *   min_amount, max_amount  Range on the spec's amountField (inclusive)
+ *   q                     Case-insensitive text match on the spec's textField
+ *   sort                  Field name, prefixed with '-' for descending
+ *   limit, cursor         Page size and the next_cursor from the previous page
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Raised for malformed query parameters; controllers answer 400
+ */
+class InvalidQueryError extends Error {}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new InvalidQueryError(`Invalid date for ${name}`);
+  }
+  return date;
+}
+
+function parseNumber(value, name) {
+  const number = Number(value);
+  if (value === '' || isNaN(number)) {
+    throw new InvalidQueryError(`Invalid number for ${name}`);
+  }
+  return number;
+}
+
+function splitList(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a MongoDB filter from request query parameters
+ * 
+ * @param {Object} query - req.query
+ * @param {Object} spec - Field mapping for this endpoint
+ * @param {string} [spec.dateField] - Field used by from/to
+ * @param {Object} [spec.equals] - Query param name -> field for exact matches
+ * @param {string} [spec.tagsField] - Array field used by tags/tags_mode
+ * @param {string} [spec.amountField] - Field used by min_amount/max_amount
+ * @param {string} [spec.textField] - Field used by q
+ * @returns {Object} MongoDB filter
+ * @throws {InvalidQueryError} When a parameter cannot be parsed
+ */
+function buildFilter(query, spec) {
+  const filter = {};
+  
+  if (spec.dateField && (query.from || query.to)) {
+    filter[spec.dateField] = {};
+    if (query.from) filter[spec.dateField].$gte = parseDate(query.from, 'from');
+    if (query.to) {
+      // A bare date such as 2024-01-31 includes that whole day
+      if (DATE_ONLY.test(query.to)) {
+        filter[spec.dateField].$lt = new Date(parseDate(query.to, 'to').getTime() + DAY_MS);
+      } else {
+        filter[spec.dateField].$lte = parseDate(query.to, 'to');
+      }
+    }
+  }
+  
+  for (const [param, field] of Object.entries(spec.equals || {})) {
+    if (query[param] === undefined || query[param] === '') continue;
+    const values = splitList(query[param]);
+    filter[field] = values.length === 1 ? values[0] : { $in: values };
+  }
+  
+  if (spec.tagsField && query.tags) {
+    const tags = splitList(query.tags);
+    const mode = query.tags_mode || 'any';
+    if (!['any', 'all'].includes(mode)) {
+      throw new InvalidQueryError("tags_mode must be 'any' or 'all'");
+    }
+    if (tags.length > 0) {
+      filter[spec.tagsField] = mode === 'all' ? { $all: tags } : { $in: tags };
+    }
+  }
+  
+  if (spec.amountField && (query.min_amount !== undefined || query.max_amount !== undefined)) {
+    filter[spec.amountField] = {};
+    if (query.min_amount !== undefined) {
+      filter[spec.amountField].$gte = parseNumber(query.min_amount, 'min_amount');
+    }
+    if (query.max_amount !== undefined) {
+      filter[spec.amountField].$lte = parseNumber(query.max_amount, 'max_amount');
+    }
+  }
+  
+  if (spec.textField && query.q) {
+    filter[spec.textField] = { $regex: escapeRegex(String(query.q)), $options: 'i' };
+  }
+  
+  return filter;
+}
+
+/**
+ * Parse the sort parameter
+ * 
+ * @param {string} [value] - e.g. 'created_at' or '-nominal'
+ * @param {Object} spec - Endpoint spec with sortFields and defaultSort
+ * @returns {{ field: string, direction: number }} Sort field and 1 / -1
+ * @throws {InvalidQueryError} When the field is not sortable
+ */
+function parseSort(value, spec) {
+  const raw = value || spec.defaultSort;
+  const direction = raw.startsWith('-') ? -1 : 1;
+  const field = raw.replace(/^-/, '');
+  
+  if (!spec.sortFields.includes(field)) {
+    throw new InvalidQueryError(`Cannot sort by ${field}; use one of: ${spec.sortFields.join(', ')}`);
+  }
+  return { field, direction };
+}
+
+function encodeCursor(doc, sort) {
+  const value = doc[sort.field];
+  return Buffer.from(JSON.stringify({
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: doc._id.toString()
+  })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const value = d ? new Date(v) : v;
+    const op = sort.direction === -1 ? '$lt' : '$gt';
+    const objectId = new mongoose.Types.ObjectId(id);
+    
+    // Documents after the cursor in (sort field, _id) order
+    return {
+      $or: [
+        { [sort.field]: { [op]: value } },
+        { [sort.field]: value, _id: { [op]: objectId } }
+      ]
+    };
+  } catch (error) {
+    throw new InvalidQueryError('Invalid cursor');
+  }
+}
+
+/**
+ * Run a filtered, sorted and cursor-paginated list query
+ * 
+ * @param {mongoose.Model} Model - Model to query
+ * @param {Object} filter - Base filter (already including ownership)
+ * @param {Object} query - req.query
+ * @param {Object} spec - Endpoint spec with sortFields and defaultSort
+ * @returns {Promise<Object>} { data, total, limit, next_cursor }
+ * @throws {InvalidQueryError} When a parameter cannot be parsed
+ */
+async function paginate(Model, filter, query, spec) {
+  const sort = parseSort(query.sort, spec);
+  
+  let limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+  if (isNaN(limit) || limit < 1) {
+    throw new InvalidQueryError('limit must be a positive number');
+  }
+  limit = Math.min(limit, MAX_LIMIT);
+  
+  const pageFilter = query.cursor
+    ? { $and: [filter, decodeCursor(query.cursor, sort)] }
+    : filter;
+  
+  const [total, docs] = await Promise.all([
+    Model.countDocuments(filter),
+    Model.find(pageFilter)
+      .sort({ [sort.field]: sort.direction, _id: sort.direction })
+      .limit(limit + 1)
+  ]);
+  
+  const hasMore = docs.length > limit;
+  const data = hasMore ? docs.slice(0, limit) : docs;
+  
+  return {
+    data,
+    total,
+    limit,
+    next_cursor: hasMore ? encodeCursor(data[data.length - 1], sort) : null
+  };
+}
+
+module.exports = {
+  InvalidQueryError,
+  buildFilter,
+  parseSort,
+  paginate
+};
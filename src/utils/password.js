@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+/**
+ * @fileoverview Password Hashing Helpers
+ * 
+ * Passwords are hashed with scrypt and a random per-password salt. The stored
+ * value has the form `scrypt$<salt>$<hash>` so older plaintext values can be
+ * told apart and upgraded on the next successful login.
+ */
+
+const scrypt = promisify(crypto.scrypt);
+
+const PREFIX = 'scrypt';
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+/**
+ * Check whether a stored password value is already hashed
+ * 
+ * @param {string} value - Stored password value
+ * @returns {boolean} True if the value was produced by hashPassword
+ */
+function isHashed(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}$`);
+}
+
+/**
+ * Hash a plaintext password with a fresh salt
+ * 
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>} Encoded hash suitable for storing on the account
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+  const derived = await scrypt(String(password), salt, KEY_LENGTH);
+  return `${PREFIX}$${salt}$${derived.toString('hex')}`;
+}
+
+/**
+ * Compare a plaintext password against a stored value
+ * 
+ * @param {string} password - Plaintext password supplied by the caller
+ * @param {string} stored - Value stored on the account
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+  
+  // Legacy accounts created before hashing was introduced
+  if (!isHashed(stored)) {
+    const a = Buffer.from(password);
+    const b = Buffer.from(stored);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+  
+  const [, salt, hash] = stored.split('$');
+  const expected = Buffer.from(hash, 'hex');
+  const derived = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(derived, expected);
+}
+
+module.exports = {
+  isHashed,
+  hashPassword,
+  verifyPassword
+};
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Period Helpers
+ * 
+ * Calendar period boundaries used by budgets. Months start on the 1st and
+ * weeks start on Monday, both at 00:00 UTC.
+ */
+
+const PERIODS = ['monthly', 'weekly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start of the period that contains a date
+ * 
+ * @param {Date} date - Any date inside the period
+ * @param {string} period - 'monthly' or 'weekly'
+ * @returns {Date} Period start
+ */
+function periodStart(date, period) {
+  if (period === 'monthly') {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+  if (period === 'weekly') {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    const offset = (day.getUTCDay() + 6) % 7; // Monday = 0
+    return new Date(day.getTime() - offset * DAY_MS);
+  }
+  throw new Error(`Unknown period: ${period}`);
+}
+
+/**
+ * Move a period start forward (or backward for negative n) by n periods
+ * 
+ * @param {Date} start - Period start
+ * @param {string} period - 'monthly' or 'weekly'
+ * @param {number} n - Number of periods
+ * @returns {Date} Shifted period start
+ */
+function addPeriods(start, period, n) {
+  if (period === 'monthly') {
+    return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + n, 1));
+  }
+  if (period === 'weekly') {
+    return new Date(start.getTime() + n * 7 * DAY_MS);
+  }
+  throw new Error(`Unknown period: ${period}`);
+}
+
+module.exports = {
+  PERIODS,
+  periodStart,
+  addPeriods
+};
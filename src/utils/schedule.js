@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Schedule Helpers
+ * 
+ * Date arithmetic for repeating schedules. Occurrences are always computed
+ * from the start date by index rather than by stepping from the previous
+ * occurrence, so a monthly schedule on day 31 stays on the last day of short
+ * months without drifting. All calculations use UTC.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// Build a UTC date, clamping the day to the end of the month
+function clampedDate(year, month, day, start) {
+  const normalized = new Date(Date.UTC(year, month, 1));
+  const y = normalized.getUTCFullYear();
+  const m = normalized.getUTCMonth();
+  return new Date(Date.UTC(
+    y, m, Math.min(day, daysInMonth(y, m)),
+    start.getUTCHours(), start.getUTCMinutes(), start.getUTCSeconds(), start.getUTCMilliseconds()
+  ));
+}
+
+/**
+ * Date of the n-th occurrence of a schedule
+ * 
+ * @param {Object} schedule - { frequency, interval, day_of_month }
+ * @param {Date} start - First possible occurrence
+ * @param {number} index - Zero-based occurrence index
+ * @returns {Date} Occurrence date
+ */
+function occurrenceAt(schedule, start, index) {
+  const interval = schedule.interval || 1;
+  const step = index * interval;
+  
+  switch (schedule.frequency) {
+    case 'daily':
+      return new Date(start.getTime() + step * DAY_MS);
+    case 'weekly':
+      return new Date(start.getTime() + step * 7 * DAY_MS);
+    case 'monthly':
+      return clampedDate(
+        start.getUTCFullYear(),
+        start.getUTCMonth() + step,
+        schedule.day_of_month || start.getUTCDate(),
+        start
+      );
+    case 'yearly':
+      return clampedDate(
+        start.getUTCFullYear() + step,
+        start.getUTCMonth(),
+        start.getUTCDate(),
+        start
+      );
+    default:
+      throw new Error(`Unknown frequency: ${schedule.frequency}`);
+  }
+}
+
+/**
+ * List the occurrences of a schedule in a time window
+ * 
+ * Occurrences before the start date (e.g. a monthly day earlier than the
+ * start day) are skipped.
+ * 
+ * @param {Object} schedule - { frequency, interval, day_of_month }
+ * @param {Date} start - Schedule start date
+ * @param {Date|null} end - Optional schedule end date (inclusive)
+ * @param {Date|null} after - Only return occurrences strictly after this date
+ * @param {Date} until - Only return occurrences up to this date (inclusive)
+ * @returns {Date[]} Occurrence dates in ascending order
+ */
+function occurrencesBetween(schedule, start, end, after, until) {
+  const limit = end && end < until ? end : until;
+  const occurrences = [];
+  
+  for (let index = 0; ; index++) {
+    const date = occurrenceAt(schedule, start, index);
+    if (date > limit) break;
+    if (date < start) continue;
+    if (after && date <= after) continue;
+    occurrences.push(date);
+  }
+  
+  return occurrences;
+}
+
+/**
+ * Next occurrence strictly after a date, or null once the schedule has ended
+ * 
+ * @param {Object} schedule - { frequency, interval, day_of_month }
+ * @param {Date} start - Schedule start date
+ * @param {Date|null} end - Optional schedule end date (inclusive)
+ * @param {Date} after - Reference date
+ * @returns {Date|null} Next occurrence
+ */
+function nextOccurrence(schedule, start, end, after) {
+  for (let index = 0; ; index++) {
+    const date = occurrenceAt(schedule, start, index);
+    if (end && date > end) return null;
+    if (date >= start && date > after) return date;
+  }
+}
+
+module.exports = {
+  FREQUENCIES,
+  occurrenceAt,
+  occurrencesBetween,
+  nextOccurrence
+};
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Soft Delete Plugin
+ * 
+ * Deleting a record only stamps deleted_at; the record stays in the trash
+ * until it is restored or purged. Reads (find, findOne, countDocuments,
+ * distinct, findOneAndUpdate and aggregate) leave trashed records out
+ * unless they ask for them, either by naming deleted_at in the filter (or
+ * in the first $match stage of a pipeline) or with the withDeleted option:
+ * 
+ *   Model.find({ user_id, deleted_at: { $ne: null } })       // only the trash
+ *   Model.countDocuments(filter).setOptions({ withDeleted: true })  // both
+ * 
+ * Updates and deletes by filter are not changed, so bookkeeping such as a
+ * category rename also reaches trashed records, and purging removes them.
+ */
+
+const READ_OPERATIONS = ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate'];
+
+// Add deleted_at: null to a query unless it asked for trashed records
+function excludeDeletedFromQuery() {
+  if (this.options.withDeleted) {
+    delete this.options.withDeleted;
+    return;
+  }
+  if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'deleted_at')) return;
+  this.where({ deleted_at: null });
+}
+
+// Same for aggregation pipelines, checked against their first $match stage
+function excludeDeletedFromAggregate() {
+  if (this.options.withDeleted) {
+    delete this.options.withDeleted;
+    return;
+  }
+  const first = this.pipeline()[0];
+  if (first && first.$match && Object.prototype.hasOwnProperty.call(first.$match, 'deleted_at')) return;
+  this.pipeline().unshift({ $match: { deleted_at: null } });
+}
+
+/**
+ * Mongoose plugin adding a deleted_at field and hiding trashed records from reads
+ * 
+ * Documents saved before the plugin existed have no deleted_at and count
+ * as not deleted.
+ * 
+ * @param {Schema} schema - Schema to extend
+ */
+function softDelete(schema) {
+  schema.add({
+    deleted_at: {
+      type: Date,
+      default: null
+    }
+  });
+  
+  // Only trashed records are indexed, for the trash listing and the purge job
+  schema.index({ deleted_at: 1 }, { partialFilterExpression: { deleted_at: { $type: 'date' } } });
+  
+  schema.pre(READ_OPERATIONS, excludeDeletedFromQuery);
+  schema.pre('aggregate', excludeDeletedFromAggregate);
+}
+
+module.exports = softDelete;
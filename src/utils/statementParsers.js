@@ -0,0 +1,265 @@
+const { parseCsv } = require('./csv');
+
+/**
+ * @fileoverview Bank Statement Parsers
+ * 
+ * Turn CSV, OFX and QIF statements into a common row shape:
+ * 
+ *   { line, created_at, deskripsi, nominal, tipe, category, tags, error }
+ * 
+ * Positive amounts become income and negative amounts expense. Rows that
+ * cannot be parsed are returned with an `error` message instead of being
+ * dropped, so the preview can show them.
+ */
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+
+/**
+ * Parse a date string in one of the supported formats
+ * 
+ * Separators '/', '-' and '.' are interchangeable, two-digit years are
+ * treated as 20xx and the QIF form MM/DD'YY is accepted. The result is
+ * midnight UTC.
+ * 
+ * @param {string} value - Date text
+ * @param {string} [format='YYYY-MM-DD'] - One of DATE_FORMATS
+ * @returns {Date|null} Parsed date, or null if invalid
+ */
+function parseStatementDate(value, format = 'YYYY-MM-DD') {
+  const parts = String(value || '').trim().split(/[\/\-.' ]+/).filter(Boolean);
+  if (parts.length < 3) return null;
+  
+  let year;
+  let month;
+  let day;
+  if (format === 'YYYY-MM-DD') [year, month, day] = parts;
+  else if (format === 'DD/MM/YYYY') [day, month, year] = parts;
+  else if (format === 'MM/DD/YYYY') [month, day, year] = parts;
+  else return null;
+  
+  year = parseInt(year, 10);
+  month = parseInt(month, 10);
+  day = parseInt(day, 10);
+  if (year < 100) year += 2000;
+  
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (isNaN(date.getTime()) || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Parse an amount with optional currency symbols, thousands separators and
+ * accounting-style parentheses for negatives
+ * 
+ * @param {string|number} value - Amount text
+ * @param {string} [decimal='.'] - Decimal separator, '.' or ','
+ * @returns {number|null} Parsed amount, or null if invalid
+ */
+function parseAmount(value, decimal = '.') {
+  if (typeof value === 'number') return value;
+  
+  let text = String(value || '').trim();
+  if (!text) return null;
+  
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  
+  text = text.replace(/[^\d.,\-+]/g, '');
+  text = decimal === ','
+    ? text.replace(/\./g, '').replace(',', '.')
+    : text.replace(/,/g, '');
+  
+  const amount = Number(text);
+  if (text === '' || isNaN(amount)) return null;
+  return negative ? -Math.abs(amount) : amount;
+}
+
+function toRow(line, date, description, amount, extra = {}) {
+  if (!date) return { line, error: 'Invalid date' };
+  if (amount === null || amount === 0) return { line, error: 'Invalid amount' };
+  if (!description) return { line, error: 'Missing description' };
+  
+  return {
+    line,
+    created_at: date,
+    deskripsi: description,
+    nominal: Math.abs(amount),
+    tipe: amount > 0 ? 'income' : 'expense',
+    category: extra.category || 'lainnya',
+    tags: extra.tags || []
+  };
+}
+
+/**
+ * Parse a CSV statement using a caller-supplied column mapping
+ * 
+ * Columns are referenced by header name, or by zero-based index when
+ * `has_header` is false. Use either `amount` (signed) or `debit` and
+ * `credit` (both positive).
+ * 
+ * @param {string} content - CSV text
+ * @param {Object} mapping
+ * @param {string|number} mapping.date - Date column
+ * @param {string|number} mapping.description - Description column
+ * @param {string|number} [mapping.amount] - Signed amount column
+ * @param {string|number} [mapping.debit] - Money out column
+ * @param {string|number} [mapping.credit] - Money in column
+ * @param {string|number} [mapping.category] - Optional category column
+ * @param {string} [mapping.delimiter=','] - Field delimiter
+ * @param {boolean} [mapping.has_header=true] - First row holds column names
+ * @param {string} [mapping.date_format='YYYY-MM-DD'] - One of DATE_FORMATS
+ * @param {string} [mapping.decimal='.'] - Decimal separator
+ * @returns {Array<Object>} Parsed rows
+ */
+function parseCsvStatement(content, mapping = {}) {
+  if (mapping.date === undefined || mapping.description === undefined) {
+    throw new Error('Column mapping needs date and description');
+  }
+  if (mapping.amount === undefined && (mapping.debit === undefined || mapping.credit === undefined)) {
+    throw new Error('Column mapping needs amount, or debit and credit');
+  }
+  if (mapping.date_format && !DATE_FORMATS.includes(mapping.date_format)) {
+    throw new Error(`date_format must be one of: ${DATE_FORMATS.join(', ')}`);
+  }
+  
+  const hasHeader = mapping.has_header !== false;
+  const records = parseCsv(content, mapping.delimiter || ',');
+  const header = hasHeader ? records.shift() || [] : [];
+  
+  const columnIndex = column => {
+    if (column === undefined) return -1;
+    if (!hasHeader || typeof column === 'number') return Number(column);
+    const index = header.findIndex(name => name.trim().toLowerCase() === String(column).trim().toLowerCase());
+    if (index === -1) throw new Error(`Column not found: ${column}`);
+    return index;
+  };
+  
+  const columns = {};
+  for (const key of ['date', 'description', 'amount', 'debit', 'credit', 'category']) {
+    columns[key] = columnIndex(mapping[key]);
+  }
+  
+  const cell = (record, key) => (columns[key] >= 0 ? (record[columns[key]] || '').trim() : '');
+  
+  return records.map((record, i) => {
+    let amount;
+    if (columns.amount >= 0) {
+      amount = parseAmount(cell(record, 'amount'), mapping.decimal);
+    } else {
+      const credit = parseAmount(cell(record, 'credit'), mapping.decimal) || 0;
+      const debit = parseAmount(cell(record, 'debit'), mapping.decimal) || 0;
+      amount = Math.abs(credit) - Math.abs(debit);
+    }
+    
+    return toRow(
+      i + (hasHeader ? 2 : 1),
+      parseStatementDate(cell(record, 'date'), mapping.date_format),
+      cell(record, 'description'),
+      amount,
+      { category: cell(record, 'category') || undefined }
+    );
+  });
+}
+
+// Read an OFX element value; SGML-style OFX leaves most elements unclosed
+function ofxValue(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : '';
+}
+
+/**
+ * Parse an OFX (SGML or XML) statement
+ * 
+ * @param {string} content - OFX text
+ * @returns {Array<Object>} Parsed rows
+ */
+function parseOfx(content) {
+  const blocks = content.split(/<STMTTRN>/i).slice(1);
+  
+  return blocks.map((block, i) => {
+    const body = block.split(/<\/STMTTRN>/i)[0];
+    const posted = ofxValue(body, 'DTPOSTED');
+    const date = /^\d{8}/.test(posted)
+      ? parseStatementDate(`${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}`)
+      : null;
+    
+    const name = ofxValue(body, 'NAME');
+    const memo = ofxValue(body, 'MEMO');
+    const description = [name, memo].filter(Boolean).join(' - ');
+    
+    return toRow(i + 1, date, description, parseAmount(ofxValue(body, 'TRNAMT')));
+  });
+}
+
+/**
+ * Parse a QIF statement
+ * 
+ * @param {string} content - QIF text
+ * @param {Object} [options]
+ * @param {string} [options.date_format='MM/DD/YYYY'] - Date format used by the bank
+ * @param {string} [options.decimal='.'] - Decimal separator
+ * @returns {Array<Object>} Parsed rows
+ */
+function parseQif(content, options = {}) {
+  const rows = [];
+  let record = {};
+  
+  const flush = () => {
+    if (Object.keys(record).length === 0) return;
+    const description = [record.P, record.M].filter(Boolean).join(' - ');
+    rows.push(toRow(
+      rows.length + 1,
+      parseStatementDate(record.D, options.date_format || 'MM/DD/YYYY'),
+      description,
+      parseAmount(record.T || record.U, options.decimal),
+      { category: record.L || undefined }
+    ));
+    record = {};
+  };
+  
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('!')) continue;
+    if (line === '^') {
+      flush();
+      continue;
+    }
+    record[line[0]] = line.slice(1).trim();
+  }
+  flush();
+  
+  return rows;
+}
+
+/**
+ * Parse a statement in any supported format
+ * 
+ * @param {string} format - 'csv', 'ofx' or 'qif'
+ * @param {string} content - File content
+ * @param {Object} [mapping] - CSV column mapping, or QIF date/decimal options
+ * @returns {Array<Object>} Parsed rows
+ */
+function parseStatement(format, content, mapping) {
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new Error('Statement content is empty');
+  }
+  if (format === 'csv') return parseCsvStatement(content, mapping);
+  if (format === 'ofx') return parseOfx(content);
+  if (format === 'qif') return parseQif(content, mapping);
+  throw new Error("format must be 'csv', 'ofx' or 'qif'");
+}
+
+module.exports = {
+  DATE_FORMATS,
+  parseStatementDate,
+  parseAmount,
+  parseCsvStatement,
+  parseOfx,
+  parseQif,
+  parseStatement
+};
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+
+/**
+ * @fileoverview Bearer Token Helpers
+ * 
+ * Issues and verifies HS256-signed JSON Web Tokens using the secret in
+ * JWT_SECRET. Tokens expire after JWT_EXPIRES_IN seconds (default 7 days).
+ */
+
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+function getSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return secret;
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+/**
+ * Create a signed token for the given payload
+ * 
+ * @param {Object} payload - Claims to embed, typically { sub, is_admin }
+ * @returns {string} Signed token
+ */
+function signToken(payload) {
+  const ttl = Number(process.env.JWT_EXPIRES_IN) || DEFAULT_TTL_SECONDS;
+  const now = Math.floor(Date.now() / 1000);
+  
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify({ ...payload, iat: now, exp: now + ttl }));
+  
+  return `${header}.${body}.${sign(`${header}.${body}`)}`;
+}
+
+/**
+ * Verify a token's signature and expiry
+ * 
+ * @param {string} token - Token from the Authorization header
+ * @returns {Object|null} Decoded payload, or null if the token is invalid or expired
+ */
+function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+  
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  
+  const [header, body, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${body}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  signToken,
+  verifyToken
+};